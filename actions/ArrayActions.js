@@ -124,7 +124,7 @@ class LengthAction extends Action {
             if(options.of.property != null) {
                 // Length of property
 
-                const lookup = VarvEngine.lookupProperty(context.target, self.concept, options.of.property);
+                const lookup = self.engine.lookupProperty(context.target, self.concept, options.of.property);
 
                 if(lookup == null) {
                     throw new Error("No property ["+options.of.property+"] found");
@@ -138,7 +138,7 @@ class LengthAction extends Action {
                     throw new Error("Unable to get length of non array|string type property ["+property.name+"] on ["+concept.name+"]");
                 }
 
-                let value = await property.getValue(target);
+                let value = await property.getValue(target, context.transaction);
 
                 Action.setVariable(context, variableName, value.length);
             } else if(options.of.variable != null) {
@@ -197,7 +197,7 @@ class AppendPrependAction extends Action {
             if(options.to.property != null) {
                 // Append to property array
 
-                const lookup = VarvEngine.lookupProperty(context.target, self.concept, options.to.property);
+                const lookup = self.engine.lookupProperty(context.target, self.concept, options.to.property);
 
                 if(lookup == null) {
                     throw new Error("No property ["+options.of.property+"] found");
@@ -211,7 +211,7 @@ class AppendPrependAction extends Action {
                     throw new Error("Unable to "+(this.prepend?"prepend":"append")+" to non array type property ["+property.name+"] on ["+concept.name+"]");
                 }
 
-                let value = await property.getValue(target);
+                let value = await property.getValue(target, context.transaction);
 
                 if(self.prepend) {
                     value.unshift(options.item);
@@ -219,7 +219,7 @@ class AppendPrependAction extends Action {
                     value.push(options.item);
                 }
 
-                await property.setValue(target, value);
+                await property.setValue(target, value, null, context.transaction, context.journalGroup);
             } else if(options.to.variable != null) {
                 // Append to variable array
                 let array = Action.getVariable(context, options.to.variable);
@@ -386,7 +386,7 @@ class RemoveFirstLastAction extends Action {
             if(options.of.property != null) {
                 // remove of property
 
-                const lookup = VarvEngine.lookupProperty(context.target, self.concept, options.of.property);
+                const lookup = self.engine.lookupProperty(context.target, self.concept, options.of.property);
 
                 if(lookup == null) {
                     throw new Error("No property ["+options.of.property+"] found");
@@ -400,7 +400,7 @@ class RemoveFirstLastAction extends Action {
                     throw new Error("Unable to "+(this.removeFirst?"remove-first":"remove-last")+" of non array type property ["+property.name+"] on ["+concept.name+"]");
                 }
 
-                let value = await property.getValue(target);
+                let value = await property.getValue(target, context.transaction);
 
                 let result = null;
 
@@ -411,7 +411,7 @@ class RemoveFirstLastAction extends Action {
                 }
 
                 // Set back the changed array
-                await property.setValue(target, value);
+                await property.setValue(target, value, null, context.transaction, context.journalGroup);
 
                 // Set result variable
                 Action.setVariable(context, variableName, result);
@@ -638,7 +638,7 @@ class RemoveItemAction extends Action {
             }
 
             if(options.of.property != null) {
-                const lookup = VarvEngine.lookupProperty(context.target, self.concept, options.of.property);
+                const lookup = self.engine.lookupProperty(context.target, self.concept, options.of.property);
 
                 if(lookup == null) {
                     throw new Error("No property ["+options.of.property+"] found");
@@ -652,7 +652,7 @@ class RemoveItemAction extends Action {
                     throw new Error("Unable to removeItem of non array type property ["+property.name+"] on ["+concept.name+"]");
                 }
 
-                let value = await property.getValue(target);
+                let value = await property.getValue(target, context.transaction);
 
                 let index = 0;
 
@@ -668,7 +668,7 @@ class RemoveItemAction extends Action {
                     result = result[0];
                 }
 
-                await property.setValue(target, value);
+                await property.setValue(target, value, null, context.transaction, context.journalGroup);
 
                 Action.setVariable(context, variableName, result);
             } else if(options.of.variable != null) {
@@ -779,7 +779,7 @@ class ItemsAction extends Action {
             let result = null;
 
             if(options.property != null) {
-                const lookup = VarvEngine.lookupProperty(context.target, self.concept, options.property);
+                const lookup = self.engine.lookupProperty(context.target, self.concept, options.property);
 
                 if(lookup == null) {
                     throw new Error("No property ["+options.of.property+"] found");
@@ -793,7 +793,7 @@ class ItemsAction extends Action {
                     throw new Error("Property ["+options.property+"] of ["+concept.name+"] is not an array");
                 }
 
-                result = await property.getValue(target);
+                result = await property.getValue(target, context.transaction);
             } else if(options.variable != null) {
                 result = Action.getVariable(context, options.variable);
 
@@ -809,14 +809,15 @@ class ItemsAction extends Action {
 
                 for(let v of result) {
                     //TODO: Might backfire if an array of strings contains the string equal to a concept?
-                    let concept = VarvEngine.getConceptFromUUID(v);
+                    let concept = self.engine.getConceptFromUUID(v);
                     if(concept != null) {
                         v = {
-                            target: v
+                            target: v,
+                            transaction: context.transaction
                         }
                     }
 
-                    if(await filter.filter(v)) {
+                    if(await filter.filter(v, self.concept)) {
                         if(v.target != null) {
                             v = v.target;
                         }
@@ -37,6 +37,7 @@
  * <li>concept: The concept to select</li>
  * <li>property: Select the concepts this property holds</li>
  * <li>target: The specific uuid to select</li>
+ * <li>key: Select the instance of the concept with this key, see the concept option 'key'</li>
  * <li>as: The variable name to save the selection as</li>
  * <li>where: A filter spec for filtering on the selection</li>
  * <li>forEach (false): If true the select action is run 1 time for each currently selected concept</li>
@@ -75,6 +76,27 @@
  * }
  *
  * @example
+ * //Select the instance of a concept with "key": "email"
+ * {
+ *     "select": {
+ *         "concept": "user",
+ *         "key": "$email$"
+ *     }
+ * }
+ *
+ * @example
+ * //Select the instance of a concept with "key": ["firstName", "lastName"]
+ * {
+ *     "select": {
+ *         "concept": "user",
+ *         "key": {
+ *             "firstName": "$first$",
+ *             "lastName": "$last$"
+ *         }
+ *     }
+ * }
+ *
+ * @example
  * //Select concept saved in variable, shorthand
  * {
  *     "select": "$myConceptVariable"
@@ -164,8 +186,23 @@ class SelectAction extends Action {
 
             let conceptUUIDs = [];
 
-            if(options.concept != null) {
-                conceptUUIDs = VarvEngine.getAllUUIDsFromType(options.concept, true);
+            if(options.concept != null && options.key != null) {
+                let concept = self.engine.getConceptFromType(options.concept);
+
+                if(concept == null) {
+                    throw new Error("No concept ["+options.concept+"] found!");
+                }
+
+                let uuid = await concept.findByKey(options.key, context.transaction);
+                if(uuid != null) {
+                    conceptUUIDs.push(uuid);
+                }
+            } else if(options.concept != null) {
+                conceptUUIDs = self.engine.getAllUUIDsFromType(options.concept, true);
+
+                if(self.wherePart != null) {
+                    conceptUUIDs = await self.findIndexedCandidates(conceptUUIDs, options.concept, context, actionArguments);
+                }
             } else if(options.target != null) {
                 if (Array.isArray(options.target)) {
                     conceptUUIDs.push(...options.target);
@@ -173,17 +210,17 @@ class SelectAction extends Action {
                     conceptUUIDs.push(options.target);
                 }
             } else if(options.property != null) {
-                let lookup = VarvEngine.lookupProperty(context.target, self.concept, options.property);
+                let lookup = self.engine.lookupProperty(context.target, self.concept, options.property);
 
                 if(lookup == null) {
                     throw new Error("No property ["+options.property+"] found!");
                 }
 
                 if(lookup.property.isConceptType()) {
-                    let value = await lookup.property.getValue(lookup.target)
+                    let value = await lookup.property.getValue(lookup.target, context.transaction)
                     conceptUUIDs.push(value);
                 } else if(lookup.property.isConceptArrayType()) {
-                    let value = await lookup.property.getValue(lookup.target)
+                    let value = await lookup.property.getValue(lookup.target, context.transaction)
                     conceptUUIDs.push(...value);
                 } else {
                     throw new Error("Only able to select properties that are of concept or concept array type: ["+options.property+":"+lookup.property.type+"]");
@@ -199,11 +236,11 @@ class SelectAction extends Action {
                 if(self.wherePart != null) {
                     let clonedVariables = Object.assign({}, context.variables);
 
-                    let filterContext = {target: uuid, lastTarget: context.target, variables: clonedVariables};
+                    let filterContext = {target: uuid, lastTarget: context.target, variables: clonedVariables, transaction: context.transaction};
 
                     let lookupWhereWithArguments = await Action.lookupArguments(self.wherePart, actionArguments);
 
-                    let lookupWhereOptions = await Action.lookupVariables(lookupWhereWithArguments, filterContext);
+                    let lookupWhereOptions = await Action.lookupVariables(lookupWhereWithArguments, filterContext, self.engine);
 
                     let filter = await FilterAction.constructFilter(lookupWhereOptions);
 
@@ -252,9 +289,11 @@ class SelectAction extends Action {
                 }
             });
 
-            let optionsWithVariablesAndArguments = await Action.lookupVariables(optionsWithArguments, {target: commonTarget, variables: commonVariables});
+            let transaction = Action.getTransaction(contexts);
+
+            let optionsWithVariablesAndArguments = await Action.lookupVariables(optionsWithArguments, {target: commonTarget, variables: commonVariables, transaction: transaction}, this.engine);
 
-            result = await doSelect({target: null, variables: commonVariables}, optionsWithVariablesAndArguments, optionsWithArguments);
+            result = await doSelect({target: null, variables: commonVariables, transaction: transaction, journalGroup: Action.getJournalGroup(contexts)}, optionsWithVariablesAndArguments, optionsWithArguments);
         }
 
         if(optionsWithArguments.stopIfEmpty && result.length === 0) {
@@ -263,6 +302,58 @@ class SelectAction extends Action {
 
         return result;
     }
+
+    /**
+     * Narrows the given instances down to the candidates found by the property indexes used in the where part, if any
+     * @private
+     * @param {string[]} uuids - The instances of the concept
+     * @param {string} conceptName
+     * @param {VarvContext} context
+     * @param {object} actionArguments
+     * @returns {Promise<string[]>}
+     */
+    async findIndexedCandidates(uuids, conceptName, context, actionArguments) {
+        let concept = this.engine.getConceptFromType(conceptName);
+
+        //Indexes only hold the instances of their own concept, and are updated when transactions commit
+        if(concept == null || context.transaction != null || this.engine.concepts.some((otherConcept)=>{
+            return otherConcept.otherConcepts.has(conceptName);
+        })) {
+            return uuids;
+        }
+
+        let lookupWhereWithArguments = await Action.lookupArguments(this.wherePart, actionArguments);
+
+        //Variables looking up properties of the target differ for each instance, so they can not be looked up once.
+        //Found in each value the same way lookupVariables finds them.
+        let variableNames = [];
+        await Action.subParam(Action.clone(lookupWhereWithArguments), (value)=>{
+            for(let match of value.matchAll(/\$(\S+?)(?:\$|\s|$)/gm)) {
+                variableNames.push(match[1]);
+            }
+            return value;
+        });
+        if(variableNames.some((variableName)=>{
+            return variableName === "target" || (variableName.indexOf(".") !== -1 && !variableName.startsWith("lastTarget."));
+        })) {
+            return uuids;
+        }
+
+        let filterContext = {target: null, lastTarget: context.target, variables: Object.assign({}, context.variables)};
+
+        let lookupWhereOptions = await Action.lookupVariables(lookupWhereWithArguments, filterContext, this.engine);
+
+        let filter = FilterAction.constructFilter(lookupWhereOptions);
+        let candidates = filter != null ? await filter.findCandidates(concept) : null;
+
+        if(candidates == null) {
+            return uuids;
+        }
+
+        return uuids.filter((uuid)=>{
+            return candidates.has(uuid);
+        });
+    }
 }
 Action.registerPrimitiveAction("select", SelectAction);
 window.SelectAction = SelectAction;
@@ -313,7 +404,7 @@ class StoreSelectionAction extends Action {
         let optionsWithArguments = await Action.lookupArguments(this.options, actionArguments);
 
         let commonVariables = Action.getCommonVariables(contexts);
-        let optionsWithVariablesAndArguments = await Action.lookupVariables(optionsWithArguments, {variables: commonVariables});
+        let optionsWithVariablesAndArguments = await Action.lookupVariables(optionsWithArguments, {variables: commonVariables, transaction: Action.getTransaction(contexts)}, this.engine);
 
         if(optionsWithVariablesAndArguments.as) {
             variableName = optionsWithVariablesAndArguments.as;
@@ -643,9 +734,9 @@ class NewAction extends Action {
         const self = this;
 
         async function doNew(context, options) {
-            let concept = VarvEngine.getConceptFromType(options.concept);
+            let concept = self.engine.getConceptFromType(options.concept);
 
-            let uuid = await concept.create(null, options.with);
+            let uuid = await concept.create(null, options.with, null, context.transaction, context.journalGroup);
 
             let variableName = Action.defaultVariableName(self);
 
@@ -676,9 +767,11 @@ class NewAction extends Action {
             //Find any common variables and keep
             let commonVariables = Action.getCommonVariables(contexts);
 
-            let optionsWithVariablesAndArguments = await Action.lookupVariables(optionsWithArguments, {variables: commonVariables});
+            let transaction = Action.getTransaction(contexts);
 
-            result = [await doNew({variables: commonVariables}, optionsWithVariablesAndArguments)];
+            let optionsWithVariablesAndArguments = await Action.lookupVariables(optionsWithArguments, {variables: commonVariables, transaction: transaction}, this.engine);
+
+            result = [await doNew({variables: commonVariables, transaction: transaction, journalGroup: Action.getJournalGroup(contexts)}, optionsWithVariablesAndArguments)];
         }
 
         return result;
@@ -687,6 +780,124 @@ class NewAction extends Action {
 Action.registerPrimitiveAction("new", NewAction);
 window.NewAction = NewAction;
 
+/**
+ * An action "upsert" that updates the instance of a concept with the key found in the given properties, or creates it
+ * if there is none, see the concept option 'key'
+ *
+ * @example
+ * //With "key": "email" on the concept user
+ * {
+ *      "upsert": {
+ *          "concept": "user",
+ *          "with": {
+ *              "email": "$email$",
+ *              "name": "$name$"
+ *          }
+ *      }
+ * }
+ *
+ * @example
+ * //Same as other example, but don't change the current selection, only save the instance in a variable
+ * {
+ *      "upsert": {
+ *          "concept": "user",
+ *          "with": {
+ *              "email": "$email$",
+ *              "name": "$name$"
+ *          },
+ *          "as": "user",
+ *          "select": false
+ *      }
+ * }
+ */
+class UpsertAction extends Action {
+    static options() {
+        return {
+            "concept": "string",
+            "with": "propertyList",
+            "as": "@string",
+            "select": "boolean%true"
+        }
+    }
+    constructor(name, options, concept) {
+        const defaultOptions = {
+            select: true,
+            forEach: false
+        };
+
+        super(name, Object.assign({}, defaultOptions, options), concept);
+    }
+
+    async apply(contexts, actionArguments) {
+        const self = this;
+
+        async function doUpsert(context, options) {
+            let concept = self.engine.getConceptFromType(options.concept);
+
+            if(concept == null) {
+                throw new Error("No concept ["+options.concept+"] found!");
+            }
+
+            if(concept.key == null) {
+                throw new Error("Unable to upsert concept ["+concept.name+"], it has no key");
+            }
+
+            let properties = options.with != null ? options.with : {};
+
+            let uuid = await concept.findByKey(properties, context.transaction);
+
+            if(uuid == null) {
+                uuid = await concept.create(null, properties, null, context.transaction, context.journalGroup);
+            } else {
+                for(let propertyName of Object.keys(properties)) {
+                    if(!concept.key.includes(propertyName)) {
+                        await concept.setPropertyValue(uuid, propertyName, properties[propertyName], null, context.transaction, context.journalGroup);
+                    }
+                }
+            }
+
+            let variableName = Action.defaultVariableName(self);
+
+            if (options.as != null) {
+                variableName = options.as;
+            }
+
+            Action.setVariable(context, variableName, uuid);
+
+            if(options.select) {
+                context.target = uuid;
+            }
+
+            return context;
+        }
+
+        let optionsWithArguments = await Action.lookupArguments(this.options, actionArguments);
+
+        let result = [];
+
+        if(optionsWithArguments.forEach) {
+            result = await this.forEachContext(contexts, actionArguments, async (context, options) => {
+                return await doUpsert(context, options);
+            });
+        } else {
+            //Bulk mode
+
+            //Find any common variables and keep
+            let commonVariables = Action.getCommonVariables(contexts);
+
+            let transaction = Action.getTransaction(contexts);
+
+            let optionsWithVariablesAndArguments = await Action.lookupVariables(optionsWithArguments, {variables: commonVariables, transaction: transaction}, this.engine);
+
+            result = [await doUpsert({variables: commonVariables, transaction: transaction, journalGroup: Action.getJournalGroup(contexts)}, optionsWithVariablesAndArguments)];
+        }
+
+        return result;
+    }
+}
+Action.registerPrimitiveAction("upsert", UpsertAction);
+window.UpsertAction = UpsertAction;
+
 /**
  * An action "remove" that removes a concept from the state
  *
@@ -739,7 +950,7 @@ class RemoveAction extends Action {
             }
 
             for(let uuid of removeUuids) {
-                await VarvEngine.getConceptFromUUID(uuid).delete(uuid);
+                await this.engine.getConceptFromUUID(uuid).delete(uuid, null, context.transaction, context.journalGroup);
             }
 
             //Return null, to signal that this target/context is now invalid.
@@ -780,7 +991,7 @@ class EvalAction extends Action {
 
             let filter = FilterAction.constructFilter(this.options);
 
-            let shouldFilter = await filter.filter(context);
+            let shouldFilter = await filter.filter(context, self.concept);
 
             let variableName = Action.defaultVariableName(self);
 
@@ -999,7 +1210,7 @@ class SortAction extends Action {
 
             if(optionsWithArguments.property) {
                 //We have an invariant that says that all selected concepts are of same type
-                const concept = VarvEngine.getConceptFromUUID(c1.target);
+                const concept = self.engine.getConceptFromUUID(c1.target);
                 if(concept == null) {
                     throw new Error("Unable to find concept for uuid ["+c1.target+"]");
                 }
@@ -43,11 +43,11 @@ class DebugConceptAction extends Action {
         return this.forEachContext(contexts, actionArguments, async (context, options)=>{
             console.groupCollapsed("ConceptDebug:", context.target);
 
-            let concept = VarvEngine.getConceptFromUUID(context.target);
+            let concept = this.engine.getConceptFromUUID(context.target);
 
             for(let key of concept.properties.keys()) {
                 let property = concept.properties.get(key);
-                let value = await property.getValue(context.target);
+                let value = await property.getValue(context.target, context.transaction);
                 console.log(key, "->", value);
             }
 
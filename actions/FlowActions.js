@@ -76,10 +76,10 @@ class RunAction extends Action {
         //TODO: We assume that all concepts are of the same type, this is probabely wrong with otherConcepts being in play...
         let contextConcept = null;
         if(contexts.length > 0) {
-            contextConcept = VarvEngine.getConceptFromUUID(contexts[0].target);
+            contextConcept = self.engine.getConceptFromUUID(contexts[0].target);
         }
 
-        let action = VarvEngine.lookupAction(optionsWithArguments.action, [contextConcept, self.concept]);
+        let action = self.engine.lookupAction(optionsWithArguments.action, [contextConcept, self.concept]);
 
         if(action == null) {
             throw new Error("Unable to find action ["+optionsWithArguments.action+"]");
@@ -91,6 +91,8 @@ class RunAction extends Action {
         if(contexts.savedVariables) {
             clonedContexts.savedVariables = JSON.parse(JSON.stringify(contexts.savedVariables));
         }
+        clonedContexts.savedTransaction = Action.getTransaction(contexts);
+        clonedContexts.savedJournalGroup = Action.getJournalGroup(contexts);
 
         try {
             await ActionTrigger.before(action, clonedContexts);
@@ -196,10 +198,10 @@ class SwitchAction extends Action {
                     let clonedOption = {};
 
                     if(option.where != null) {
-                        clonedOption.where = await Action.lookupVariables(option.where, clonedContext);
+                        clonedOption.where = await Action.lookupVariables(option.where, clonedContext, this.engine);
                     }
                     if(option.break != null) {
-                        clonedOption.break = await Action.lookupVariables(option.break, clonedContext);
+                        clonedOption.break = await Action.lookupVariables(option.break, clonedContext, this.engine);
                     }
                     if(option.then) {
                         clonedOption.then =  Action.clone(option.then);
@@ -214,7 +216,7 @@ class SwitchAction extends Action {
                 if(caseOption.where != null) {
                     let filter = FilterAction.constructFilter(caseOption.where);
 
-                    let matches = await filter.filter(clonedContext);
+                    let matches = await filter.filter(clonedContext, this.concept);
 
                     if(!matches) {
                         //Did not match, skip to next branch
@@ -260,3 +262,71 @@ class SwitchAction extends Action {
 }
 Action.registerPrimitiveAction("switch", SwitchAction);
 window.SwitchAction = SwitchAction;
+
+/**
+ * An action 'transaction' that runs the given actions in a transaction, see Transaction.
+ *
+ * Property values set by the actions are only written when all of them are done, and triggers wait until then. If an
+ * action fails, everything the actions did is rolled back. Stopping the actions with 'exit' keeps what was done until
+ * then. Only the changes made by the actions are part of the transaction, behaviours running meanwhile, and those
+ * triggered by the changes, run on their own. A transaction inside another transaction is part of the outer one.
+ *
+ * @example
+ * {
+ *     "transaction": [
+ *         {"set": {"balance": 0}},
+ *         {"new": {"concept": "transfer", "with": {"amount": "$amount"}}},
+ *         "validateTransfer"
+ *     ]
+ * }
+ */
+class TransactionAction extends Action {
+    static options() {
+        return {};
+    }
+
+    constructor(name, options, concept) {
+        if(options == null) {
+            options = [];
+        }
+
+        if(!Array.isArray(options)) {
+            options = [options];
+        }
+
+        super(name, options, concept);
+    }
+
+    async apply(contexts, actionArguments) {
+        let action = ConceptLoader.parseAction(UUIDGenerator.generateUUID("TransactionAction"), this.options, this.concept);
+
+        let outerTransaction = Action.getTransaction(contexts);
+
+        let result = await this.engine.transaction(async (transaction)=>{
+            //The actions hand the transaction on to what they change, through their contexts
+            let transactionContexts = contexts.map((context)=>{
+                return Object.assign({}, context, {transaction: transaction});
+            });
+            transactionContexts.savedVariables = contexts.savedVariables;
+            transactionContexts.savedTransaction = transaction;
+            transactionContexts.savedJournalGroup = contexts.savedJournalGroup;
+
+            await ActionTrigger.before(action, transactionContexts);
+            let result = await action.apply(transactionContexts, actionArguments);
+            await ActionTrigger.after(action, result);
+
+            return result;
+        }, outerTransaction);
+
+        //The actions after this one are no longer part of the transaction, unless it was part of an outer one
+        let resultContexts = result.map((context)=>{
+            return Object.assign({}, context, {transaction: outerTransaction});
+        });
+        resultContexts.savedVariables = result.savedVariables;
+        resultContexts.savedJournalGroup = result.savedJournalGroup;
+
+        return resultContexts;
+    }
+}
+Action.registerPrimitiveAction("transaction", TransactionAction);
+window.TransactionAction = TransactionAction;
@@ -0,0 +1,86 @@
+/**
+ *  HistoryActions - Actions for undoing and redoing changes
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * An action "undo" that undoes the latest group of changes recorded in the change journal, typically the changes made
+ * by the latest behaviour run.
+ *
+ * @example
+ * //Undo when Ctrl+Z is pressed
+ * {
+ *     "when": {"key": {"key": "z", "ctrl": true}},
+ *     "then": ["undo"]
+ * }
+ */
+class UndoAction extends Action {
+    constructor(name, options, concept) {
+        super(name, options, concept);
+    }
+
+    async apply(contexts, actionArguments) {
+        await this.engine.journal.undo();
+
+        return contexts;
+    }
+
+    static options() {
+        return {
+        };
+    }
+}
+Action.registerPrimitiveAction("undo", UndoAction);
+window.UndoAction = UndoAction;
+
+/**
+ * An action "redo" that redoes the latest group of changes undone by "undo"
+ *
+ * @example
+ * //Redo when Ctrl+Y is pressed
+ * {
+ *     "when": {"key": {"key": "y", "ctrl": true}},
+ *     "then": ["redo"]
+ * }
+ */
+class RedoAction extends Action {
+    constructor(name, options, concept) {
+        super(name, options, concept);
+    }
+
+    async apply(contexts, actionArguments) {
+        await this.engine.journal.redo();
+
+        return contexts;
+    }
+
+    static options() {
+        return {
+        };
+    }
+}
+Action.registerPrimitiveAction("redo", RedoAction);
+window.RedoAction = RedoAction;
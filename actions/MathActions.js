@@ -57,7 +57,7 @@ class IncrementDecrementAction extends Action {
 
         return this.forEachContext(contexts, actionArguments, async (context, options)=>{
             if(options.property != null) {
-                const lookup = VarvEngine.lookupProperty(context.target, self.concept, options.property);
+                const lookup = self.engine.lookupProperty(context.target, self.concept, options.property);
 
                 if(lookup == null) {
                     throw new Error("No property ["+options.of.property+"] found");
@@ -67,7 +67,7 @@ class IncrementDecrementAction extends Action {
                 const property = lookup.property;
                 const target = lookup.target;
 
-                let currentValue = await property.getValue(target);
+                let currentValue = await property.getValue(target, context.transaction);
 
                 if (this.decrement) {
                     currentValue -= options.by;
@@ -75,7 +75,7 @@ class IncrementDecrementAction extends Action {
                     currentValue += options.by;
                 }
 
-                await property.setValue(target, currentValue);
+                await property.setValue(target, currentValue, null, context.transaction, context.journalGroup);
             } else if(options.variable != null) {
                 let currentValue = Action.getVariable(context, options.variable);
 
@@ -71,6 +71,14 @@
  *         "value": "myValueToSet"
  *     }
  * }
+ *
+ * @example
+ * //Set a field inside an object or map property
+ * {
+ *     "set": {
+ *         "myObjectProperty.myField": "myValueToSet"
+ *     }
+ * }
  */
 class SetAction extends Action {
     static options() {
@@ -115,13 +123,13 @@ class SetAction extends Action {
 
         return this.forEachContext(contexts, actionArguments, async (context, options)=>{
             if(options.property) {
-                let lookup = VarvEngine.lookupProperty(context.target, self.concept, options.property);
+                let lookup = self.engine.lookupPropertyPath(context.target, self.concept, options.property);
 
                 if(lookup == null) {
                     throw new Error("No property [" + options.property + "] found on any concept");
                 }
 
-                await lookup.property.setValue(lookup.target, options.value);
+                await lookup.property.setValueAt(lookup.target, lookup.path, options.value, null, context.transaction, context.journalGroup);
             } else if(options.variable) {
                 Action.setVariable(context, options.variable, options.value);
             }
@@ -158,6 +166,15 @@ window.SetAction = SetAction;
  * {
  *     "get": "myProperty"
  * }
+ *
+ * @example
+ * //Get a field inside an object or map property
+ * {
+ *     "get": {
+ *         "property": "myObjectProperty.myField",
+ *         "as": "myVariableName"
+ *     }
+ * }
  */
 class GetAction extends Action {
     static options() {
@@ -185,13 +202,13 @@ class GetAction extends Action {
                 throw new Error("Missing option 'property' on 'get' action");
             }
 
-            let lookup = VarvEngine.lookupProperty(context.target, self.concept, options.property);
+            let lookup = self.engine.lookupPropertyPath(context.target, self.concept, options.property);
 
             if(lookup == null) {
                 throw new Error("Unable to find property: "+options.property);
             }
 
-            let value = await lookup.property.getValue(lookup.target);
+            let value = await lookup.property.getValueAt(lookup.target, lookup.path, context.transaction);
 
             let resultName = Action.defaultVariableName(self);
             if(options.as != null) {
@@ -278,7 +295,7 @@ class ToggleAction extends Action {
 
         return this.forEachContext(contexts, actionArguments, async (context, options) => {
             if(options.property != null) {
-                const lookup = VarvEngine.lookupProperty(context.target, self.concept, options.property);
+                const lookup = self.engine.lookupProperty(context.target, self.concept, options.property);
 
                 if(lookup == null) {
                     throw new Error("No property ["+options.of.property+"] found");
@@ -292,9 +309,9 @@ class ToggleAction extends Action {
                     throw new Error("Unable to toggle non boolean property [" + options.property + "] on [" + concept.name + "]");
                 }
 
-                let currentValue = await property.getValue(target);
+                let currentValue = await property.getValue(target, context.transaction);
 
-                await property.setValue(target, !currentValue);
+                await property.setValue(target, !currentValue, null, context.transaction, context.journalGroup);
             } else if(options.variable != null) {
                 let currentValue = Action.getVariable(context, options.variable);
 
@@ -376,7 +393,7 @@ class EnumsAction extends Action {
                 throw new Error("Missing 'target' option for 'enums' action")
             }
 
-            const lookup = VarvEngine.lookupProperty(context.target, self.concept, options.property);
+            const lookup = self.engine.lookupProperty(context.target, self.concept, options.property);
 
             if(lookup == null) {
                 throw new Error("No property ["+options.of.property+"] found");
@@ -70,7 +70,7 @@ class TextTransformAction extends Action {
 
         return this.forEachContext(contexts, actionArguments, async (context, options)=>{
             if(options.property != null) {
-                const lookup = VarvEngine.lookupProperty(context.target, self.concept, options.property);
+                const lookup = self.engine.lookupProperty(context.target, self.concept, options.property);
 
                 if(lookup == null) {
                     throw new Error("No property ["+options.of.property+"] found");
@@ -84,11 +84,11 @@ class TextTransformAction extends Action {
                     throw new Error("Unable to apply textTransform on non string property [" + options.property + "] on [" + concept.name + "]");
                 }
 
-                let currentValue = await property.getValue(target);
+                let currentValue = await property.getValue(target, context.transaction);
 
                 currentValue = self.transform(currentValue, options.mode.toLowerCase());
 
-                await property.setValue(target, currentValue);
+                await property.setValue(target, currentValue, null, context.transaction, context.journalGroup);
             } else if(options.variable != null) {
                 let value = Action.getVariable(context, options.variable);
 
@@ -227,7 +227,7 @@ class ConcatAction extends Action {
                     if(s.variable != null) {
                         s = Action.getVariable(context, s.variable);
                     } else if(s.property != null) {
-                        const lookup = VarvEngine.lookupProperty(context.target, self.concept, s.property);
+                        const lookup = self.engine.lookupProperty(context.target, self.concept, s.property);
 
                         if(lookup == null) {
                             throw new Error("No property ["+options.of.property+"] found");
@@ -237,7 +237,7 @@ class ConcatAction extends Action {
                         const property = lookup.property;
                         const target = lookup.target;
 
-                        s = await property.getValue(target);
+                        s = await property.getValue(target, context.transaction);
                     } else {
                         throw new Error("Unknown object type in concat strings array: "+JSON.stringify(s, null ,2));
                     }
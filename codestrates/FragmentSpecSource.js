@@ -0,0 +1,138 @@
+/**
+ *  FragmentSpecSource - Codestrates fragments as Varv spec source
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * A spec source that delivers all auto enabled text/varv code fragments in the Codestrate, and signals a change
+ * whenever one of them is edited, added, removed or toggled auto.
+ */
+class FragmentSpecSource extends SpecSource {
+    constructor() {
+        super();
+
+        const self = this;
+
+        this.foundDefinitionFragments = [];
+
+        let firstRun = true;
+
+        this.fragmentChangedHandler = (fragment)=>{
+            if(fragment.fragment != null) {
+                fragment = fragment.fragment;
+            }
+            if(fragment.auto) {
+                self.changed();
+            }
+        }
+
+        this.fragmentAutoChangedHandler = ()=>{
+            self.changed();
+        }
+
+        this.live = new LiveElement("code-fragment[data-type='text/varv']");
+
+        this.live.forEach((elm)=>{
+            let fragment = Fragment.one(elm);
+            elm.fragmentLink = fragment;
+
+            self.foundDefinitionFragments.push(fragment);
+
+            fragment.registerOnFragmentChangedHandler(self.fragmentChangedHandler);
+            fragment.registerOnAutoChangedHandler(self.fragmentAutoChangedHandler);
+
+            if(!firstRun) {
+                if(fragment.auto) {
+                    self.changed();
+                }
+            }
+        });
+
+        this.live.removed((elm)=>{
+            let fragment = elm.fragmentLink;
+            self.foundDefinitionFragments.splice(self.foundDefinitionFragments.indexOf(fragment), 1);
+            fragment.unRegisterOnFragmentChangedHandler(self.fragmentChangedHandler);
+            fragment.unRegisterOnAutoChangedHandler(self.fragmentAutoChangedHandler);
+            if(elm.hasAttribute("auto")) {
+                self.changed();
+            }
+        });
+
+        firstRun = false;
+    }
+
+    async getSpecs() {
+        return this.foundDefinitionFragments.filter((fragment)=>{
+            if(!fragment.auto) {
+                if (SpecSource.DEBUG) {
+                    console.log("Skipping disabled fragment:", fragment);
+                }
+                return false;
+            }
+
+            return true;
+        }).map((fragment)=>{
+            return {
+                id: FragmentSpecSource.getFragmentId(fragment),
+                spec: fragment.raw
+            };
+        });
+    }
+
+    destroy() {
+        super.destroy();
+
+        this.foundDefinitionFragments.forEach((fragment)=>{
+            fragment.unRegisterOnFragmentChangedHandler(this.fragmentChangedHandler);
+            fragment.unRegisterOnAutoChangedHandler(this.fragmentAutoChangedHandler);
+        });
+        this.foundDefinitionFragments = [];
+    }
+
+    /**
+     * Get an id for the given fragment, the element id if it has one, otherwise its name
+     * @param {Fragment} fragment
+     * @returns {string}
+     */
+    static getFragmentId(fragment) {
+        let elm = fragment.html[0];
+
+        if(elm.id != null && elm.id !== "") {
+            return elm.id;
+        }
+
+        let name = elm.getAttribute("name");
+        if(name != null && name !== "") {
+            return name;
+        }
+
+        return "fragment-"+(Array.from(document.querySelectorAll("code-fragment[data-type='text/varv']")).indexOf(elm));
+    }
+}
+window.FragmentSpecSource = FragmentSpecSource;
+
+//In a Codestrate, VarvEngine.start loads the text/varv code fragments unless told otherwise
+VarvEngine.DefaultSpecSource = FragmentSpecSource;
@@ -31,6 +31,8 @@
  * @typedef {object} VarvContext
  * @property {string} [target] - The UUID of the target this context refers to
  * @property {object} [variables] - The variables currently set to any value
+ * @property {Transaction} [transaction] - The transaction the actions run in, if any, see TransactionAction
+ * @property {JournalGroup} [journalGroup] - The journal group the changes made by the actions are recorded in, if any
  */
 
 class Action {
@@ -50,6 +52,14 @@ class Action {
         }
     }
 
+    /**
+     * The engine this action lives in, through its owning concept
+     * @returns {VarvEngine}
+     */
+    get engine() {
+        return VarvEngine.of(this.concept);
+    }
+
     /**
      * Applies this Action to the given contexts, returning some resulting contexts
      * @param {VarvContext[]} contexts
@@ -102,7 +112,7 @@ class Action {
             //Make sure to clone context, since we change it directly, thus variables might be a shared object if not.
             let clonedContext = Action.cloneContext(context);
 
-            let result = await callback(clonedContext, await Action.lookupVariables(options, clonedContext), index);
+            let result = await callback(clonedContext, await Action.lookupVariables(options, clonedContext, this.engine), index);
 
             if (result != null) {
                 if (Array.isArray(result)) {
@@ -234,6 +244,33 @@ class Action {
         return common;
     }
 
+    /**
+     * Get the transaction the given contexts run in, if any. The contexts of a chain all run in the same transaction.
+     * @param {VarvContext[]} contexts
+     * @returns {Transaction|null}
+     */
+    static getTransaction(contexts) {
+        if(contexts.length > 0) {
+            return contexts[0].transaction != null ? contexts[0].transaction : null;
+        }
+
+        return contexts.savedTransaction != null ? contexts.savedTransaction : null;
+    }
+
+    /**
+     * Get the journal group the changes made for the given contexts are recorded in, if any. The contexts of a chain
+     * all record in the same group.
+     * @param {VarvContext[]} contexts
+     * @returns {JournalGroup|null}
+     */
+    static getJournalGroup(contexts) {
+        if(contexts.length > 0) {
+            return contexts[0].journalGroup != null ? contexts[0].journalGroup : null;
+        }
+
+        return contexts.savedJournalGroup != null ? contexts.savedJournalGroup : null;
+    }
+
     /**
      * Looks up any options that are set to an argument replacement value "@myArgumentName" and replaces it with that arguments value
      * @param {object} options - The options to do the replacement on
@@ -321,9 +358,10 @@ class Action {
      * Look up any options that have a variable replacement value "$myVariable" and replaces it with the value of that variable.
      * @param {object} options
      * @param {VarvContext} context
+     * @param {VarvEngine} [engine] - The engine to look up concept.property references in, defaults to the default engine
      * @returns {object} - Returns a clone of the given options, with all replacement values replaced.
      */
-    static async lookupVariables(options, context) {
+    static async lookupVariables(options, context, engine = VarvEngine.defaultEngine) {
         if(Action.DEBUG) {
             console.group("Looking up variables from context:", options, context);
         }
@@ -343,13 +381,13 @@ class Action {
                 let result = null;
 
                 if(conceptName === "lastTarget") {
-                    result = VarvEngine.lookupProperty(context.lastTarget, null, propertyName);
+                    result = engine.lookupProperty(context.lastTarget, null, propertyName);
                 } else {
-                    result = VarvEngine.lookupProperty(context.target, null, variableName);
+                    result = engine.lookupProperty(context.target, null, variableName);
                 }
 
                 if (result != null && result.target != null) {
-                    variableValue = await result.property.getValue(result.target);
+                    variableValue = await result.property.getValue(result.target, context.transaction);
                 }
             } else {
                 variableValue = Action.getVariable(context, variableName);
@@ -416,10 +454,11 @@ class Action {
      * Gets an instance of the primitive action with the given name, using the given options
      * @param {string} name
      * @param {object} options
+     * @param {Concept} [concept] - The owning concept, primitive actions registered on its engine are found as well
      * @returns {Action}
      */
     static getPrimitiveAction(name, options, concept) {
-        let actionClass = Action.primitiveActions.get(name);
+        let actionClass = VarvEngine.of(concept).getPrimitiveActionClass(name);
 
         if (actionClass == null) {
             throw new Error("Unknown primitive action [" + name + "]");
@@ -431,14 +470,16 @@ class Action {
     /**
      * Checks if a primitive action with the given name exists
      * @param {string} name
+     * @param {Concept} [concept] - The owning concept, primitive actions registered on its engine are checked as well
      * @returns {boolean}
      */
-    static hasPrimitiveAction(name) {
-        return Action.primitiveActions.has(name);
+    static hasPrimitiveAction(name, concept) {
+        return VarvEngine.of(concept).getPrimitiveActionClass(name) != null;
     }
 
     /**
-     * Clones the given context. (Any non JSON serializable values in the context, will be lost)
+     * Clones the given context. (Any non JSON serializable values in the context, will be lost, except the transaction
+     * and journal group which are handed on as is)
      * @param {object} context
      * @returns {object} - The cloned context
      */
@@ -459,7 +500,16 @@ class Action {
         if(Action.DEBUG) {
             console.log("Cloning context:", context, preCloneObject);
         }
-        return JSON.parse(JSON.stringify(preCloneObject));
+
+        let clonedContext = JSON.parse(JSON.stringify(preCloneObject));
+        if(context.transaction != null) {
+            clonedContext.transaction = context.transaction;
+        }
+        if(context.journalGroup != null) {
+            clonedContext.journalGroup = context.journalGroup;
+        }
+
+        return clonedContext;
     }
 }
 Action.DEBUG = false;
@@ -485,11 +535,17 @@ class ActionChain extends Action {
         }
     }
 
-    async apply(contexts, actionArguments = {}) {
+    async apply(contexts, actionArguments = {}, run = null) {
         let currentContexts = contexts;
 
         for (let action of this.actions) {
+            if(run != null && run.stopped) {
+                throw new StopError("Restarted by a newer trigger");
+            }
+
             let commonVariablesBefore = Action.getCommonVariables(currentContexts);
+            let transactionBefore = Action.getTransaction(currentContexts);
+            let journalGroupBefore = Action.getJournalGroup(currentContexts);
 
             await ActionTrigger.before(action, currentContexts);
             currentContexts = await action.apply(currentContexts, actionArguments);
@@ -501,6 +557,8 @@ class ActionChain extends Action {
 
             if(currentContexts.length === 0) {
                 currentContexts.savedVariables = commonVariablesBefore;
+                currentContexts.savedTransaction = transactionBefore;
+                currentContexts.savedJournalGroup = journalGroupBefore;
             }
         }
 
@@ -527,10 +585,10 @@ class LookupActionAction extends Action {
         //TODO: We assume that all concepts are of the same type, when/if polymorphism is introduced this breaks
         let contextConcept = null;
         if(contexts.length > 0) {
-            contextConcept = VarvEngine.getConceptFromUUID(contexts[0].target);
+            contextConcept = self.engine.getConceptFromUUID(contexts[0].target);
         }
 
-        let action = VarvEngine.lookupAction(optionsWithArguments.lookupActionName, [contextConcept, self.concept]);
+        let action = self.engine.lookupAction(optionsWithArguments.lookupActionName, [contextConcept, self.concept]);
 
         if(action != null) {
             await ActionTrigger.before(action, contexts);
@@ -27,7 +27,7 @@
  */
 
 class Behaviour {
-    constructor(name, triggers, actions, concept, overrideActionName=null) {
+    constructor(name, triggers, actions, concept, overrideActionName=null, queueOptions=null) {
         const self = this;
 
         this.concept = concept;
@@ -40,6 +40,8 @@ class Behaviour {
             actions = [];
         }
 
+        let singleTrigger = !Array.isArray(triggers);
+
         if(!Array.isArray(triggers)) {
             triggers = [triggers];
         }
@@ -52,23 +54,32 @@ class Behaviour {
             name: name,
             triggers: triggers!=null?JSON.parse(JSON.stringify(triggers)):null,
             actions: actions!=null?JSON.parse(JSON.stringify(actions)):null,
-            overrideActionName: overrideActionName
+            overrideActionName: overrideActionName,
+            queueOptions: queueOptions
         }
 
         this.name = name;
 
-        this.triggers = triggers.map((triggerJson)=>{
+        //Serializes the runs of this behaviour, if not set the queue of the concept is used, if any
+        this.queue = queueOptions != null ? new BehaviourQueue(queueOptions) : null;
+
+        this.triggers = triggers.map((triggerJson, index)=>{
             if(typeof triggerJson !== "string") {
 
                 let triggerName = UUIDGenerator.generateUUID("trigger-");
-                let trigger = ConceptLoader.parseTrigger(triggerName, triggerJson);
+
+                //Where the trigger is in the spec, for reporting problems
+                let triggerPath = ["concepts", self.concept.name, "actions", name, "when"];
+                if(!singleTrigger) {
+                    triggerPath.push(index);
+                }
+
+                let trigger = ConceptLoader.parseTrigger(triggerName, triggerJson, self.concept, triggerPath);
 
                 if(trigger != null) {
                     self.concept.addTrigger(trigger);
 
                     return triggerName;
-                } else {
-                    console.warn("Unable to parse anonymous trigger:", triggerJson);
                 }
 
                 return null;
@@ -109,7 +120,7 @@ class Behaviour {
                 let action = null;
 
                 //Check for primitive action first.
-                if(Action.hasPrimitiveAction(actionJson)) {
+                if(Action.hasPrimitiveAction(actionJson, concept)) {
                     action = Action.getPrimitiveAction(actionJson, {}, concept);
                 } else {
                     action = new LookupActionAction("", {
@@ -123,7 +134,7 @@ class Behaviour {
     }
 
     cloneFresh(concept) {
-        return new Behaviour(this.cloneData.name, this.cloneData.triggers, this.cloneData.actions, concept,  this.cloneData.overrideActionName);
+        return new Behaviour(this.cloneData.name, this.cloneData.triggers, this.cloneData.actions, concept,  this.cloneData.overrideActionName, this.cloneData.queueOptions);
     }
 
     setupEvents() {
@@ -136,27 +147,73 @@ class Behaviour {
                 } catch(e) {
                     console.error(e);
                 }
-            }));
+            }, self.concept.engine));
         });
     }
 
+    /**
+     * Runs the action chain for the given trigger. When the behaviour uses a queue, the run is only handed to it, and
+     * this resolves without waiting for the run to happen
+     * @param {string} triggerName
+     * @param {VarvContext[]} context
+     */
     async onTrigger(triggerName, context) {
-        try {
-            await ActionTrigger.before(this.actionChain, context);
-            let resultContext = await this.actionChain.apply(context);
-            await ActionTrigger.after(this.actionChain, resultContext);
-        } catch(e) {
-            if(e instanceof StopError) {
-                //console.log("We stopped the chain: "+e.message);
-            } else {
-                throw e;
-            }
+        const self = this;
+
+        let queue = this.queue != null ? this.queue : this.concept.behaviourQueue;
+        if(queue != null) {
+            //Not awaited, a chain triggering its own lane would otherwise wait for itself
+            queue.run(context, async (run)=>{
+                await self.runChain(context, run);
+            }).catch((e)=>{
+                console.error(e);
+            });
+            return;
         }
+
+        await this.runChain(context);
+    }
+
+    /**
+     * Runs the action chain of this behaviour
+     * @param {VarvContext[]} context
+     * @param {object} [run] - The queued run, if stopped the chain stops before its next action
+     */
+    async runChain(context, run = null) {
+        const self = this;
+
+        if(this.actionChain == null) {
+            //Destroyed while the run was waiting
+            return;
+        }
+
+        //Everything a behaviour run changes is undone together, along with the group that triggered it, if still open
+        await this.concept.engine.journal.group(async (group)=>{
+            //A run is not part of the transaction of the chain that triggered it, if any
+            let runContext = context.map((triggerContext)=>{
+                return Object.assign({}, triggerContext, {transaction: null, journalGroup: group});
+            });
+
+            try {
+                await ActionTrigger.before(self.actionChain, runContext);
+                let resultContext = await self.actionChain.apply(runContext, {}, run);
+                await ActionTrigger.after(self.actionChain, resultContext);
+            } catch(e) {
+                if(e instanceof StopError) {
+                    //console.log("We stopped the chain: "+e.message);
+                } else {
+                    throw e;
+                }
+            }
+        }, Action.getJournalGroup(context));
     }
 
     destroy() {
         const self = this;
 
+        if(this.queue != null) {
+            this.queue.clear();
+        }
 
         this.deleteCallbacks.forEach((deleteCallback)=>{
             deleteCallback.delete();
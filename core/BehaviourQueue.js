@@ -0,0 +1,233 @@
+/**
+ *  BehaviourQueue - Serialized execution of behaviours
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * A queue running the action chains of triggered behaviours one at a time, so quick successive triggers can not
+ * interleave their get/increment/set sequences and lose updates.
+ *
+ * Runs are serialized per lane, either one lane for the whole concept type, or one lane per target instance.
+ * What happens to a trigger while its lane is busy is decided by the policy:
+ * <ul>
+ * <li>queue - Run it when the lane is done with the runs before it (default)</li>
+ * <li>drop - Ignore it</li>
+ * <li>restart - Stop the running chain before its next action, forget anything waiting, and run only the latest trigger</li>
+ * </ul>
+ *
+ * A queue can be given to a single behaviour, or to a concept where all its behaviours without their own queue
+ * share it.
+ *
+ * @example
+ * //Queue all behaviours of the concept, per instance
+ * {
+ *     "concepts": {
+ *         "counter": {
+ *             "queue": "queue",
+ *             "schema": {"count": "number"},
+ *             "actions": {
+ *                 "clicked": {
+ *                     "when": ["click"],
+ *                     "then": [{"get": {"property": "count", "as": "count"}}, {"wait": 100}, {"set": {"count": "$count+1"}}]
+ *                 }
+ *             }
+ *         }
+ *     }
+ * }
+ *
+ * @example
+ * //Only search for the latest input, one search at a time for the whole concept type
+ * "search": {
+ *     "when": [{"stateChanged": {"property": "query"}}],
+ *     "then": ["runSearch"],
+ *     "queue": {"policy": "restart", "per": "concept"}
+ * }
+ */
+class BehaviourQueue {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.policy] - "queue" (default), "drop" or "restart"
+     * @param {string} [options.per] - "instance" (default) or "concept"
+     */
+    constructor(options = {}) {
+        this.policy = options.policy != null ? options.policy : "queue";
+        this.per = options.per != null ? options.per : "instance";
+
+        //The running and waiting runs of each busy lane
+        this.lanes = new Map();
+    }
+
+    /**
+     * Run the given method in the lane of the given contexts, as the policy dictates
+     * @param {VarvContext[]} contexts - The contexts of the trigger
+     * @param {Function} method - An async method running the chain, given the run, whose stopped field tells if the chain should stop
+     * @returns {Promise<void>} - Resolves when the method has run, or was dropped
+     */
+    run(contexts, method) {
+        const self = this;
+
+        let key = this.getLaneKey(contexts);
+
+        let lane = this.lanes.get(key);
+        if(lane == null) {
+            lane = {
+                running: null,
+                waiting: []
+            };
+            this.lanes.set(key, lane);
+        }
+
+        if(lane.running != null) {
+            switch(this.policy) {
+                case "drop":
+                    if(BehaviourQueue.DEBUG) {
+                        console.log("Dropping run, lane busy:", key);
+                    }
+                    return Promise.resolve();
+
+                case "restart":
+                    if(BehaviourQueue.DEBUG) {
+                        console.log("Restarting lane:", key);
+                    }
+                    lane.running.stopped = true;
+                    lane.waiting.forEach((run)=>{
+                        run.resolve();
+                    });
+                    lane.waiting = [];
+                    break;
+            }
+        }
+
+        return new Promise((resolve, reject)=>{
+            lane.waiting.push({
+                method: method,
+                resolve: resolve,
+                reject: reject,
+                stopped: false
+            });
+
+            self.next(key, lane);
+        });
+    }
+
+    /**
+     * Start the next waiting run of the given lane, if it is not busy
+     * @private
+     * @param {string} key
+     * @param {object} lane
+     */
+    next(key, lane) {
+        const self = this;
+
+        if(lane.running != null) {
+            return;
+        }
+
+        let run = lane.waiting.shift();
+        if(run == null) {
+            if(this.lanes.get(key) === lane) {
+                this.lanes.delete(key);
+            }
+            return;
+        }
+
+        lane.running = run;
+
+        run.method(run).then(run.resolve, run.reject).finally(()=>{
+            lane.running = null;
+            self.next(key, lane);
+        });
+    }
+
+    /**
+     * Stops every running chain before its next action, and forgets anything waiting, e.g. when the behaviours using
+     * the queue are destroyed
+     */
+    clear() {
+        this.lanes.forEach((lane)=>{
+            if(lane.running != null) {
+                lane.running.stopped = true;
+            }
+            lane.waiting.forEach((run)=>{
+                run.resolve();
+            });
+            lane.waiting = [];
+        });
+        this.lanes.clear();
+    }
+
+    /**
+     * @private
+     * @param {VarvContext[]} contexts
+     * @returns {string}
+     */
+    getLaneKey(contexts) {
+        if(this.per === "concept") {
+            return "";
+        }
+
+        return contexts.map((context)=>{
+            return context.target;
+        }).join(",");
+    }
+
+    /**
+     * Parses the queue option of a concept or behaviour, reporting problems
+     * @param {string|object} json - A policy name, or an object with policy and per
+     * @param {Array<string|number>} [path] - Where the option is in the spec
+     * @returns {object|null} - The options for a BehaviourQueue, or null if they were invalid
+     */
+    static parse(json, path = []) {
+        if(typeof json === "string") {
+            json = {
+                policy: json
+            };
+        }
+
+        if(json == null || typeof json !== "object" || Array.isArray(json)) {
+            ConceptLoader.report("warning", "Queue must be a policy name or an object with policy and per, ignoring it", path);
+            return null;
+        }
+
+        let options = Object.assign({policy: "queue", per: "instance"}, json);
+
+        if(!BehaviourQueue.policies.includes(options.policy)) {
+            ConceptLoader.report("warning", "Unknown queue policy ["+options.policy+"], expected one of "+BehaviourQueue.policies.join(", ")+", ignoring the queue", path);
+            return null;
+        }
+
+        if(!["instance", "concept"].includes(options.per)) {
+            ConceptLoader.report("warning", "Queue per must be \"instance\" or \"concept\", was ["+options.per+"], ignoring the queue", path);
+            return null;
+        }
+
+        return options;
+    }
+}
+BehaviourQueue.DEBUG = false;
+BehaviourQueue.policies = ["queue", "drop", "restart"];
+
+window.BehaviourQueue = BehaviourQueue;
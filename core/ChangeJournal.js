@@ -0,0 +1,349 @@
+/**
+ *  ChangeJournal - Undo and redo of changes to concept instances
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * A recorded change to a concept instance
+ * @typedef {object} JournalEntry
+ * @property {string} type - "create", "delete" or "set"
+ * @property {string} concept - The name of the concept of the instance
+ * @property {string} uuid - The uuid of the instance
+ * @property {string} [property] - The property that was set
+ * @property {any} [oldValue] - The value of the property before it was set
+ * @property {any} [newValue] - The value the property was set to
+ * @property {object} [values] - The property values of a deleted instance
+ */
+
+/**
+ * The change journal of an engine records the changes made to concept instances, so they can be undone and redone.
+ *
+ * Changes are recorded in groups, every behaviour run and every value entered in a view is one group, and undo and
+ * redo always handle a whole group. Only changes handed a group are recorded, so instances loaded from or
+ * synchronized by the datastores are not, and runs going on at the same time each record their own group. Behaviours
+ * triggered by the changes of a group, while it is open, are part of the group.
+ *
+ * The journal is available as VarvEngine.journal, and through the 'undo' and 'redo' actions.
+ *
+ * @example
+ * //Group changes made from javascript, so they are undone together
+ * await VarvEngine.journal.group(async (group)=>{
+ *     await todoConcept.setPropertyValue(uuid, "done", true, null, null, group);
+ *     await todoConcept.setPropertyValue(uuid, "doneAt", Date.now(), null, null, group);
+ * });
+ *
+ * await VarvEngine.journal.undo();
+ *
+ * @example
+ * //Undo and redo with Ctrl+Z and Ctrl+Y or Ctrl+Shift+Z, this is done by VarvEngine.start
+ * let keys = VarvEngine.journal.bindKeys(document);
+ */
+class ChangeJournal {
+    /**
+     * @param {VarvEngine} engine
+     * @param {object} [options]
+     * @param {number} [options.limit] - How many groups to keep for undo, defaults to 100
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.limit = options.limit != null ? options.limit : 100;
+
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Runs the given method with the changes it makes recorded as one group. The method is handed the group, and only
+     * the changes made by the calls it passes the group on to are recorded.
+     * @param {Function} method - An async method, called with the group
+     * @param {JournalGroup} [outerGroup] - The group of the calling chain, if any, the method is then part of it as long
+     * as it is open
+     * @returns {Promise<any>} - The result of the method
+     */
+    async group(method, outerGroup=null) {
+        if(outerGroup != null && outerGroup.open) {
+            return await method(outerGroup);
+        }
+
+        let group = new JournalGroup();
+
+        try {
+            return await method(group);
+        } finally {
+            group.open = false;
+
+            if(group.entries.length > 0) {
+                this.undoStack.push(group.entries);
+                if(this.undoStack.length > this.limit) {
+                    this.undoStack.shift();
+                }
+                this.redoStack = [];
+
+                await this.changed();
+            }
+        }
+    }
+
+    /**
+     * Records a change in the given group. Changes made in a transaction are only recorded if it commits.
+     * @param {JournalEntry} entry
+     * @param {JournalGroup} group
+     * @param {Transaction} [transaction] - The transaction the change was made in, if any
+     */
+    record(entry, group, transaction=null) {
+        if(ChangeJournal.DEBUG) {
+            console.log("Recording change:", entry);
+        }
+
+        if(transaction != null) {
+            transaction.defer(()=>{
+                group.entries.push(entry);
+            });
+            return;
+        }
+
+        group.entries.push(entry);
+    }
+
+    /**
+     * @returns {boolean} - True if there is something to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} - True if there is something to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undoes the latest group of changes
+     * @returns {Promise<boolean>} - False if there was nothing to undo
+     */
+    async undo() {
+        let group = this.undoStack.pop();
+        if(group == null) {
+            return false;
+        }
+
+        await this.replay(group.slice().reverse(), true);
+        this.redoStack.push(group);
+
+        await this.changed();
+
+        return true;
+    }
+
+    /**
+     * Redoes the latest undone group of changes
+     * @returns {Promise<boolean>} - False if there was nothing to redo
+     */
+    async redo() {
+        let group = this.redoStack.pop();
+        if(group == null) {
+            return false;
+        }
+
+        await this.replay(group, false);
+        this.undoStack.push(group);
+
+        await this.changed();
+
+        return true;
+    }
+
+    /**
+     * Forgets all recorded changes
+     */
+    async clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+
+        await this.changed();
+    }
+
+    /**
+     * Applies the given entries in one transaction, without recording them or running triggers
+     * @private
+     * @param {JournalEntry[]} entries
+     * @param {boolean} undo - Whether to undo or redo the entries
+     */
+    async replay(entries, undo) {
+        const self = this;
+
+        //Values set on instances that the undo deletes again need no undoing
+        let created = new Set();
+        if(undo) {
+            entries.forEach((entry)=>{
+                if(entry.type === "create") {
+                    created.add(entry.uuid);
+                }
+            });
+        }
+
+        //Behaviours reacting to the changes are not run again, what they changed is part of the group already
+        await Trigger.runWithoutTriggers(async (suppression)=>{
+            try {
+                await self.engine.transaction(async (transaction)=>{
+                    for(let entry of entries) {
+                        if(entry.type === "set" && created.has(entry.uuid)) {
+                            continue;
+                        }
+
+                        try {
+                            await self.apply(entry, undo, suppression, transaction);
+                        } catch(e) {
+                            console.warn("Unable to "+(undo ? "undo" : "redo")+" change:", entry, e);
+                        }
+                    }
+                });
+            } catch(e) {
+                console.error("Failed to "+(undo ? "undo" : "redo")+" changes:", e);
+            }
+        }, this.engine);
+    }
+
+    /**
+     * Undoes or redoes the given entry
+     * @private
+     * @param {JournalEntry} entry
+     * @param {boolean} undo
+     * @param {TriggerSuppression} suppression
+     * @param {Transaction} transaction
+     */
+    async apply(entry, undo, suppression, transaction) {
+        let concept = this.engine.getConceptFromType(entry.concept);
+        if(concept == null) {
+            throw new Error("Unknown concept ["+entry.concept+"], it might have been removed from the spec");
+        }
+
+        let exists = this.engine.getConceptFromUUID(entry.uuid) != null;
+
+        switch(entry.type) {
+            case "set": {
+                if(exists) {
+                    await concept.setPropertyValue(entry.uuid, entry.property, undo ? entry.oldValue : entry.newValue, suppression, transaction);
+                }
+                break;
+            }
+            case "create": {
+                if(undo && exists) {
+                    await concept.delete(entry.uuid, suppression, transaction);
+                } else if(!undo && !exists) {
+                    await concept.create(entry.uuid, null, suppression, transaction);
+                }
+                break;
+            }
+            case "delete": {
+                if(undo && !exists) {
+                    await concept.create(entry.uuid, entry.values, suppression, transaction);
+                } else if(!undo && exists) {
+                    await concept.delete(entry.uuid, suppression, transaction);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Lets everyone know that what can be undone or redone changed
+     * @private
+     */
+    async changed() {
+        await this.engine.sendEvent("journalChanged", {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        });
+    }
+
+    /**
+     * Undo with Ctrl+Z, and redo with Ctrl+Y or Ctrl+Shift+Z (Cmd instead of Ctrl on Mac). Keys pressed in text
+     * fields are left to the browser, so editing text is undone as usual.
+     * @param {EventTarget} [target] - Where to listen for keys, defaults to document
+     * @returns {{delete: Function}} - Call delete to stop listening
+     */
+    bindKeys(target = document) {
+        const self = this;
+
+        let listener = (evt)=>{
+            if(!(evt.ctrlKey || evt.metaKey) || evt.altKey || ChangeJournal.isEditable(evt.target)) {
+                return;
+            }
+
+            let key = evt.key.toLowerCase();
+
+            if(key === "z" && !evt.shiftKey) {
+                evt.preventDefault();
+                self.undo();
+            } else if(key === "y" || (key === "z" && evt.shiftKey)) {
+                evt.preventDefault();
+                self.redo();
+            }
+        };
+
+        target.addEventListener("keydown", listener);
+
+        return {
+            delete: ()=>{
+                target.removeEventListener("keydown", listener);
+            }
+        };
+    }
+
+    /**
+     * Checks if the given element is a text field, or otherwise editable
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    static isEditable(element) {
+        if(element == null || element.tagName == null) {
+            return false;
+        }
+
+        return element.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName);
+    }
+}
+ChangeJournal.DEBUG = false;
+
+window.ChangeJournal = ChangeJournal;
+
+/**
+ * The changes recorded for one behaviour run, or one value entered in a view. Like TriggerSuppression, the group is
+ * handed along the calls making the changes, actions get it in their contexts.
+ */
+class JournalGroup {
+    constructor() {
+        /** @type {JournalEntry[]} */
+        this.entries = [];
+
+        //Closed when the run is done, runs joining it later get a group of their own
+        this.open = true;
+    }
+}
+window.JournalGroup = JournalGroup;
@@ -27,8 +27,13 @@
  */
 
 class Concept {
-    constructor(name) {
+    /**
+     * @param {string} name - The name of the concept
+     * @param {VarvEngine} [engine] - The engine the concept lives in, defaults to the default engine
+     */
+    constructor(name, engine) {
         this.name = name;
+        this.engine = engine != null ? engine : VarvEngine.defaultEngine;
         this.properties = new Map();
         this.actions = new Map();
         this.behaviours = new Map();
@@ -36,6 +41,21 @@ class Concept {
         this.mappings = new Map();
 
         this.otherConcepts = new Set();
+
+        //Serializes the runs of the behaviours that have no queue of their own, if set
+        this.behaviourQueue = null;
+
+        //Singleton concepts always have exactly one instance
+        this.singleton = false;
+
+        //The property names identifying an instance besides its uuid, if set
+        this.key = null;
+
+        //Lists of property names whose values taken together must be unique among the instances
+        this.uniqueConstraints = [];
+
+        //Instances being created, their unique constraints are checked before their properties are set
+        this.creating = new Set();
     }
 
     addTrigger(trigger, removeOld=false) {
@@ -130,6 +150,7 @@ class Concept {
             }
         }
 
+        property.concept = this;
         this.properties.set(property.name, property);
     }
 
@@ -159,12 +180,12 @@ class Concept {
         }
     }
 
-    async setPropertyValue(uuid, name, value, skipStateChangeTrigger=false) {
-        await this.getProperty(name).setValue(uuid, value, skipStateChangeTrigger);
+    async setPropertyValue(uuid, name, value, suppression=null, transaction=null, group=null) {
+        await this.getProperty(name).setValue(uuid, value, suppression, transaction, group);
     }
 
-    getPropertyValue(uuid, name) {
-        return this.getProperty(name).getValue(uuid);
+    getPropertyValue(uuid, name, transaction=null) {
+        return this.getProperty(name).getValue(uuid, transaction);
     }
 
     setupTriggers(debug) {
@@ -181,22 +202,14 @@ class Concept {
             trigger.enable(this);
         }
 
-        //We should listen for deleted concepts, and update our property when any we have are deleted...
-        this.deletedTriggerDeleter = Trigger.registerTriggerEvent("deleted", async (contexts)=>{
-            for(let context of contexts) {
-                if(context.target != null) {
-                    let concept = VarvEngine.getConceptFromUUID(context.target);
-                    if(concept != null) {
-                        //A concept was deleted, check if we have any properties with the given concept
-                        for(let property of self.properties.values()) {
-                            if(property.holdsConceptOfType(concept.name)) {
-                                await property.removeAllReferences(self.name, context.target);
-                            }
-                        }
-                    }
+        if(this.singleton) {
+            //Instances arriving from datastores, e.g. made by another client at the same time, are merged
+            this.singletonAppearedDeleter = this.engine.registerEventCallback("appeared", async (context)=>{
+                if(self.engine.getConceptFromUUID(context.target) === self && self.engine.getAllUUIDsFromType(self.name).length > 1) {
+                    await self.ensureSingleton();
                 }
-            }
-        });
+            });
+        }
 
         if(debug) {
             console.groupEnd();
@@ -211,17 +224,244 @@ class Concept {
             trigger.disable(this);
         }
 
-        this.deletedTriggerDeleter.delete();
+
+        if(this.singletonAppearedDeleter != null) {
+            this.singletonAppearedDeleter.delete();
+            this.singletonAppearedDeleter = null;
+        }
+    }
+
+    /**
+     * Makes sure this singleton concept has exactly one instance. The instance is created if missing, and duplicates
+     * are merged into the instance with the lowest uuid, so every client keeps the same one. Values only stored on a
+     * duplicate are moved over, references to the duplicates are pointed to the kept instance, and the duplicates
+     * are deleted, all without triggering anything. The merge is not recorded in the change journal, so undoing the
+     * changes around it never brings the duplicates back.
+     * @returns {Promise<string>} - The uuid of the instance
+     */
+    async ensureSingleton() {
+        const self = this;
+
+        let uuids = this.engine.getAllUUIDsFromType(this.name).slice().sort();
+
+        if(uuids.length === 0) {
+            return await this.create();
+        }
+
+        let keep = uuids[0];
+        let duplicates = uuids.slice(1);
+
+        if(duplicates.length > 0) {
+            console.warn("Merging duplicate instances of singleton concept ["+this.name+"] into ["+keep+"]:", duplicates);
+        }
+
+        await Trigger.runWithoutTriggers(async (suppression)=>{
+            for(let duplicate of duplicates) {
+                for(let property of self.properties.values()) {
+                    if(property.isDerived() || await property.hasStoredValue(keep) || !await property.hasStoredValue(duplicate)) {
+                        continue;
+                    }
+
+                    await property.setValue(keep, await property.getValue(duplicate), suppression);
+                }
+
+                for(let concept of self.engine.concepts) {
+                    for(let property of concept.properties.values()) {
+                        if(!property.isDerived() && property.holdsConceptOfType(self.name)) {
+                            await property.replaceAllReferences(concept.name, duplicate, keep, suppression);
+                        }
+                    }
+                }
+
+                await self.delete(duplicate, suppression);
+            }
+        }, this.engine);
+
+        return keep;
+    }
+
+    /**
+     * All the unique constraints of this concept, from the concept options 'unique' and 'key', and the property option
+     * 'unique'. Array properties use 'unique' for their items instead.
+     * @returns {string[][]}
+     */
+    getUniqueConstraints() {
+        let constraints = this.uniqueConstraints.slice();
+
+        if(this.key != null) {
+            constraints.push(this.key);
+        }
+
+        this.properties.forEach((property)=>{
+            if(property.type !== "array" && property.options != null && property.options.unique === true) {
+                constraints.push([property.name]);
+            }
+        });
+
+        return constraints;
+    }
+
+    /**
+     * Finds an instance holding the given values in the given properties
+     * @param {string[]} propertyNames
+     * @param {object} values - The values, by property name
+     * @param {string} [excludeUUID] - An instance to skip
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @returns {Promise<string|null>}
+     */
+    async findUnique(propertyNames, values, excludeUUID=null, transaction=null) {
+        let uuids = this.engine.getAllUUIDsFromType(this.name);
+
+        //Values written in a transaction are only indexed when it commits
+        if(transaction == null) {
+            for(let propertyName of propertyNames) {
+                let property = this.getProperty(propertyName);
+                if(property.index == null || property.type === "array") {
+                    continue;
+                }
+
+                let candidates = await property.index.lookup(FilterOps.equals, values[propertyName]);
+                if(candidates != null) {
+                    uuids = uuids.filter((uuid)=>{
+                        return candidates.has(uuid);
+                    });
+                    break;
+                }
+            }
+        }
+
+        for(let uuid of uuids) {
+            if(uuid === excludeUUID) {
+                continue;
+            }
+
+            let matches = true;
+            for(let propertyName of propertyNames) {
+                let property = this.getProperty(propertyName);
+
+                if(!property.isSame(await property.getValue(uuid, transaction), values[propertyName])) {
+                    matches = false;
+                    break;
+                }
+            }
+
+            if(matches) {
+                return uuid;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks if giving the instance the given values would break any of the unique constraints of this concept.
+     * Constraints where any of the values is null are never broken.
+     * @param {string} uuid
+     * @param {object} values - The new values, by property name
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @returns {Promise<{properties: string[], uuid: string, reason: string}|null>} - The broken constraint and the instance already holding the values, or null
+     */
+    async findUniqueConflict(uuid, values, transaction=null) {
+        if(this.creating.has(uuid)) {
+            //Checked by create, with all its properties
+            return null;
+        }
+
+        for(let constraint of this.getUniqueConstraints()) {
+            if(!constraint.some((propertyName)=>{return values.hasOwnProperty(propertyName);})) {
+                continue;
+            }
+
+            let constraintValues = {};
+            for(let propertyName of constraint) {
+                let property = this.getProperty(propertyName);
+
+                if(!values.hasOwnProperty(propertyName)) {
+                    constraintValues[propertyName] = await property.getValue(uuid, transaction);
+                    continue;
+                }
+
+                try {
+                    constraintValues[propertyName] = property.typeCast(values[propertyName]);
+                } catch(e) {
+                    //Rejected when validated
+                    constraintValues[propertyName] = values[propertyName];
+                }
+            }
+
+            if(Object.values(constraintValues).some((value)=>{return value == null;})) {
+                continue;
+            }
+
+            let other = await this.findUnique(constraint, constraintValues, uuid, transaction);
+            if(other != null) {
+                return {
+                    properties: constraint,
+                    uuid: other,
+                    reason: "Not unique, ["+constraint.join(", ")+"] is already used by ["+other+"]"
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the instance with the given key
+     *
+     * @example
+     * //With "key": "email"
+     * let uuid = await userConcept.findByKey("someone@example.com");
+     *
+     * //With "key": ["firstName", "lastName"]
+     * let uuid = await userConcept.findByKey({"firstName": "Jane", "lastName": "Doe"});
+     *
+     * @param {any} key - The value of the key property, or the values of the key properties by name
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @returns {Promise<string|null>}
+     */
+    async findByKey(key, transaction=null) {
+        if(this.key == null) {
+            throw new Error("Concept ["+this.name+"] has no key");
+        }
+
+        if(key == null || typeof key !== "object" || Array.isArray(key)) {
+            if(this.key.length !== 1) {
+                throw new Error("The key of concept ["+this.name+"] has the properties ["+this.key.join(", ")+"], give their values by name");
+            }
+
+            key = {[this.key[0]]: key};
+        }
+
+        let values = {};
+        for(let propertyName of this.key) {
+            if(!key.hasOwnProperty(propertyName)) {
+                throw new Error("Missing the value of key property ["+propertyName+"] of concept ["+this.name+"]");
+            }
+
+            values[propertyName] = this.getProperty(propertyName).typeCast(key[propertyName]);
+        }
+
+        return await this.findUnique(this.key, values, null, transaction);
     }
 
-    async create(wantedUUID=null, properties=null){
+    /**
+     * Create an instance of this concept
+     * @param {string} [wantedUUID] - The uuid to give the instance, defaults to a new one
+     * @param {object} [properties] - The property values of the instance, by name
+     * @param {TriggerSuppression} [suppression] - The triggers to suppress
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @param {JournalGroup} [group] - The journal group of the call chain, if any
+     * @returns {Promise<string>} - The uuid of the instance
+     */
+    async create(wantedUUID=null, properties=null, suppression=null, transaction=null, group=null){
         if(wantedUUID == null) {
             wantedUUID = UUIDGenerator.generateUUID("concept");
         } else {
 
             // TODO is this correct?
 
-            let oldConcept = VarvEngine.getConceptFromUUID(wantedUUID);
+            let oldConcept = this.engine.getConceptFromUUID(wantedUUID);
 
             //If already present, just return as if it has been created?
             if(oldConcept != null) {
@@ -233,20 +473,72 @@ class Concept {
             }
         }       
 
-        VarvEngine.registerConceptFromUUID(wantedUUID, this);
-        await this.appeared(wantedUUID);
+        if(this.singleton && this.engine.getAllUUIDsFromType(this.name).length > 0) {
+            throw new StopError("Trying to create another instance of singleton concept ["+this.name+"]");
+        }
+
+        let conflict = await this.findUniqueConflict(wantedUUID, properties != null ? properties : {}, transaction);
+        if(conflict != null) {
+            let property = this.getProperty(conflict.properties[0]);
+            throw new ValidationError(property, properties[property.name], conflict.reason);
+        }
+
+        this.creating.add(wantedUUID);
+        try {
+            await this.createInstance(wantedUUID, properties, suppression, transaction, group);
+        } finally {
+            this.creating.delete(wantedUUID);
+        }
+
+        await this.created(wantedUUID, suppression, transaction, group);
+
+        return wantedUUID;
+    }
+
+    /**
+     * Registers a new instance and sets its properties, with its unique constraints already checked
+     * @private
+     * @param {string} wantedUUID
+     * @param {object} properties
+     * @param {TriggerSuppression} suppression
+     * @param {Transaction} transaction
+     * @param {JournalGroup} group
+     */
+    async createInstance(wantedUUID, properties, suppression, transaction, group) {
+        if(group != null) {
+            this.engine.journal.record({
+                type: "create",
+                concept: this.name,
+                uuid: wantedUUID
+            }, group, transaction);
+        }
+
+        if(transaction != null) {
+            transaction.create(this, wantedUUID);
+        } else {
+            this.engine.registerConceptFromUUID(wantedUUID, this);
+            await this.appeared(wantedUUID);
+        }
 
         if (properties != null) {
             for (let key of Object.keys(properties)) {
                 let value = properties[key];
 
-                await this.setPropertyValue(wantedUUID, key, value, true);
+                await this.setPropertyValue(wantedUUID, key, value, suppression != null ? suppression.with("stateChanged") : true, transaction, group);
             }
         }
 
-        await this.created(wantedUUID);        
+        //Computed defaults are stored like any other value, in the order the properties are declared
+        for(let property of this.properties.values()) {
+            if(!property.hasComputedDefault() || (properties != null && properties.hasOwnProperty(property.name))) {
+                continue;
+            }
 
-        return wantedUUID;
+            let value = await property.computeDefault(wantedUUID, transaction);
+            if(value !== undefined) {
+                await property.setValue(wantedUUID, value, suppression != null ? suppression.with("stateChanged") : true, transaction, group);
+            }
+        }
     }
 
     finishSetup(debug) {
@@ -371,7 +663,7 @@ class Concept {
 
     unmapProperty(property) {
         this.mappings.get(property.name).forEach((datastoreName)=>{
-            let datastore = Datastore.getDatastoreFromName(datastoreName);
+            let datastore = this.engine.getDatastoreFromName(datastoreName);
             if(datastore != null) {
                 datastore.removeBackingStore(this, property);
             } else {
@@ -395,7 +687,7 @@ class Concept {
             }
 
             propertyMappings.forEach((datastoreName)=>{
-                let datastore = Datastore.getDatastoreFromName(datastoreName);
+                let datastore = this.engine.getDatastoreFromName(datastoreName);
                 if(datastore != null) {
                     datastore.createBackingStore(this, property);
                 } else {
@@ -405,39 +697,187 @@ class Concept {
         });
     }
 
-    async delete(uuid){
+    /**
+     * Delete an instance of this concept
+     * @param {string} uuid
+     * @param {TriggerSuppression} [suppression] - The triggers to suppress
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any, the instance then disappears
+     * when it commits
+     * @param {JournalGroup} [group] - The journal group of the call chain, if any
+     * @param {boolean} [restrictionsChecked] - If the onDelete "restrict" references have already been checked, for
+     * this and everything deleted along with it
+     */
+    async delete(uuid, suppression=null, transaction=null, group=null, restrictionsChecked=false){
+        if(this.engine.getConceptFromUUID(uuid) == null) {
+            //Not registered, nothing to delete
+            return;
+        }
+
+        if(!restrictionsChecked) {
+            await this.checkDeleteRestrictions(uuid, transaction);
+        }
+
         // Trigger deleted() trigger with target set to uuid
-        await this.deleted(uuid);
+        await this.deleted(uuid, suppression, transaction, group);
+
+        await this.applyDeletePolicies(uuid, suppression, transaction, group);
+
+        if(group != null) {
+            //Remember the values, so the instance can be recreated if the delete is undone
+            let values = {};
+            for(let property of this.properties.values()) {
+                if(property.isDerived()) {
+                    continue;
+                }
+                try {
+                    values[property.name] = await property.getValue(uuid, transaction);
+                } catch(e) {
+                    //Never set, nothing to remember
+                }
+            }
+
+            this.engine.journal.record({
+                type: "delete",
+                concept: this.name,
+                uuid: uuid,
+                values: values
+            }, group, transaction);
+        }
+
+        if(transaction != null) {
+            transaction.delete(this, uuid);
+            return;
+        }
 
         await this.disappeared(uuid);
     }
 
-    async deleted(uuid) {
+    /**
+     * Applies the onDelete policies of the properties referencing the given instance, deleting the referrers of
+     * "cascade" properties and removing the references of the others. Restrictions were checked when the delete started.
+     * @param {string} uuid
+     * @param {TriggerSuppression} [suppression] - The triggers to suppress
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @param {JournalGroup} [group] - The journal group of the call chain, if any
+     */
+    async applyDeletePolicies(uuid, suppression=null, transaction=null, group=null) {
+        for(let {concept, property} of this.engine.getReferencingProperties(this.name)) {
+            if(property.getDeletePolicy() === "cascade") {
+                for(let referrer of await property.findReferrers(concept.name, uuid, transaction)) {
+                    if(this.engine.getConceptFromUUID(referrer) != null) {
+                        await concept.delete(referrer, suppression, transaction, group, true);
+                    }
+                }
+            } else {
+                await property.removeAllReferences(concept.name, uuid, suppression, transaction, group);
+            }
+        }
+    }
+
+    /**
+     * Throws a StopError if the given instance, or any instance that would be deleted along with it through onDelete
+     * "cascade", is referenced through an onDelete "restrict" property by an instance that is not deleted
+     * @param {string} uuid
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     */
+    async checkDeleteRestrictions(uuid, transaction=null) {
+        if(this.engine.getConceptFromUUID(uuid) == null) {
+            //Not registered, deleting it changes nothing
+            return;
+        }
+
+        let deletions = await this.findCascadedDeletions(uuid, transaction);
+
+        for(let deletion of deletions) {
+            let deletionConcept = this.engine.getConceptFromUUID(deletion);
+            if(deletionConcept == null) {
+                continue;
+            }
+
+            for(let {concept, property} of this.engine.getReferencingProperties(deletionConcept.name)) {
+                if(property.getDeletePolicy() !== "restrict") {
+                    continue;
+                }
+
+                for(let referrer of await property.findReferrers(concept.name, deletion, transaction)) {
+                    if(!deletions.has(referrer)) {
+                        throw new StopError("Unable to delete ["+deletion+"], it is referenced by ["+concept.name+"."+property.name+"] of ["+referrer+"]");
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Finds the instances that would be deleted along with the given one, through onDelete "cascade" references
+     * @param {string} uuid
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @param {Set<string>} [deletions] - Instances already found
+     * @returns {Promise<Set<string>>} - The given instance, and all that would be deleted with it
+     */
+    async findCascadedDeletions(uuid, transaction=null, deletions=new Set()) {
+        if(deletions.has(uuid)) {
+            return deletions;
+        }
+        deletions.add(uuid);
+
+        let concept = this.engine.getConceptFromUUID(uuid);
+        if(concept == null) {
+            return deletions;
+        }
+
+        for(let referencing of this.engine.getReferencingProperties(concept.name)) {
+            if(referencing.property.getDeletePolicy() !== "cascade") {
+                continue;
+            }
+
+            for(let referrer of await referencing.property.findReferrers(referencing.concept.name, uuid, transaction)) {
+                await this.findCascadedDeletions(referrer, transaction, deletions);
+            }
+        }
+
+        return deletions;
+    }
+
+    async deleted(uuid, suppression=null, transaction=null, group=null) {
         await Trigger.trigger("deleted", {
-            target: uuid
-        });
+            target: uuid,
+            journalGroup: group
+        }, this.engine, suppression, transaction);
     }
 
-    async created(uuid) {
+    async created(uuid, suppression=null, transaction=null, group=null) {
         await Trigger.trigger("created", {
-            target: uuid
-        });
+            target: uuid,
+            journalGroup: group
+        }, this.engine, suppression, transaction);
     }
 
     async appeared(uuid) {
         // This instance just appeared in at least one datastore
-        await VarvEngine.sendEvent("appeared", {
+        await this.engine.sendEvent("appeared", {
             target: uuid
         });
     }
     async disappeared(uuid) {
         // This instance just disappeared in at least one datastore
-        await VarvEngine.sendEvent("disappeared", {
+        await this.engine.sendEvent("disappeared", {
             target: uuid
         });
 
+        //Forget memoized derived values, the uuid might be created again
+        for(let property of this.properties.values()) {
+            property.derivedValues.delete(uuid);
+        }
+
         //Unregister the UUID
-        VarvEngine.deregisterConceptFromUUID(uuid);
+        this.engine.deregisterConceptFromUUID(uuid);
+
+        //Now the instance is gone from selects as well
+        await this.engine.sendEvent("deregistered", {
+            target: uuid,
+            concept: this.name
+        });
     }
 
     async destroy() {
@@ -455,8 +895,9 @@ class Concept {
             if(Concept.DEBUG) {
                 console.log("Derigestering property:", property);
             }
+            property.destroy();
             //Brute force trying to remove from any datastore known to mankind...
-            Datastore.datastores.forEach((datastore)=>{
+            this.engine.datastores.forEach((datastore)=>{
                 try {
                     datastore.removeBackingStore(self, property);
                 } catch(e) {
@@ -469,6 +910,9 @@ class Concept {
         for(let behaviour of this.behaviours.values()) {
             behaviour.destroy();
         }
+        if(this.behaviourQueue != null) {
+            this.behaviourQueue.clear();
+        }
 
         //Destroy actions
         this.actions = null;
@@ -480,7 +924,7 @@ class Concept {
         if(Concept.DEBUG) {
             console.log("Deregistering from VarvEngine...");
         }
-        VarvEngine.deregisterConceptFromType(this.name);
+        this.engine.deregisterConceptFromType(this.name);
     }
 
     isA(conceptType) {
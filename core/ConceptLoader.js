@@ -47,49 +47,67 @@ class ConceptLoader {
         this._SystemDefaultMappings = mappings;
     }
 
-    static parseSpec(json) {
-        let parsedSpec = {
-            "concepts":[],
-            "dataStores": []
+    /**
+     * Parses the given json spec into concepts and datastores, without loading them
+     * @param {object} json
+     * @param {VarvEngine} [engine] - The engine to parse for, defaults to the default engine
+     * @param {LoadDiagnostics} [diagnostics] - Where to report problems, they are logged to the console if not given
+     * @returns {{concepts: Concept[], dataStores: Datastore[], migrations: object[]}}
+     */
+    static parseSpec(json, engine = VarvEngine.defaultEngine, diagnostics = null) {
+        //Start parse group
+        if(ConceptLoader.DEBUG) {
+            console.groupCollapsed("Parsing: ", json);
         }
 
-        function getConceptFromName(name) {
-            return parsedSpec.concepts.find((concept)=>{
-                return concept.name === name;
-            });
+        let parsedSpec = {
+            "dataStores": ConceptLoader.parseDataStores(json, engine, diagnostics),
+            "concepts": ConceptLoader.parseConcepts(json, engine, diagnostics),
+            "migrations": ConceptLoader.withDiagnostics(diagnostics, ()=>{
+                return SpecMigrations.parse(json);
+            })
         }
 
-        //Start parse group
+        //End Parse group
         if(ConceptLoader.DEBUG) {
-            console.groupCollapsed("Parsing: ", json);
+            console.groupEnd();
         }
 
+        return parsedSpec;
+    }
+
+    /**
+     * Parses the dataStores of the given json spec, including the default ones
+     * @param {object} json
+     * @param {VarvEngine} [engine] - The engine to parse for, defaults to the default engine
+     * @param {LoadDiagnostics} [diagnostics] - Where to report problems
+     * @returns {Datastore[]}
+     */
+    static parseDataStores(json, engine = VarvEngine.defaultEngine, diagnostics = null) {
+        return ConceptLoader.withDiagnostics(diagnostics, ()=>{
+            return ConceptLoader.parseDataStoresInternal(json, engine);
+        });
+    }
+
+    static parseDataStoresInternal(json, engine) {
+        let parsedDataStores = [];
+
         //Start datastore group
         if(ConceptLoader.DEBUG) {
             console.groupCollapsed("Parsing dataStores...");
         }
 
-        const dataStores = {
-            "dom": {
-                "type": "dom",
-                "options": {default: true}
-            },
-            "memory": {
-                "type": "memory",
-                "options": {default: true}
-            },
-            "localStorage": {
-                "type": "localStorage",
-                "options": {default: true}
-            }
-        };
+        const dataStores = {};
 
-        if(Datastore.getDatastoreType("cauldron") != null) {
-            dataStores.cauldron = {
-                "type": "cauldron",
-                "options": {default: true}
-            };
-        }
+        //Only setup default datastores for the types that are actually available, headless runs might not have them all
+        ["dom", "memory", "localStorage", "cauldron"].forEach((type)=>{
+            if(Datastore.getDatastoreType(type) != null) {
+                dataStores[type] = {
+                    "type": type,
+                    "options": {default: true}
+                };
+            }
+        });
 
         if(ConceptLoader.DEBUG) {
             console.log("Default dataStores:", Object.assign({},dataStores));
@@ -109,8 +127,14 @@ class ConceptLoader {
             }
             let dataStoreClass = Datastore.getDatastoreType(dataStoreConfig.type);
 
-            let dataStoreInstance = new dataStoreClass(dataStoreKey, dataStoreConfig.options);
-            parsedSpec.dataStores.push(dataStoreInstance);
+            if(dataStoreClass == null) {
+                let error = new Error("Unknown dataStore type ["+dataStoreConfig.type+"] for dataStore ["+dataStoreKey+"]");
+                error.diagnostic = ConceptLoader.report("error", error.message, ["dataStores", dataStoreKey, "type"]);
+                throw error;
+            }
+
+            let dataStoreInstance = new dataStoreClass(dataStoreKey, dataStoreConfig.options, engine);
+            parsedDataStores.push(dataStoreInstance);
         }
 
         //End datastore group
@@ -118,6 +142,31 @@ class ConceptLoader {
             console.groupEnd();
         }
 
+        return parsedDataStores;
+    }
+
+    /**
+     * Parses the concepts of the given json spec and applies the extensions to them
+     * @param {object} json - Sugared concept extensions are added to json.extensions
+     * @param {VarvEngine} [engine] - The engine to parse for, defaults to the default engine
+     * @param {LoadDiagnostics} [diagnostics] - Where to report problems
+     * @returns {Concept[]}
+     */
+    static parseConcepts(json, engine = VarvEngine.defaultEngine, diagnostics = null) {
+        return ConceptLoader.withDiagnostics(diagnostics, ()=>{
+            return ConceptLoader.parseConceptsInternal(json, engine);
+        });
+    }
+
+    static parseConceptsInternal(json, engine) {
+        let concepts = [];
+
+        function getConceptFromName(name) {
+            return concepts.find((concept)=>{
+                return concept.name === name;
+            });
+        }
+
         if(json.concepts != null) {
             // Go through every concept in this JSON
             Object.keys(json.concepts).forEach((conceptName) => {
@@ -127,9 +176,28 @@ class ConceptLoader {
                     console.groupCollapsed("Concept:", conceptName);
                 }
 
-                let concept = new Concept(conceptName);
+                let concept = new Concept(conceptName, engine);
                 //VarvEngine.registerConceptFromType(conceptName, concept);
 
+                concept.singleton = conceptJson.singleton === true;
+
+                if(conceptJson.key != null) {
+                    concept.key = Array.isArray(conceptJson.key) ? conceptJson.key : [conceptJson.key];
+                }
+
+                if(Array.isArray(conceptJson.unique)) {
+                    concept.uniqueConstraints = conceptJson.unique.map((constraint)=>{
+                        return Array.isArray(constraint) ? constraint : [constraint];
+                    });
+                }
+
+                if(conceptJson.queue != null) {
+                    let queueOptions = BehaviourQueue.parse(conceptJson.queue, ["concepts", conceptName, "queue"]);
+                    if(queueOptions != null) {
+                        concept.behaviourQueue = new BehaviourQueue(queueOptions);
+                    }
+                }
+
                 let structure = conceptJson.structure || conceptJson.schema;
 
                 // Find the properties of this Concept
@@ -176,7 +244,12 @@ class ConceptLoader {
                             concept.addBehaviour(behaviour);
                         } else {
                             //This is a behaviour action, with either then or when or both...
-                            let behaviour = new Behaviour(actionName, actionSetup.when, actionSetup.then, concept, actionName);
+                            let queueOptions = null;
+                            if(actionSetup.queue != null) {
+                                queueOptions = BehaviourQueue.parse(actionSetup.queue, ["concepts", conceptName, "actions", actionName, "queue"]);
+                            }
+
+                            let behaviour = new Behaviour(actionName, actionSetup.when, actionSetup.then, concept, actionName, queueOptions);
 
                             if (ConceptLoader.DEBUG) {
                                 console.log("Behaviour:", behaviour);
@@ -265,7 +338,7 @@ class ConceptLoader {
                             }
 
                             default:
-                                console.log("Unknown extension type:", extensionType, extensionSetup);
+                                ConceptLoader.report("warning", "Unknown extension type ["+extensionType+"] on concept ["+conceptName+"]", ["concepts", conceptName, "extensions", extensionType]);
                         }
                     });
 
@@ -278,7 +351,7 @@ class ConceptLoader {
                     console.groupEnd();
                 }
 
-                parsedSpec.concepts.push(concept);
+                concepts.push(concept);
             });
         }
 
@@ -314,8 +387,8 @@ class ConceptLoader {
                         let potentialClash = getConceptFromName(extension.as);
                         if (potentialClash) throw new Error("Join extension with 'as' target concept name '" + extension.as + "' that already exists: " + JSON.stringify(extension));
 
-                        let concept = new Concept(extension.as);
-                        parsedSpec.concepts.push(concept);
+                        let concept = new Concept(extension.as, engine);
+                        concepts.push(concept);
 
                         if (ConceptLoader.DEBUG) {
                             console.groupCollapsed("Joining into " + extension.as + ":");
@@ -359,8 +432,8 @@ class ConceptLoader {
                             if(getConceptFromName(extension.as) != null) {
                                 throw new Error("Pick extension option 'as' another concept with that name already exists: "+JSON.stringify(extension));
                             }
-                            toConcept = new Concept(extension.as);
-                            parsedSpec.concepts.push(toConcept);
+                            toConcept = new Concept(extension.as, engine);
+                            concepts.push(toConcept);
                         } else if(extension.into != null) {
                             toConcept = getConceptFromName(extension.into);
                         }
@@ -397,7 +470,7 @@ class ConceptLoader {
                         throw new Error("Unsupported extension: " + JSON.stringify(extension));
                     }
                 } catch(e) {
-                    console.warn(e);
+                    ConceptLoader.report("error", e.message, ConceptLoader.getExtensionPath(extension));
                 }
             });
         }
@@ -405,20 +478,16 @@ class ConceptLoader {
             console.groupEnd();
         }
 
-        //End Parse group
-        if(ConceptLoader.DEBUG) {
-            console.groupEnd();
-        }
-
-        return parsedSpec;
+        return concepts;
     }
 
     /**
      *
-     * @param {object} json
+     * @param {object} spec - A spec parsed by parseSpec
+     * @param {VarvEngine} [engine] - The engine to load into, defaults to the default engine
      * @returns {Promise<any[]>}
      */
-    static async loadSpec(spec) {
+    static async loadSpec(spec, engine = VarvEngine.defaultEngine) {
         if(ConceptLoader.DEBUG) {
             console.groupCollapsed("Loading: ", spec);
         }
@@ -431,7 +500,7 @@ class ConceptLoader {
             if(ConceptLoader.DEBUG) {
                 console.log(concept);
             }
-            VarvEngine.registerConceptFromType(concept.name, concept);
+            engine.registerConceptFromType(concept.name, concept);
         });
 
         if(ConceptLoader.DEBUG) {
@@ -448,7 +517,7 @@ class ConceptLoader {
             }
             await dataStore.init();
 
-            Datastore.datastores.set(dataStore.name, dataStore);
+            engine.datastores.set(dataStore.name, dataStore);
         }
 
         if(ConceptLoader.DEBUG) {
@@ -471,11 +540,17 @@ class ConceptLoader {
             console.groupCollapsed("Loading backing store...");
         }
 
-        // Run all datastore load methods
-        for(let datastore of Array.from(Datastore.datastores.values())) {
-            await Trigger.runWithoutTriggers(async ()=>{
-                await datastore.loadBackingStore();
-            });
+        // Run all datastore load methods, bringing their persisted data up to date with the spec first
+        for(let datastore of Array.from(engine.datastores.values())) {
+            try {
+                await SpecMigrations.migrate(datastore, spec.migrations != null ? spec.migrations : []);
+            } catch(e) {
+                console.error("Failed to migrate the data of datastore ["+datastore.name+"], loading it as is:", e);
+            }
+
+            await Trigger.runWithoutTriggers(async (suppression)=>{
+                await datastore.loadBackingStore(suppression);
+            }, engine);
         }
 
         if(ConceptLoader.DEBUG) {
@@ -494,13 +569,128 @@ class ConceptLoader {
             console.groupEnd();
         }
 
+        await ConceptLoader.ensureSingletons(spec.concepts);
+
         if(ConceptLoader.DEBUG) {
             console.groupEnd();
         }
 
         return spec.concepts;
     }
+
+    /**
+     * Makes sure the singleton concepts among the given concepts have exactly one instance, see Concept.ensureSingleton
+     * @param {Concept[]} concepts
+     * @returns {Promise<void>}
+     */
+    static async ensureSingletons(concepts) {
+        for(let concept of concepts) {
+            if(concept.singleton) {
+                try {
+                    await concept.ensureSingleton();
+                } catch(e) {
+                    console.error("Unable to ensure the instance of singleton concept ["+concept.name+"]:", e);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Loads concepts parsed by parseConcepts into an engine that already has its datastores loaded,
+     * used when only part of a spec is reloaded
+     * @param {Concept[]} concepts
+     * @param {VarvEngine} [engine] - The engine to load into, defaults to the default engine
+     * @param {Map<string, string[]>} [instances] - Instance UUIDs to hand to the concepts, by concept name
+     * @returns {Concept[]}
+     */
+    static loadConcepts(concepts, engine = VarvEngine.defaultEngine, instances = new Map()) {
+        if(ConceptLoader.DEBUG) {
+            console.groupCollapsed("Loading concepts: ", concepts);
+        }
+
+        concepts.forEach((concept)=>{
+            engine.registerConceptFromType(concept.name, concept);
+        });
+
+        concepts.forEach((concept)=>{
+            concept.enableMappings(ConceptLoader.DEBUG);
+
+            let uuids = instances.get(concept.name);
+            if(uuids != null) {
+                uuids.forEach((uuid)=>{
+                    engine.registerConceptFromUUID(uuid, concept);
+                });
+            }
+        });
+
+        concepts.forEach((concept)=>{
+            concept.finishSetup(ConceptLoader.DEBUG);
+        });
+
+        if(ConceptLoader.DEBUG) {
+            console.groupEnd();
+        }
+
+        return concepts;
+    }
     
+    /**
+     * Runs the given method with the diagnostics that ConceptLoader.report should report to.
+     * Parsing is synchronous, so there is only ever one spec being parsed.
+     * @param {LoadDiagnostics} diagnostics
+     * @param {Function} method
+     * @returns {any} - The result of method
+     */
+    static withDiagnostics(diagnostics, method) {
+        let previousDiagnostics = ConceptLoader.diagnostics;
+        ConceptLoader.diagnostics = diagnostics;
+
+        try {
+            return method();
+        } finally {
+            ConceptLoader.diagnostics = previousDiagnostics;
+        }
+    }
+
+    /**
+     * Reports a problem found while parsing, to the current diagnostics or to the console if there are none
+     * @param {string} severity - "error", "warning" or "info"
+     * @param {string} message
+     * @param {Array<string|number>} [path] - Where the problem is in the spec
+     * @returns {Diagnostic|null}
+     */
+    static report(severity, message, path = []) {
+        if(ConceptLoader.diagnostics != null) {
+            return ConceptLoader.diagnostics.report(severity, message, path);
+        }
+
+        console.warn(message, LoadDiagnostics.pathToString(path));
+
+        return null;
+    }
+
+    /**
+     * Get the path of an extension in the spec. Extensions sugared on a concept are not in the spec themselves,
+     * so they point to the extensions of the concept instead.
+     * @param {object} extension
+     * @returns {Array<string|number>}
+     */
+    static getExtensionPath(extension) {
+        if(ConceptLoader.diagnostics != null) {
+            let path = ConceptLoader.diagnostics.pathOf(extension);
+            if(path != null) {
+                return path;
+            }
+        }
+
+        let conceptName = extension.into != null ? extension.into : extension.concept;
+        if(conceptName != null) {
+            return ["concepts", conceptName, "extensions"];
+        }
+
+        return ["extensions"];
+    }
+
     static getMappingsForProperty(conceptJson, propertyName){
         // System-level default
         let propertyMappings = ConceptLoader.SystemDefaultMappings;
@@ -516,14 +706,21 @@ class ConceptLoader {
     }
     
 
-    static parseTrigger(triggerName, triggerJson) {
+    /**
+     * @param {string} triggerName
+     * @param {object} triggerJson
+     * @param {Concept} concept
+     * @param {Array<string|number>} [path] - Where the trigger is in the spec, used when reporting problems
+     * @returns {Trigger|null} - The trigger, or null if it could not be parsed
+     */
+    static parseTrigger(triggerName, triggerJson, concept, path = []) {
         let triggerType = Object.keys(triggerJson)[0];
         let triggerOptions = triggerJson[triggerType];
 
         try {
-            return Trigger.getTrigger(triggerType, triggerName, triggerOptions);
+            return Trigger.getTrigger(triggerType, triggerName, triggerOptions, concept);
         } catch (e) {
-            console.warn(e);
+            ConceptLoader.report("error", "Unable to parse trigger ["+triggerType+"]: "+e.message, path);
         }
 
         return null;
@@ -534,7 +731,7 @@ class ConceptLoader {
 
         actionSetup.forEach((actionPart) => {
             if(typeof actionPart === "string") {
-                if(Action.hasPrimitiveAction(actionPart)) {
+                if(Action.hasPrimitiveAction(actionPart, concept)) {
                     chain.addAction(Action.getPrimitiveAction(actionPart, {}, concept));
                 } else {
                     let lookupAction = new LookupActionAction("", {
@@ -569,4 +766,5 @@ class ConceptLoader {
 }
 
 ConceptLoader.DEBUG = false;
+ConceptLoader.diagnostics = null;
 window.ConceptLoader = ConceptLoader;
@@ -28,9 +28,15 @@
 
 // superclass for all datastores (mostly empty for potential later introspection code)
 class Datastore {
-    constructor(name, options){
+    /**
+     * @param {string} name - The name of the datastore
+     * @param {object} options - The options of the datastore
+     * @param {VarvEngine} [engine] - The engine the datastore lives in, defaults to the default engine
+     */
+    constructor(name, options, engine){
         this.name = name;
         this.options = options;
+        this.engine = engine != null ? engine : VarvEngine.defaultEngine;
         this.mappedConcepts = new Map();
     }
     
@@ -82,8 +88,55 @@ class Datastore {
         throw new Error("destroy, should always be overridden in Datastore subclass");
     }
 
+    /**
+     * Get the version of the last spec migration run on the data persisted by this datastore
+     * @returns {Promise<number>} - 0 if no migrations have been run
+     */
+    async getMigrationVersion() {
+        return 0;
+    }
+
+    /**
+     * Record the version of the last spec migration run on the data persisted by this datastore
+     * @param {number} version
+     * @returns {Promise<void>}
+     */
+    async setMigrationVersion(version) {
+        // Nothing persisted, nothing to record
+    }
+
+    /**
+     * Read all concept instances persisted by this datastore, before they are loaded, so they can be migrated
+     * @returns {Promise<MigrationRecord[]|null>} - null if this datastore does not persist anything
+     */
+    async readMigrationRecords() {
+        return null;
+    }
+
+    /**
+     * Replace all concept instances persisted by this datastore with the given migrated ones
+     * @param {MigrationRecord[]} records
+     * @returns {Promise<void>}
+     */
+    async writeMigrationRecords(records) {
+        throw new Error("writeMigrationRecords, should be overridden in Datastore subclasses that persist data");
+    }
+
+    /**
+     * Get the named datastore from the default engine
+     * @param {string} name
+     * @returns {Datastore}
+     */
     static getDatastoreFromName(name) {
-        return Datastore.datastores.get(name);
+        return VarvEngine.defaultEngine.getDatastoreFromName(name);
+    }
+
+    /**
+     * The datastores of the default engine
+     * @returns {Map<string, Datastore>}
+     */
+    static get datastores() {
+        return VarvEngine.defaultEngine.datastores;
     }
 
     static registerDatastoreType(name, datastoreType) {
@@ -95,7 +148,6 @@ class Datastore {
     }
 }
 Datastore.DEBUG = false;
-Datastore.datastores = new Map();
 Datastore.datastoreTypes = new Map();
 
 window.Datastore = Datastore;
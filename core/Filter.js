@@ -52,16 +52,31 @@ class Filter {
         return false;
     }
 
+    /**
+     * Finds the instances of the given concept that could pass this filter, without looking at each of them
+     * @param {Concept} concept
+     * @returns {Promise<Set<string>|null>} - null if all instances could pass
+     */
+    async findCandidates(concept) {
+        return null;
+    }
+
     /**
      * Filter based on the given values and operator
      * @param {any} value
      * @param {any} compareValue
      * @param {FilterOps} op
+     * @param {string} [type] - The property type of the value, date, datetime and duration values are compared by time
      * @returns {boolean}
      */
-    static filterValue(value, compareValue, op) {
+    static filterValue(value, compareValue, op, type=null) {
         let pass = false;
 
+        if(TemporalValues.isTemporalType(type) && value != null && compareValue != null) {
+            value = TemporalValues.toComparable(value, type);
+            compareValue = TemporalValues.toComparable(compareValue, type);
+        }
+
         switch(op) {
             case FilterOps.matches: {
                 let regexp = new RegExp(compareValue);
@@ -161,25 +176,25 @@ class FilterProperty extends Filter {
     allowedTypes() {
         switch(this.op) {
             case FilterOps.equals: {
-                return ["boolean", "number", "string", "concept"];
+                return ["boolean", "number", "string", "concept", "date", "datetime", "duration"];
             }
             case FilterOps.matches: {
                 return ["string"];
             }
             case FilterOps.unequals: {
-                return ["boolean", "number", "string", "concept"];
+                return ["boolean", "number", "string", "concept", "date", "datetime", "duration"];
             }
             case FilterOps.greaterThan: {
-                return ["number", "string"];
+                return ["number", "string", "date", "datetime", "duration"];
             }
             case FilterOps.lessThan: {
-                return ["number", "string"];
+                return ["number", "string", "date", "datetime", "duration"];
             }
             case FilterOps.greaterOrEquals: {
-                return ["number", "string"];
+                return ["number", "string", "date", "datetime", "duration"];
             }
             case FilterOps.lessOrEquals: {
-                return ["number", "string"];
+                return ["number", "string", "date", "datetime", "duration"];
             }
             case FilterOps.startsWith: {
                 return ["string"];
@@ -200,7 +215,7 @@ class FilterProperty extends Filter {
     }
 
     async filter(context, localConcept) {
-        let lookup = VarvEngine.lookupProperty(context.target, localConcept, this.property);
+        let lookup = VarvEngine.of(localConcept).lookupProperty(context.target, localConcept, this.property);
 
         if(lookup == null) {
             throw new Error("No property ["+this.property+"] found!");
@@ -219,7 +234,33 @@ class FilterProperty extends Filter {
             throw new Error("Op ["+this.op+"] does not work on property type ["+property.type+"] from property ["+property.name+"]");
         }
 
-        let value = await property.getValue(target);
+        let value = await property.getValue(target, context.transaction);
+
+        let typeCastedValue = this.value;
+        try {
+            typeCastedValue = property.typeCast(this.value);
+        } catch(e) {
+            //Ignore
+        }
+
+        return Filter.filterValue(value, typeCastedValue, this.op, property.type);
+    }
+
+    /**
+     * Finds the candidates using the index of the property, if it is a property of the given concept with an index
+     * @param {Concept} concept
+     * @returns {Promise<Set<string>|null>}
+     */
+    async findCandidates(concept) {
+        let split = VarvEngine.splitReference(this.property);
+        if(split.conceptName != null && split.conceptName !== concept.name) {
+            return null;
+        }
+
+        let property = concept.properties.get(split.name);
+        if(property == null || property.index == null) {
+            return null;
+        }
 
         let typeCastedValue = this.value;
         try {
@@ -228,7 +269,7 @@ class FilterProperty extends Filter {
             //Ignore
         }
 
-        return Filter.filterValue(value, typeCastedValue, this.op);
+        return await property.index.lookup(this.op, typeCastedValue);
     }
 }
 window.FilterProperty = FilterProperty;
@@ -391,7 +432,7 @@ class FilterConcept extends Filter {
     }
 
     async filter(context, localConcept) {
-        let concept = VarvEngine.getConceptFromUUID(context.target);
+        let concept = VarvEngine.of(localConcept).getConceptFromUUID(context.target);
 
         if(concept == null) {
             return false;
@@ -419,6 +460,24 @@ class FilterOr extends Filter {
 
         return pass;
     }
+
+    async findCandidates(concept) {
+        let candidates = new Set();
+
+        for(let filter of this.filters) {
+            let filterCandidates = filter != null ? await filter.findCandidates(concept) : null;
+
+            if(filterCandidates == null) {
+                return null;
+            }
+
+            filterCandidates.forEach((uuid)=>{
+                candidates.add(uuid);
+            });
+        }
+
+        return candidates;
+    }
 }
 window.FilterOr = FilterOr;
 
@@ -438,6 +497,22 @@ class FilterAnd extends Filter {
 
         return pass;
     }
+
+    async findCandidates(concept) {
+        let candidates = null;
+
+        for(let filter of this.filters) {
+            let filterCandidates = filter != null ? await filter.findCandidates(concept) : null;
+
+            if(filterCandidates != null) {
+                candidates = candidates == null ? filterCandidates : new Set(Array.from(candidates).filter((uuid)=>{
+                    return filterCandidates.has(uuid);
+                }));
+            }
+        }
+
+        return candidates;
+    }
 }
 window.FilterAnd = FilterAnd;
 
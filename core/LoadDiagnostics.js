@@ -0,0 +1,318 @@
+/**
+ *  LoadDiagnostics - Problems found while loading specs
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * A single problem found while loading a spec
+ * @typedef {object} Diagnostic
+ * @property {string} severity - "error", "warning" or "info"
+ * @property {string} message - A human readable description of the problem
+ * @property {string|null} fragment - The id of the spec entry the problem was found in, if known
+ * @property {string} path - The path of the problem inside the spec, e.g. "concepts.todo.actions.tick.when[0]"
+ * @property {number|null} line - The line in the spec entry, starting at 1, if known
+ * @property {number|null} column - The column in the spec entry, starting at 1, if known
+ */
+
+/**
+ * Collects diagnostics while specs are merged and parsed, and locates them in the spec entry
+ * they came from. The VarvEngine publishes them through its "loadDiagnostics" event after each load.
+ *
+ * @example
+ * VarvEngine.registerEventCallback("loadDiagnostics", (diagnostics)=>{
+ *     diagnostics.forEach((diagnostic)=>{
+ *         console.log(diagnostic.severity, diagnostic.fragment+":"+diagnostic.line, diagnostic.path, diagnostic.message);
+ *     });
+ * });
+ */
+class LoadDiagnostics {
+    constructor() {
+        this.diagnostics = [];
+        this.sources = [];
+
+        //The path of each diagnostic, as keys and indices
+        this.paths = new Map();
+
+        //Diagnostics from this index on were found while parsing, the ones before while merging
+        this.parseStart = 0;
+        this.parseEnd = null;
+
+        //The merged spec, used to find the path of parts of it
+        this.spec = null;
+    }
+
+    /**
+     * Adds a spec entry that paths can be located in
+     * @param {string} id - The id of the spec entry
+     * @param {string|null} text - The YAML/JSON source, if the spec entry was a string
+     * @param {object} obj - The parsed spec entry
+     */
+    addSource(id, text, obj) {
+        this.sources.push({
+            id: id,
+            text: text,
+            obj: obj
+        });
+    }
+
+    error(message, path = [], location = {}) {
+        return this.report("error", message, path, location);
+    }
+
+    warning(message, path = [], location = {}) {
+        return this.report("warning", message, path, location);
+    }
+
+    info(message, path = [], location = {}) {
+        return this.report("info", message, path, location);
+    }
+
+    /**
+     * Adds a diagnostic, locating its spec entry, line and column from the path unless they are given
+     * @param {string} severity - "error", "warning" or "info"
+     * @param {string} message
+     * @param {Array<string|number>} path - The keys and indices leading to the problem in the merged spec
+     * @param {object} [location] - Known location of the problem
+     * @param {string} [location.fragment]
+     * @param {number} [location.line]
+     * @param {number} [location.column]
+     * @returns {Diagnostic}
+     */
+    report(severity, message, path = [], location = {}) {
+        let diagnostic = Object.assign({
+            severity: severity,
+            message: message,
+            fragment: null,
+            path: LoadDiagnostics.pathToString(path),
+            line: null,
+            column: null
+        }, this.locate(path), location);
+
+        if(LoadDiagnostics.DEBUG) {
+            console.log("Diagnostic:", diagnostic);
+        }
+
+        this.diagnostics.push(diagnostic);
+        this.paths.set(diagnostic, path);
+
+        return diagnostic;
+    }
+
+    /**
+     * @param {Diagnostic} diagnostic
+     * @returns {Array<string|number>} - The path of the given diagnostic, as keys and indices
+     */
+    getPath(diagnostic) {
+        return this.paths.get(diagnostic);
+    }
+
+    /**
+     * Marks that merging is done, and any diagnostics from now on are found while parsing
+     */
+    markParseStart() {
+        this.parseStart = this.diagnostics.length;
+    }
+
+    /**
+     * Marks that parsing is done, and any diagnostics from now on are found by analyzing the loaded spec
+     */
+    markParseEnd() {
+        this.parseEnd = this.diagnostics.length;
+    }
+
+    /**
+     * @returns {Diagnostic[]} - The diagnostics found while parsing
+     */
+    getParseDiagnostics() {
+        return this.diagnostics.slice(this.parseStart, this.parseEnd != null ? this.parseEnd : this.diagnostics.length);
+    }
+
+    hasErrors() {
+        return this.diagnostics.some((diagnostic)=>{
+            return diagnostic.severity === "error";
+        });
+    }
+
+    /**
+     * Sets the merged spec that parts are searched for in
+     * @param {object} spec
+     */
+    setSpec(spec) {
+        //Parsing adds sugared extensions to the spec, keep the extensions that were actually written
+        this.spec = Object.assign({}, spec);
+        if(Array.isArray(spec.extensions)) {
+            this.spec.extensions = spec.extensions.slice();
+        }
+    }
+
+    /**
+     * Finds the path of the given part of the merged spec
+     * @param {object} node
+     * @returns {Array<string|number>|null}
+     */
+    pathOf(node) {
+        function search(json, path) {
+            if(json === node) {
+                return path;
+            }
+
+            if(json != null && typeof json === "object") {
+                for(let key of Object.keys(json)) {
+                    let result = search(json[key], path.concat([Array.isArray(json) ? parseInt(key) : key]));
+                    if(result != null) {
+                        return result;
+                    }
+                }
+            }
+
+            return null;
+        }
+
+        if(node == null || this.spec == null) {
+            return null;
+        }
+
+        return search(this.spec, []);
+    }
+
+    /**
+     * Finds the spec entry that defines the most of the given path, preferring later entries as they override
+     * earlier ones during merge, and the line and column of the path in that entry
+     * @param {Array<string|number>} path
+     * @returns {{fragment: string, line: number, column: number}|{}}
+     */
+    locate(path) {
+        let bestSource = null;
+        let bestDepth = -1;
+
+        for(let source of this.sources) {
+            let depth = LoadDiagnostics.getExistingDepth(source.obj, path);
+            if(depth >= bestDepth) {
+                bestSource = source;
+                bestDepth = depth;
+            }
+        }
+
+        if(bestSource == null || bestDepth === 0) {
+            return {};
+        }
+
+        let location = {
+            fragment: bestSource.id
+        };
+
+        if(bestSource.text != null) {
+            Object.assign(location, LoadDiagnostics.findPosition(bestSource.text, path.slice(0, bestDepth)));
+        }
+
+        return location;
+    }
+
+    /**
+     * How many steps of the path exist in the given json
+     * @param {object} json
+     * @param {Array<string|number>} path
+     * @returns {number}
+     */
+    static getExistingDepth(json, path) {
+        let depth = 0;
+
+        for(let key of path) {
+            if(json == null || typeof json !== "object" || !json.hasOwnProperty(key)) {
+                break;
+            }
+
+            json = json[key];
+            depth++;
+        }
+
+        return depth;
+    }
+
+    /**
+     * Best effort search for the line and column of a path in YAML or JSON source, by looking for each key of the
+     * path in turn, after where the previous key was found. Array indices are skipped.
+     * @param {string} text
+     * @param {Array<string|number>} path
+     * @returns {{line: number, column: number}|{}}
+     */
+    static findPosition(text, path) {
+        let offset = 0;
+        let found = null;
+
+        for(let key of path) {
+            if(typeof key === "number") {
+                continue;
+            }
+
+            let escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            let regexp = new RegExp("(^|[\\s{,\\-])([\"']?)"+escapedKey+"\\2\\s*:", "gm");
+            regexp.lastIndex = offset;
+
+            let match = regexp.exec(text);
+            if(match == null) {
+                break;
+            }
+
+            found = match.index + match[1].length;
+            offset = regexp.lastIndex;
+        }
+
+        if(found == null) {
+            return {};
+        }
+
+        let lines = text.substring(0, found).split("\n");
+
+        return {
+            line: lines.length,
+            column: lines[lines.length-1].length + 1
+        };
+    }
+
+    /**
+     * @param {Array<string|number>} path
+     * @returns {string} - The path as a string, e.g. "concepts.todo.actions.tick.when[0]"
+     */
+    static pathToString(path) {
+        let result = "";
+
+        path.forEach((key)=>{
+            if(typeof key === "number") {
+                result += "["+key+"]";
+            } else {
+                if(result.length > 0) {
+                    result += ".";
+                }
+                result += key;
+            }
+        });
+
+        return result;
+    }
+}
+LoadDiagnostics.DEBUG = false;
+window.LoadDiagnostics = LoadDiagnostics;
@@ -0,0 +1,81 @@
+/**
+ *  Notifier - Sinks for VarvEngine notifications
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * A notifier receives the user facing notifications of the VarvEngine, like successful or failed loads.
+ *
+ * The default implementation writes to the console, subclass and pass to VarvEngine.start / VarvEngine.load to show them elsewhere.
+ */
+class Notifier {
+    /**
+     * @param {string} message
+     */
+    success(message) {
+        console.log(message);
+    }
+
+    /**
+     * @param {string} message
+     * @param {Error} [error] - The error that caused this notification, if any
+     */
+    error(message, error) {
+        if(error != null) {
+            console.error(message, error);
+        } else {
+            console.error(message);
+        }
+    }
+}
+window.Notifier = Notifier;
+
+/**
+ * A notifier that shows notifications as iziToast toasts
+ */
+class ToastNotifier extends Notifier {
+    success(message) {
+        iziToast.success(Object.assign({message: message}, ToastNotifier.toastOptions));
+    }
+
+    error(message, error) {
+        iziToast.error(Object.assign({message: message}, ToastNotifier.toastOptions));
+
+        if(error != null) {
+            console.error(error);
+        }
+    }
+}
+ToastNotifier.toastOptions = {
+    title: '',
+    transitionIn: "fadeIn",
+    transitionOut: 'fadeOut',
+    position: "topCenter",
+    timeout: 2000,
+    close: false,
+    closeOnClick: true
+};
+window.ToastNotifier = ToastNotifier;
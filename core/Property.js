@@ -33,6 +33,7 @@
  * Boolean: false,
  * Number: 0,
  * Array: [],
+ * Date/Datetime/Duration: null,
  * Concept: null
  */
 
@@ -41,8 +42,16 @@
  *
  * number - default, min, max
  * boolean - default
- * string - default, enum, matches
- * array - max
+ * string - default, enum, matches, minLength, maxLength, format (email, url, iso-date)
+ * array - min, max, unique
+ * date, datetime - default (an ISO string, or "now" for the time the instance was created)
+ * duration - default
+ * object - default, schema (the properties of the fields)
+ * map - default, values (the property of the values)
+ * concept, array of concept - onDelete (nullify, cascade or restrict), inverse (the property on the other side)
+ *
+ * All types - required, validator, defaultFrom (computed when an instance is created), unique (among the instances,
+ * except for arrays where it is about the items), index (hash or sorted, see PropertyIndex)
  */
 
 class Property {
@@ -51,6 +60,17 @@ class Property {
 
         this.derivedOldValues = new Map();
 
+        //Memoized derived values by uuid, only used when the dependencies are declared in derive.properties
+        this.derivedValues = new Map();
+        this.derivedDependencyDeleters = [];
+
+        //The index of the values, if declared with the option 'index'
+        this.index = null;
+
+        //The highest number of defaultFrom "sequence", seeded from the stored values when first needed
+        this.sequence = null;
+        this.sequenceSeeding = null;
+
         this.cloneData = {
             name: name,
             options: options!=null?JSON.parse(JSON.stringify(options)):null
@@ -92,6 +112,15 @@ class Property {
             }
         }
 
+        if(this.type === "map" && typeof this.options === "string") {
+            this.options = {
+                values: this.options
+            }
+        }
+
+        //The properties describing the fields of object and map values, created when first needed
+        this.fieldProperties = new Map();
+
         this.setCallbacks = [];
         this.getCallbacks = [];
         this.updatedCallbacks = [];
@@ -115,38 +144,311 @@ class Property {
     }
 
     /**
+     * Wires up the dependencies of a derived property, so its memoized values are invalidated when they change.
+     *
+     * A dependency in derive.properties is either:
+     * <ul>
+     * <li>"myProperty" - A property on the same instance</li>
+     * <li>"myReference.myProperty" - A property on the instance(s) referenced by the concept (array) property myReference</li>
+     * <li>"myConcept" - Instances of myConcept appearing or disappearing</li>
+     * <li>"myConcept.myProperty" - A property on any instance of myConcept, or instances of myConcept appearing or disappearing</li>
+     * </ul>
+     *
+     * Dependencies on another concept also cover the concepts that join it, and invalidate the values of all
+     * instances, making aggregates like counts over a select stay live.
+     *
+     * @example
+     * //Number of tasks not done yet
+     * {
+     *     "openTaskCount": {
+     *         "number": {
+     *             "derive": {
+     *                 "properties": ["task", "task.done"],
+     *                 "transform": [
+     *                     {"count": {"concept": "task", "where": {"property": "done", "equals": false}}}
+     *                 ]
+     *             }
+     *         }
+     *     }
+     * }
+     *
      * @param {Concept} concept
      */
     finishSetup(concept) {
         const self = this;
 
+        if(this.options.index != null && this.options.index !== false && this.derived == null) {
+            this.index = new PropertyIndex(this, this.options.index === "sorted" ? "sorted" : "hash");
+            this.index.enable();
+        }
+
         if(this.derived != null) {
             if(this.derived.properties != null) {
-                this.derived.updateFunction = () => {
-                    self.updatedCallbacks.forEach((callback) => {
-                        callback();
+                //Properties whose changes invalidate the same instance, only registered once
+                let localDependencies = new Set();
+
+                const addLocalDependency = (property)=>{
+                    if(localDependencies.has(property)) {
+                        return;
+                    }
+                    localDependencies.add(property);
+
+                    self.addDependencyCallback(property, async (uuid)=>{
+                        await self.invalidateDerivedValue(uuid);
                     });
-                }
+                };
+
+                //Concepts whose instances appearing or disappearing invalidate everything, only registered once
+                let instanceDependencies = new Set();
+
+                const addInstanceDependency = (otherConcept)=>{
+                    if(instanceDependencies.has(otherConcept.name)) {
+                        return;
+                    }
+                    instanceDependencies.add(otherConcept.name);
+
+                    const callback = async (context)=>{
+                        let appearedConcept = context.concept != null ? self.engine.getConceptFromType(context.concept) : self.engine.getConceptFromUUID(context.target);
+                        if(appearedConcept != null && appearedConcept.isA(otherConcept.name)) {
+                            await self.invalidateAllDerivedValues();
+                        }
+                    };
+
+                    //Disappeared instances are only gone from selects once they are deregistered
+                    let appearedCallback = self.engine.registerEventCallback("appeared", callback);
+                    let deregisteredCallback = self.engine.registerEventCallback("deregistered", callback);
 
-                try {
-                    this.derived.properties.forEach((propertyName) => {
-                        let property = concept.getProperty(propertyName);
-                        property.addUpdatedCallback(self.derived.updateFunction);
+                    self.derivedDependencyDeleters.push(()=>{
+                        appearedCallback.delete();
+                        deregisteredCallback.delete();
                     });
-                } catch(e) {
-                    console.warn(e);
+                };
+
+                this.derived.properties.forEach((dependency) => {
+                    let resolved = Property.resolveDependency(concept, dependency);
+
+                    if(resolved == null) {
+                        console.warn("Unknown dependency ["+dependency+"] of derived property ["+self.name+"]");
+                        return;
+                    }
+
+                    if(resolved.reference != null) {
+                        //A change of the reference itself, or of the property on what it references
+                        addLocalDependency(resolved.reference);
+                        resolved.properties.forEach((property)=>{
+                            self.addDependencyCallback(property, async (referencedUUID)=>{
+                                for(let uuid of Array.from(self.derivedValues.keys())) {
+                                    let referenced = await resolved.reference.getValue(uuid);
+                                    if(referenced === referencedUUID || (Array.isArray(referenced) && referenced.includes(referencedUUID))) {
+                                        await self.invalidateDerivedValue(uuid);
+                                    }
+                                }
+                            });
+                        });
+                    } else if(resolved.concept != null) {
+                        addInstanceDependency(resolved.concept);
+                        resolved.properties.forEach((property)=>{
+                            self.addDependencyCallback(property, async ()=>{
+                                await self.invalidateAllDerivedValues();
+                            });
+                        });
+                    } else {
+                        addLocalDependency(resolved.property);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {Property} property
+     * @param {Function} callback
+     */
+    addDependencyCallback(property, callback) {
+        property.addUpdatedCallback(callback);
+
+        this.derivedDependencyDeleters.push(()=>{
+            property.removeUpdatedCallback(callback);
+        });
+    }
+
+    /**
+     * Removes the callbacks this property has on the properties it is derived from
+     */
+    destroy() {
+        this.derivedDependencyDeleters.forEach((deleter)=>{
+            deleter();
+        });
+        this.derivedDependencyDeleters = [];
+        this.derivedValues.clear();
+
+        if(this.index != null) {
+            this.index.destroy();
+            this.index = null;
+        }
+    }
+
+    /**
+     * Finds the properties a dependency in derive.properties refers to, see finishSetup
+     * @param {Concept} concept - The concept of the derived property
+     * @param {string} dependency
+     * @returns {{property: Property|null, properties: Property[], reference: Property|null, concept: Concept|null}|null} - null if unknown.
+     * For a local dependency property is set. If the dependency goes through a reference property, that is given as
+     * reference. If it is on another concept, that is given as concept. properties holds the depended on property of
+     * every concept that is, or joins, the referenced concept.
+     */
+    static resolveDependency(concept, dependency) {
+        try {
+            let split = dependency.indexOf(".");
+
+            if(split === -1) {
+                if(concept.properties.has(dependency)) {
+                    let property = concept.getProperty(dependency);
+
+                    return {
+                        property: property,
+                        properties: [property],
+                        reference: null,
+                        concept: null
+                    };
                 }
+
+                let otherConcept = concept.engine.getConceptFromType(dependency);
+                if(otherConcept == null) {
+                    return null;
+                }
+
+                return {
+                    property: null,
+                    properties: [],
+                    reference: null,
+                    concept: otherConcept
+                };
             }
+
+            let first = dependency.substring(0, split);
+            let rest = dependency.substring(split + 1);
+
+            if(concept.properties.has(first)) {
+                let reference = concept.getProperty(first);
+                let referencedType = reference.type === "array" ? reference.options.items : reference.type;
+                let referencedConcept = concept.engine.getConceptFromType(referencedType);
+
+                if(referencedConcept == null) {
+                    return null;
+                }
+
+                return {
+                    property: referencedConcept.getProperty(rest),
+                    properties: Property.getPropertiesOfType(concept.engine, referencedType, rest),
+                    reference: reference,
+                    concept: null
+                };
+            }
+
+            let otherConcept = concept.engine.getConceptFromType(first);
+            if(otherConcept == null) {
+                return null;
+            }
+
+            return {
+                property: otherConcept.getProperty(rest),
+                properties: Property.getPropertiesOfType(concept.engine, first, rest),
+                reference: null,
+                concept: otherConcept
+            };
+        } catch(e) {
+            return null;
+        }
+    }
+
+    /**
+     * Finds the named property on every concept that is, or joins, the given concept type
+     * @param {VarvEngine} engine
+     * @param {string} type
+     * @param {string} propertyName
+     * @returns {Property[]}
+     */
+    static getPropertiesOfType(engine, type, propertyName) {
+        let properties = [];
+
+        for(let concept of engine.conceptTypeMap.values()) {
+            if(concept.isA(type) && concept.properties.has(propertyName)) {
+                properties.push(concept.getProperty(propertyName));
+            }
+        }
+
+        return properties;
+    }
+
+    /**
+     * Invalidates the memoized derived values of all instances, see invalidateDerivedValue
+     */
+    async invalidateAllDerivedValues() {
+        for(let uuid of Array.from(this.derivedValues.keys())) {
+            await this.invalidateDerivedValue(uuid);
+        }
+    }
+
+    /**
+     * Whether the derived values of this property are memoized, they are when the dependencies are declared
+     * @returns {boolean}
+     */
+    isMemoized() {
+        return this.derived != null && this.derived.properties != null;
+    }
+
+    /**
+     * Forgets the memoized derived value of the given instance, derives it again and lets everyone know if it changed
+     * @param {string} uuid
+     */
+    async invalidateDerivedValue(uuid) {
+        if(!this.derivedValues.has(uuid)) {
+            //Nothing memoized to compare with, just let the views know
+            for(let updateCallback of this.updatedCallbacks.slice()) {
+                await updateCallback(uuid);
+            }
+            return;
+        }
+
+        let oldValue = this.derivedValues.get(uuid);
+        this.derivedValues.delete(uuid);
+
+        if(this.engine.getConceptFromUUID(uuid) == null) {
+            //Gone, nothing to derive
+            return;
+        }
+
+        let value = await this.getValue(uuid);
+
+        let same = false;
+        try {
+            same = oldValue === value || (oldValue != null && value != null && this.isSame(oldValue, value));
+        } catch(e) {
+            //Not comparable, treat as changed
+        }
+
+        if(!same) {
+            await this.updated(uuid, oldValue, value);
         }
     }
 
+    /**
+     * The engine this property lives in, through its owning concept
+     * @returns {VarvEngine}
+     */
+    get engine() {
+        return VarvEngine.of(this.concept);
+    }
+
     getType() {
         return this.type;
     }
 
     isConceptType() {
         if(typeof this.type === "string") {
-            return VarvEngine.getConceptFromType(this.type) != null;
+            return this.engine.getConceptFromType(this.type) != null;
         }
 
         return false;
@@ -154,7 +456,7 @@ class Property {
 
     isConceptArrayType() {
         if(this.type === "array" && typeof this.options.items === "string") {
-            let concept = VarvEngine.getConceptFromType(this.options.items);
+            let concept = this.engine.getConceptFromType(this.options.items);
 
             return concept != null;
         }
@@ -166,13 +468,219 @@ class Property {
         return this.derived != null;        
     }
 
-    async removeAllReferences(propertyConceptType, removeUuid) {
+    /**
+     * @returns {boolean} - True if the values of this property are objects with fields, that paths can point into
+     */
+    isStructured() {
+        return this.type === "object" || this.type === "map";
+    }
+
+    /**
+     * Get the property describing a field of the values of this object or map property
+     *
+     * @example
+     * //An object property with a declared schema
+     * {
+     *     "address": {
+     *         "object": {
+     *             "schema": {
+     *                 "street": "string",
+     *                 "zip": {"number": {"min": 0}}
+     *             }
+     *         }
+     *     }
+     * }
+     *
+     * @example
+     * //A map from any string key to numbers
+     * {
+     *     "scores": {
+     *         "map": "number"
+     *     }
+     * }
+     *
+     * @param {string} key
+     * @returns {Property|null} - null if this property has no such field
+     */
+    getFieldProperty(key) {
+        let fieldProperty = this.fieldProperties.get(key);
+
+        if(fieldProperty == null) {
+            let fieldOptions = null;
+
+            if(this.type === "object" && this.options.schema != null && Object.prototype.hasOwnProperty.call(this.options.schema, key)) {
+                fieldOptions = this.options.schema[key];
+            } else if(this.type === "map" && this.options.values != null) {
+                fieldOptions = this.options.values;
+            }
+
+            if(fieldOptions == null) {
+                return null;
+            }
+
+            fieldProperty = new Property(this.name+"."+key, fieldOptions);
+            this.fieldProperties.set(key, fieldProperty);
+        }
+
+        fieldProperty.concept = this.concept;
+
+        return fieldProperty;
+    }
+
+    /**
+     * Get the property describing the value at the given path inside the values of this property
+     * @param {string[]} path
+     * @returns {Property|null} - null if the path does not exist
+     */
+    getPathProperty(path) {
+        let property = this;
+
+        for(let key of path) {
+            if(!property.isStructured()) {
+                return null;
+            }
+
+            property = property.getFieldProperty(key);
+
+            if(property == null) {
+                return null;
+            }
+        }
+
+        return property;
+    }
+
+    /**
+     * Get the value at the given path inside the value of this object or map property
+     * @param {string} uuid
+     * @param {string[]} path - The keys to follow, fx ["address", "street"]
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @returns {Promise<any>} - null if nothing is stored at the path
+     */
+    async getValueAt(uuid, path, transaction=null) {
+        let value = await this.getValue(uuid, transaction);
+
+        for(let key of path) {
+            if(value == null || typeof value !== "object") {
+                return null;
+            }
+
+            value = value[key];
+        }
+
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Set the value at the given path inside the value of this object or map property, the whole value is then
+     * validated and set
+     * @param {string} uuid
+     * @param {string[]} path - The keys to follow, fx ["address", "street"]
+     * @param {any} value
+     * @param {TriggerSuppression|boolean} [suppression] - The triggers to suppress, true suppresses stateChanged
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @param {JournalGroup} [group] - The journal group of the call chain, if any
+     */
+    async setValueAt(uuid, path, value, suppression=null, transaction=null, group=null) {
+        if(path.length === 0) {
+            await this.setValue(uuid, value, suppression, transaction, group);
+            return;
+        }
+
+        if(this.getPathProperty(path) == null) {
+            throw new Error("No field ["+path.join(".")+"] in property ["+this.name+"]");
+        }
+
+        let rootValue = await this.getValue(uuid, transaction);
+        rootValue = rootValue != null ? JSON.parse(JSON.stringify(rootValue)) : {};
+
+        let parent = rootValue;
+        for(let i = 0; i < path.length - 1; i++) {
+            if(parent[path[i]] == null || typeof parent[path[i]] !== "object") {
+                parent[path[i]] = {};
+            }
+            parent = parent[path[i]];
+        }
+        parent[path[path.length - 1]] = value;
+
+        await this.setValue(uuid, rootValue, suppression, transaction, group);
+    }
+
+    /**
+     * Points all references to the given instance, stored in this property, to another instance
+     * @param {string} propertyConceptType - The concept whose instances to look through
+     * @param {string} oldUuid
+     * @param {string} newUuid
+     * @param {TriggerSuppression} [suppression] - The triggers to suppress when changing values
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     */
+    async replaceAllReferences(propertyConceptType, oldUuid, newUuid, suppression=null, transaction=null) {
+        for(let propertyConceptUUID of this.engine.getAllUUIDsFromType(propertyConceptType)) {
+            let value = await this.getValue(propertyConceptUUID, transaction);
+
+            if(this.type === "array") {
+                if(value.includes(oldUuid)) {
+                    await this.setValue(propertyConceptUUID, value.map((arrayElm)=>{
+                        return arrayElm === oldUuid ? newUuid : arrayElm;
+                    }), suppression, transaction);
+                }
+            } else if(value === oldUuid) {
+                await this.setValue(propertyConceptUUID, newUuid, suppression, transaction);
+            }
+        }
+    }
+
+    /**
+     * Finds the instances whose value of this property references the given instance
+     * @param {string} propertyConceptType - The concept whose instances to look through
+     * @param {string} referencedUuid
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @returns {Promise<string[]>}
+     */
+    async findReferrers(propertyConceptType, referencedUuid, transaction=null) {
+        let referrers = [];
+
+        for(let propertyConceptUUID of this.engine.getAllUUIDsFromType(propertyConceptType)) {
+            let value = await this.getValue(propertyConceptUUID, transaction);
+
+            if(value === referencedUuid || (Array.isArray(value) && value.includes(referencedUuid))) {
+                referrers.push(propertyConceptUUID);
+            }
+        }
+
+        return referrers;
+    }
+
+    /**
+     * What happens to instances referencing an instance through this property, when that instance is deleted
+     * <ul>
+     * <li>"nullify" - The reference is set to null, or removed from the array (Default)</li>
+     * <li>"cascade" - The referencing instances are deleted as well</li>
+     * <li>"restrict" - The delete is refused with a StopError</li>
+     * </ul>
+     *
+     * @example
+     * //Tasks are deleted along with their project
+     * {
+     *     "project": {
+     *         "type": "project",
+     *         "onDelete": "cascade"
+     *     }
+     * }
+     *
+     * @returns {string}
+     */
+    getDeletePolicy() {
+        return this.options.onDelete != null ? this.options.onDelete : "nullify";
+    }
+
+    async removeAllReferences(propertyConceptType, removeUuid, suppression=null, transaction=null, group=null) {
         if(Property.DEBUG) {
             console.group("["+propertyConceptType+" - "+this.name+"] Removing references to ["+removeUuid+"]");
         }
 
-        for(let propertyConceptUUID of VarvEngine.getAllUUIDsFromType(propertyConceptType)) {
-            let value = await this.getValue(propertyConceptUUID);
+        for(let propertyConceptUUID of this.engine.getAllUUIDsFromType(propertyConceptType)) {
+            let value = await this.getValue(propertyConceptUUID, transaction);
 
             if(this.type === "array") {
                 //Concept array property
@@ -189,7 +697,7 @@ class Property {
                     }
 
                     //We removed something, setValue
-                    await this.setValue(propertyConceptUUID, value);
+                    await this.setValue(propertyConceptUUID, value, suppression, transaction, group);
                 }
             } else {
                 //Concept property
@@ -197,7 +705,7 @@ class Property {
                     if(Property.DEBUG) {
                         console.log("Found reference!")
                     }
-                    await this.setValue(propertyConceptUUID, null);
+                    await this.setValue(propertyConceptUUID, null, suppression, transaction, group);
                 }
             }
         }
@@ -211,6 +719,118 @@ class Property {
         return this.type === type || (this.type === "array" && this.options.items === type);
     }
 
+    /**
+     * The property on the referenced concept that is kept in sync with this one, declared with the option 'inverse'
+     * on either side
+     *
+     * @example
+     * //Setting the project of a task adds the task to the tasks of the project, and removes it from the old one
+     * {
+     *     "task": {
+     *         "schema": {
+     *             "project": {
+     *                 "project": {
+     *                     "inverse": "tasks"
+     *                 }
+     *             }
+     *         }
+     *     },
+     *     "project": {
+     *         "schema": {
+     *             "tasks": {
+     *                 "array": "task"
+     *             }
+     *         }
+     *     }
+     * }
+     *
+     * @returns {Property|null}
+     */
+    getInverseProperty() {
+        if(this.concept == null || this.isDerived() || !(this.isConceptType() || this.isConceptArrayType())) {
+            return null;
+        }
+
+        let otherConcept = this.engine.getConceptFromType(this.type === "array" ? this.options.items : this.type);
+
+        let candidates = [];
+        if(this.options.inverse != null) {
+            candidates.push(otherConcept.properties.get(this.options.inverse));
+        } else {
+            //Declared on the other side only
+            candidates = Array.from(otherConcept.properties.values()).filter((property)=>{
+                return property.options != null && property.options.inverse === this.name;
+            });
+        }
+
+        for(let candidate of candidates) {
+            if(candidate != null && candidate !== this && !candidate.isDerived() && candidate.holdsConceptOfType(this.concept.name)) {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Updates the inverse property of the instances that were added to or removed from the value of this property
+     * @private
+     * @param {string} uuid
+     * @param {any} oldValue
+     * @param {any} value
+     * @param {TriggerSuppression} [suppression]
+     * @param {Transaction} [transaction]
+     * @param {JournalGroup} [group]
+     */
+    async updateInverse(uuid, oldValue, value, suppression=null, transaction=null, group=null) {
+        let inverse = this.getInverseProperty();
+        if(inverse == null) {
+            return;
+        }
+
+        let references = (value)=>{
+            return new Set((Array.isArray(value) ? value : [value]).filter((reference)=>{
+                return reference != null && this.engine.getConceptFromUUID(reference) === inverse.concept;
+            }));
+        };
+
+        let oldReferences = references(oldValue);
+        let newReferences = references(value);
+
+        for(let reference of oldReferences) {
+            if(newReferences.has(reference)) {
+                continue;
+            }
+
+            let inverseValue = await inverse.getValue(reference, transaction);
+            if(inverse.type === "array") {
+                if(inverseValue.includes(uuid)) {
+                    await inverse.setValue(reference, inverseValue.filter((arrayElm)=>{
+                        return arrayElm !== uuid;
+                    }), suppression, transaction, group);
+                }
+            } else if(inverseValue === uuid) {
+                await inverse.setValue(reference, null, suppression, transaction, group);
+            }
+        }
+
+        for(let reference of newReferences) {
+            if(oldReferences.has(reference)) {
+                continue;
+            }
+
+            //Pointing a single reference at this instance, removes it from whatever it pointed at before
+            let inverseValue = await inverse.getValue(reference, transaction);
+            if(inverse.type === "array") {
+                if(!inverseValue.includes(uuid)) {
+                    await inverse.setValue(reference, inverseValue.concat([uuid]), suppression, transaction, group);
+                }
+            } else if(inverseValue !== uuid) {
+                await inverse.setValue(reference, uuid, suppression, transaction, group);
+            }
+        }
+    }
+
     addUpdatedCallback(callback) {
         this.updatedCallbacks.push(callback);
     }
@@ -250,79 +870,361 @@ class Property {
         this.getCallbacks.splice(index, 1);
     }
 
+    /**
+     * Checks the value against the type and options of this property, custom validators are not run
+     * @param {any} value
+     * @returns {boolean}
+     */
     validate(value) {
-        let validType = false;
+        return this.getValidationProblem(value) == null;
+    }
 
+    /**
+     * Finds out why a value does not validate against the type and options of this property, custom validators are
+     * not run
+     * @param {any} value
+     * @returns {string|null} - The reason the value is invalid, or null if it is valid
+     */
+    getValidationProblem(value) {
         if(value === null) {
-            return true;
+            if(this.options.required === true) {
+                return "A value is required";
+            }
+
+            return null;
         }
 
-        switch(this.type) {
-            case "number": {
-                validType = typeof value === "number";
-                break;
+        if(!this.validateType(value, this.type)) {
+            return "Not a value of type ["+this.type+"]";
+        }
+
+        if(this.type === "string") {
+            if(this.options.enum != null && !this.options.enum.includes(value)) {
+                return "Not one of ["+this.options.enum.join(", ")+"]";
             }
-            case "string": {
-                validType = typeof value === "string";
-                break;
+            if(this.options.matches != null && !value.match(new RegExp(this.options.matches))) {
+                return "Does not match ["+this.options.matches+"]";
             }
-            case "boolean": {
-                validType = typeof value === "boolean";
-                break;
+            if(this.options.minLength != null && value.length < this.options.minLength) {
+                return "Shorter than "+this.options.minLength+" characters";
             }
-            case "array": {
-                validType = Array.isArray(value);
-                break;
+            if(this.options.maxLength != null && value.length > this.options.maxLength) {
+                return "Longer than "+this.options.maxLength+" characters";
+            }
+            if(this.options.format != null) {
+                let format = Property.formats.get(this.options.format);
+
+                if(format == null) {
+                    console.warn("Unknown format to validate:", this.options.format);
+                } else if(!format(value)) {
+                    return "Not a valid ["+this.options.format+"]";
+                }
+            }
+        }
+
+        if(this.type === "number") {
+            if(this.options.max != null && value > this.options.max) {
+                return "Larger than "+this.options.max;
+            }
+            if(this.options.min != null && value < this.options.min) {
+                return "Smaller than "+this.options.min;
+            }
+        }
+
+        if(this.isStructured()) {
+            for(let key of Object.keys(value)) {
+                let fieldProperty = this.getFieldProperty(key);
+
+                if(fieldProperty == null) {
+                    return "Unknown field ["+key+"]";
+                }
+
+                let problem = fieldProperty.getValidationProblem(value[key] === undefined ? null : value[key]);
+                if(problem != null) {
+                    return "Field ["+key+"]: "+problem;
+                }
+            }
+
+            if(this.type === "object" && this.options.schema != null) {
+                for(let key of Object.keys(this.options.schema)) {
+                    if(value[key] == null && this.getFieldProperty(key).options.required === true) {
+                        return "Field ["+key+"]: A value is required";
+                    }
+                }
+            }
+        }
+
+        if(this.type === "array") {
+            if(this.options.max != null && value.length > this.options.max) {
+                return "More than "+this.options.max+" items";
+            }
+            if(this.options.min != null && value.length < this.options.min) {
+                return "Fewer than "+this.options.min+" items";
+            }
+            if(this.options.items != null) {
+                for(let item of value) {
+                    if(!this.validateType(item, this.options.items)) {
+                        return "Item ["+item+"] is not a value of type ["+this.options.items+"]";
+                    }
+                }
             }
+            if(this.options.unique === true && new Set(value).size !== value.length) {
+                return "Items are not unique";
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     * @param {any} value - A non null value
+     * @param {string} type
+     * @returns {boolean}
+     */
+    validateType(value, type) {
+        switch(type) {
+            case "number":
+                return typeof value === "number";
+            case "string":
+                return typeof value === "string";
+            case "boolean":
+                return typeof value === "boolean";
+            case "array":
+                return Array.isArray(value);
+            case "date":
+            case "datetime":
+            case "duration":
+                return TemporalValues.validate(value, type);
+            case "object":
+            case "map":
+                return typeof value === "object" && !Array.isArray(value);
 
             default:
-                let typeConcept = VarvEngine.getConceptFromType(this.type);
+                let typeConcept = this.engine.getConceptFromType(type);
                 if( typeConcept != null) {
                     if(typeof value === "string") {
-                        let valueConcept = VarvEngine.getConceptFromUUID(value);
+                        let valueConcept = this.engine.getConceptFromUUID(value);
 
                         //If valueconcept is null, we dont know what type it is, pretend its of the correct type.
                         //To fix this, all datastores need to report their known UUID's before they load values
 
-                        validType = valueConcept != null ? (valueConcept.isA(typeConcept.name)) : true;
-                    } else {
-                        validType = false;
+                        return valueConcept != null ? (valueConcept.isA(typeConcept.name)) : true;
                     }
-                } else {
-                    console.warn("Unknown type to validate:", this.type);
+
+                    return false;
                 }
+
+                console.warn("Unknown type to validate:", type);
+                return false;
         }
+    }
+
+    /**
+     * Checks if this property has a default value that is computed when an instance is created
+     * @returns {boolean}
+     */
+    hasComputedDefault() {
+        return this.options != null && (this.options.defaultFrom != null || this.isNowDefault()) && !this.isDerived();
+    }
 
-        // TODO validate value according to options
+    /**
+     * Checks if this is a date or datetime property with the default "now", which is computed when an instance is
+     * created, like defaultFrom "now"
+     * @returns {boolean}
+     */
+    isNowDefault() {
+        return this.options.default === "now" && TemporalValues.isTemporalType(this.type) && this.type !== "duration";
+    }
 
-        let validValue = true;
+    /**
+     * Computes the default value of this property for a newly created instance, from the option 'defaultFrom', or the
+     * option 'default' when it is "now"
+     * <ul>
+     * <li>"now" - The current time, as an ISO string, or milliseconds for numbers</li>
+     * <li>"uuid" - A newly generated uuid</li>
+     * <li>"sequence" - One more than the highest value held by any instance of the concept, or handed out before</li>
+     * <li>{"copy": "otherProperty"} - The value of another property of the instance</li>
+     * <li>An action chain - The variable 'value' when the chain has run on the instance</li>
+     * </ul>
+     *
+     * @example
+     * {
+     *     "createdAt": {
+     *         "datetime": {
+     *             "defaultFrom": "now"
+     *         }
+     *     },
+     *     "number": {
+     *         "number": {
+     *             "defaultFrom": "sequence"
+     *         }
+     *     },
+     *     "displayName": {
+     *         "string": {
+     *             "defaultFrom": {"copy": "name"}
+     *         }
+     *     },
+     *     "slug": {
+     *         "string": {
+     *             "defaultFrom": [
+     *                 {"get": {"property": "name", "as": "value"}},
+     *                 {"textTransform": {"variable": "value", "mode": "lowercase"}}
+     *             ]
+     *         }
+     *     }
+     * }
+     *
+     * @param {string} uuid - The newly created instance
+     * @param {Transaction} [transaction] - The transaction the instance is created in, if any
+     * @returns {Promise<any>} - The computed value, or undefined if nothing was computed
+     */
+    async computeDefault(uuid, transaction=null) {
+        let defaultFrom = this.options.defaultFrom != null ? this.options.defaultFrom : (this.isNowDefault() ? "now" : null);
 
-        if(this.type === "string") {
-            if(this.options.enum != null) {
-                validValue = this.options.enum.includes(value);
+        if(defaultFrom === "now") {
+            if(TemporalValues.isTemporalType(this.type) && this.type !== "duration") {
+                return TemporalValues.now(this.type);
             }
-            if(this.options.matches != null) {
-                const regexp = new RegExp(this.options.matches);
-                validValue = value.match(regexp);
+
+            return this.type === "number" ? Date.now() : new Date().toISOString();
+        }
+
+        if(defaultFrom === "uuid") {
+            return UUIDGenerator.generateUUID(this.concept.name);
+        }
+
+        if(defaultFrom === "sequence") {
+            if(this.sequenceSeeding == null) {
+                this.sequenceSeeding = this.seedSequence(uuid);
             }
+            await this.sequenceSeeding;
+
+            //Nothing is awaited between reading and counting up, so concurrent creates never get the same number
+            this.sequence++;
+            return this.sequence;
         }
 
-        if(this.type === "number") {
-            if(this.options.max != null) {
-                validValue = validValue && value <= this.options.max;
+        if(defaultFrom != null && typeof defaultFrom === "object" && !Array.isArray(defaultFrom) && defaultFrom.copy != null) {
+            let property = this.concept.getProperty(defaultFrom.copy);
+
+            return await property.getValue(uuid, transaction);
+        }
+
+        if(typeof defaultFrom === "object") {
+            let action = ConceptLoader.parseAction(UUIDGenerator.generateUUID("DefaultAction"), Array.isArray(defaultFrom) ? defaultFrom : [defaultFrom], this.concept);
+
+            let contexts = [{
+                target: uuid,
+                variables: {
+                    "property": this.name
+                },
+                transaction: transaction
+            }];
+
+            await ActionTrigger.before(action, contexts);
+            contexts = await action.apply(contexts);
+            await ActionTrigger.after(action, contexts);
+
+            if(contexts.length === 0 || contexts[0].variables == null || !contexts[0].variables.hasOwnProperty("value")) {
+                console.warn("Computed default of ["+this.concept.name+"."+this.name+"] did not set the variable 'value'");
+                return undefined;
             }
-            if(this.options.min != null) {
-                validValue = validValue && value >= this.options.min;
+
+            return contexts[0].variables.value;
+        }
+
+        console.warn("Unknown defaultFrom of ["+this.concept.name+"."+this.name+"]:", defaultFrom);
+        return undefined;
+    }
+
+    /**
+     * Seeds the counter of defaultFrom "sequence" with the highest value stored by any instance, values stored later
+     * count it up in updated
+     * @private
+     * @param {string} uuid - The instance being created, which has no value yet
+     */
+    async seedSequence(uuid) {
+        let highest = 0;
+
+        for(let otherUUID of this.engine.getAllUUIDsFromType(this.concept.name)) {
+            if(otherUUID !== uuid && await this.hasStoredValue(otherUUID)) {
+                highest = Math.max(highest, Number(await this.getValue(otherUUID)) || 0);
             }
         }
 
-        if(this.type === "array") {
-            if(this.options.max != null) {
-                validValue = value.length <= this.options.max;
+        this.sequence = Math.max(this.sequence != null ? this.sequence : 0, highest);
+    }
+
+    /**
+     * Runs the custom validator of this property, an action chain run with the value in the variable "value". The
+     * value is invalid if the chain stops, or filters away the context.
+     *
+     * @example
+     * {
+     *     "age": {
+     *         "number": {
+     *             "validator": [
+     *                 {"where": {"variable": "value", "greaterOrEquals": 18}}
+     *             ]
+     *         }
+     *     }
+     * }
+     *
+     * @param {string} uuid
+     * @param {any} value
+     * @param {Transaction} [transaction] - The transaction the value is set in, if any
+     * @returns {Promise<string|null>} - The reason the value is invalid, or null if it is valid
+     */
+    async runValidator(uuid, value, transaction=null) {
+        let validator = this.options.validator;
+
+        if(validator == null) {
+            return null;
+        }
+
+        if(!Array.isArray(validator)) {
+            validator = [validator];
+        }
+
+        let contexts = [{
+            target: uuid,
+            variables: {
+                "value": value,
+                "property": this.name
+            },
+            transaction: transaction
+        }];
+
+        try {
+            for(let validatorAction of validator) {
+                let actionName = validatorAction;
+                let actionOptions = {};
+
+                if(typeof validatorAction !== "string") {
+                    actionName = Object.keys(validatorAction)[0];
+                    actionOptions = Object.values(validatorAction)[0];
+                }
+
+                let action = Action.getPrimitiveAction(actionName, actionOptions, this.concept);
+
+                await ActionTrigger.before(action, contexts);
+                contexts = await action.apply(contexts);
+                await ActionTrigger.after(action, contexts);
+
+                if(contexts.length === 0) {
+                    return "Rejected by validator";
+                }
+            }
+        } catch(e) {
+            if(e instanceof StopError) {
+                return "Rejected by validator: "+e.message;
             }
+
+            throw e;
         }
 
-        return validType && validValue;
+        return null;
     }
 
     typeCast(inputValue, overrideType = null) {
@@ -395,8 +1297,40 @@ class Property {
                     break;
                 }
 
+                case "date":
+                case "datetime":
+                case "duration": {
+                    castedValue = TemporalValues.cast(inputValue, type);
+                    break;
+                }
+
+                case "object":
+                case "map": {
+                    let parsedObject = typeof inputValue === "string" ? JSON.parse(inputValue) : inputValue;
+
+                    if(parsedObject == null || typeof parsedObject !== "object" || Array.isArray(parsedObject)) {
+                        throw new Error("Unable to typecast [" + inputValue + "] to [" + type + "]");
+                    }
+
+                    //Always a copy, so changing it does not change what is stored
+                    castedValue = {};
+                    for(let key of Object.keys(parsedObject)) {
+                        let fieldProperty = type === this.type ? this.getFieldProperty(key) : null;
+                        castedValue[key] = parsedObject[key];
+
+                        if(fieldProperty != null) {
+                            try {
+                                castedValue[key] = fieldProperty.typeCast(parsedObject[key]);
+                            } catch(e) {
+                                //Left as is, validation tells what is wrong with it
+                            }
+                        }
+                    }
+                    break;
+                }
+
                 default:
-                    let typeConcept = VarvEngine.getConceptFromType(type);
+                    let typeConcept = this.engine.getConceptFromType(type);
                     if(typeConcept != null) {
                         return "" + inputValue;
                     }
@@ -410,18 +1344,71 @@ class Property {
         }
     }
 
-    async setValue(uuid, value, skipStateChangeTrigger=false) {
+    /**
+     * Set the value of this property on the given instance
+     * @param {string} uuid
+     * @param {any} value
+     * @param {TriggerSuppression|boolean} [suppression] - The triggers to suppress, true suppresses stateChanged
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any, the value is then only written
+     * when it commits
+     * @param {JournalGroup} [group] - The journal group of the call chain, if any, the change is then recorded in it
+     */
+    async setValue(uuid, value, suppression=null, transaction=null, group=null) {
+        await this.setValueInternal(uuid, value, suppression, transaction, group, true);
+    }
+
+    /**
+     * Set a value loaded from a datastore, or synchronized from elsewhere through it. The value is stored already, so
+     * unique constraints are not checked, that would also reject values stored before the constraint was declared.
+     * Inverse properties are not updated either, the client that wrote the value wrote the other side as well, and the
+     * datastore carries it.
+     * @param {string} uuid
+     * @param {any} value
+     * @param {TriggerSuppression|boolean} [suppression] - The triggers to suppress, true suppresses stateChanged
+     */
+    async setValueFromDatastore(uuid, value, suppression=null) {
+        await this.setValueInternal(uuid, value, suppression, null, null, false);
+    }
+
+    /**
+     * @private
+     * @param {string} uuid
+     * @param {any} value
+     * @param {TriggerSuppression|boolean} suppression
+     * @param {Transaction} transaction
+     * @param {JournalGroup} group
+     * @param {boolean} local - Whether the value is written here, rather than loaded from a datastore. Only local writes
+     * check the unique constraints of the concept and update inverse properties
+     */
+    async setValueInternal(uuid, value, suppression, transaction, group, local) {
         if(this.isDerived()) {
             console.warn("setValue called on a derived property (Might be a left over property in DOMStore from when it was not derived?):", this.name, uuid, value);
             return;
         }
 
-        if(!this.validate(value)) {
-            let type = typeof value;
-            if(Array.isArray(value)){
-                type = "array";
+        if(TemporalValues.isTemporalType(this.type)) {
+            //Dates and numbers are stored in their ISO form
+            try {
+                value = this.typeCast(value);
+            } catch(e) {
+                //Left as is, and rejected below
+            }
+        }
+
+        let problem = this.getValidationProblem(value);
+        if(problem == null) {
+            problem = await this.runValidator(uuid, value, transaction);
+        }
+        if(problem == null && local && this.concept != null) {
+            let conflict = await this.concept.findUniqueConflict(uuid, {[this.name]: value}, transaction);
+            if(conflict != null) {
+                problem = conflict.reason;
             }
-            throw new Error("Value ["+value+":"+(type)+"] does not validate on property ["+this.name+":"+this.type+"]");
+        }
+
+        if(problem != null) {
+            await this.validationFailed(uuid, value, problem, suppression);
+            throw new ValidationError(this, value, problem);
         }
 
         if(this.setCallbacks.length === 0) {
@@ -430,36 +1417,66 @@ class Property {
 
         let oldValue;
         try {
-            oldValue = await this.getValue(uuid);
+            oldValue = await this.getValue(uuid, transaction);
         } catch (e) {
             //Ignore?
         }
 
-        for(let setCallback of this.setCallbacks) {
-            await setCallback(uuid, value);
+        if(this.concept != null && group != null && !(oldValue != null && value != null && this.isSame(oldValue, value))) {
+            this.engine.journal.record({
+                type: "set",
+                concept: this.concept.name,
+                property: this.name,
+                uuid: uuid,
+                oldValue: Array.isArray(oldValue) ? oldValue.slice() : oldValue,
+                newValue: Array.isArray(value) ? value.slice() : value
+            }, group, transaction);
         }
 
-        await this.updated(uuid, oldValue, value, skipStateChangeTrigger);
+        if(transaction != null) {
+            transaction.setValue(this, uuid, value);
+        } else {
+            for(let setCallback of this.setCallbacks) {
+                await setCallback(uuid, value);
+            }
+        }
+
+        await this.updated(uuid, oldValue, value, suppression, transaction, group);
+
+        if(local) {
+            await this.updateInverse(uuid, oldValue, value, suppression, transaction, group);
+        }
     }
 
-    async updated(uuid, oldValue, value, skipStateChangeTrigger=false) {
+    async updated(uuid, oldValue, value, suppression=null, transaction=null, group=null) {
+        if(transaction != null) {
+            transaction.defer(async ()=>{
+                await this.updated(uuid, oldValue, value, suppression, null, group);
+            });
+            return;
+        }
+
+        if(this.sequence != null) {
+            //Numbers stored by other means, or synchronized from other clients, are never handed out again
+            this.sequence = Math.max(this.sequence, Number(value) || 0);
+        }
+
         for(let updateCallback of this.updatedCallbacks.slice()) {
             await updateCallback(uuid);
         }
 
-        if(!skipStateChangeTrigger) {
-            await this.stateChanged(uuid, oldValue, value);
-        }
+        await this.stateChanged(uuid, oldValue, value, TriggerSuppression.from(suppression, this.engine), group);
     }
 
-    async deriveValue(uuid) {
+    async deriveValue(uuid, transaction=null) {
         if(Property.DEBUG) {
             console.group("Deriving property ["+this.name+"] from ["+JSON.stringify(this.derived)+"]");
         }
 
         //Try to derive property
         let currentFakeContext = [{
-            target: uuid
+            target: uuid,
+            transaction: transaction
         }];
 
         let lastTransformOutputVariable = null;
@@ -482,7 +1499,7 @@ class Property {
                     transformActionOptions = Object.values(transform)[0];
                 }
 
-                let transformAction = Action.getPrimitiveAction(transformActionName, transformActionOptions);
+                let transformAction = Action.getPrimitiveAction(transformActionName, transformActionOptions, this.concept);
 
                 await ActionTrigger.before(transformAction, currentFakeContext);
                 currentFakeContext = await transformAction.apply(currentFakeContext);
@@ -533,13 +1550,57 @@ class Property {
         return result;
     }
 
-    async getValue(uuid) {
+    /**
+     * Checks if a value is stored for the given instance, getValue falls back to the default value when there is not
+     * @param {string} uuid
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any
+     * @returns {Promise<boolean>}
+     */
+    async hasStoredValue(uuid, transaction=null) {
+        if(transaction != null && transaction.hasValue(this, uuid)) {
+            return true;
+        }
+
+        for(let getCallback of this.getCallbacks) {
+            try {
+                await getCallback(uuid);
+                return true;
+            } catch(e) {
+                //Not stored here
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the value of this property on the given instance
+     * @param {string} uuid
+     * @param {Transaction} [transaction] - The transaction of the call chain, if any, values written in it are seen
+     * @returns {Promise<any>}
+     */
+    async getValue(uuid, transaction=null) {
+        if(this.isMemoized()) {
+            //Values read inside a transaction might be rolled back, so they are not memoized
+            if(transaction == null && this.derivedValues.has(uuid)) {
+                return this.derivedValues.get(uuid);
+            }
+
+            const derivedValue = await this.deriveValue(uuid, transaction);
+
+            if(transaction == null) {
+                this.derivedValues.set(uuid, derivedValue);
+            }
+
+            return derivedValue;
+        }
+
         if(this.derived != null) {
             const derivedOldValue = this.derivedOldValues.get(uuid);
-            const derivedValue = await this.deriveValue(uuid);
+            const derivedValue = await this.deriveValue(uuid, transaction);
             this.derivedOldValues.set(uuid, derivedValue);
             if(typeof derivedOldValue !== "undefined" && derivedOldValue !== derivedValue) {
-                await this.updated(uuid, derivedOldValue, derivedValue, true);
+                await this.updated(uuid, derivedOldValue, derivedValue, true, transaction);
             }
             return derivedValue;
         }
@@ -548,6 +1609,10 @@ class Property {
             throw new Error("No getCallbacks available for property ["+this.name+"]");
         }
 
+        if(transaction != null && transaction.hasValue(this, uuid)) {
+            return this.typeCast(transaction.getValue(this, uuid));
+        }
+
         for(let getCallback of this.getCallbacks) {
             try {
                 return this.typeCast(await getCallback(uuid));
@@ -555,7 +1620,7 @@ class Property {
                 //console.warn("Something went wrong (Using Default):", e);
 
                 // Return default value
-                if(this.options.default != null) {
+                if(this.options.default != null && !this.isNowDefault()) {
                     return this.options.default;
                 }
 
@@ -568,8 +1633,15 @@ class Property {
                         return false;
                     case "array":
                         return [];
+                    case "date":
+                    case "datetime":
+                    case "duration":
+                        return null;
+                    case "object":
+                    case "map":
+                        return {};
                     default:
-                        if(VarvEngine.getConceptFromType(this.type) != null) {
+                        if(this.engine.getConceptFromType(this.type) != null) {
                             return null;
                         }
 
@@ -581,7 +1653,7 @@ class Property {
         throw new Error("Unable to get value for property ["+this.name+"] on ["+uuid+"]");
     }
 
-    async stateChanged(uuid, oldValue, value) {
+    async stateChanged(uuid, oldValue, value, suppression=null, group=null) {
         await Trigger.trigger("stateChanged", {
             target: uuid,
             property: this.name,
@@ -589,8 +1661,21 @@ class Property {
                 "currentValue": value,
                 "oldValue": oldValue,
                 "property": this.name
+            },
+            journalGroup: group
+        }, this.engine, suppression);
+    }
+
+    async validationFailed(uuid, value, reason, suppression=null) {
+        await Trigger.trigger("validationFailed", {
+            target: uuid,
+            property: this.name,
+            variables: {
+                "value": value,
+                "reason": reason,
+                "property": this.name
             }
-        });
+        }, this.engine, suppression);
     }
 
     isSame(value1, value2) {
@@ -598,6 +1683,9 @@ class Property {
             case "number":
             case "string":
             case "boolean":
+            case "date":
+            case "datetime":
+            case "duration":
                 return value1 === value2;
 
             case "array": {
@@ -616,6 +1704,11 @@ class Property {
                 return true;
             }
 
+            case "object":
+            case "map": {
+                return Property.isSameStructure(value1, value2);
+            }
+
             default: {
                 if(this.isConceptType()) {
                     return value1 === value2;
@@ -625,6 +1718,78 @@ class Property {
             }
         }
     }
+
+    /**
+     * Compares two values of object or map properties, field by field
+     * @param {any} value1
+     * @param {any} value2
+     * @returns {boolean}
+     */
+    static isSameStructure(value1, value2) {
+        if(value1 === value2) {
+            return true;
+        }
+
+        if(value1 == null || value2 == null || typeof value1 !== "object" || typeof value2 !== "object" || Array.isArray(value1) !== Array.isArray(value2)) {
+            return false;
+        }
+
+        let keys1 = Object.keys(value1);
+        let keys2 = Object.keys(value2);
+
+        if(keys1.length !== keys2.length) {
+            return false;
+        }
+
+        return keys1.every((key)=>{
+            return Object.prototype.hasOwnProperty.call(value2, key) && Property.isSameStructure(value1[key], value2[key]);
+        });
+    }
 }
 Property.DEBUG = false;
 window.Property = Property;
+
+/**
+ * The string formats that can be validated with the "format" option, by name
+ * @type {Map<string, function(string):boolean>}
+ */
+Property.formats = new Map([
+    ["email", (value)=>{
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+    }],
+    ["url", (value)=>{
+        try {
+            new URL(value);
+            return true;
+        } catch(e) {
+            return false;
+        }
+    }],
+    ["iso-date", (value)=>{
+        return /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(value) && !isNaN(Date.parse(value));
+    }]
+]);
+
+/**
+ * Thrown when setting a value that does not validate on a property
+ */
+class ValidationError extends Error {
+    /**
+     * @param {Property} property
+     * @param {any} value
+     * @param {string} reason
+     */
+    constructor(property, value, reason) {
+        let type = typeof value;
+        if(Array.isArray(value)){
+            type = "array";
+        }
+
+        super("Value ["+value+":"+(type)+"] does not validate on property ["+property.name+":"+property.type+"]: "+reason);
+
+        this.property = property;
+        this.value = value;
+        this.reason = reason;
+    }
+}
+window.ValidationError = ValidationError;
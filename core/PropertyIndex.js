@@ -0,0 +1,382 @@
+/**
+ *  PropertyIndex - Indexes of the values of a property, used to speed up select
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * An index of the values a property holds across the instances of its concept, declared with the property option
+ * 'index'. It is built the first time it is used, and then kept up to date from the updates of the property.
+ * <ul>
+ * <li>"hash" - Finds the instances with a value equal to something, or an array value including something</li>
+ * <li>"sorted" - Also finds the instances with values in a range, for greaterThan, lessThan and so on</li>
+ * </ul>
+ *
+ * The instances found are the candidates that could match, the filters still decide which of them do.
+ *
+ * @example
+ * {
+ *     "email": {
+ *         "string": {
+ *             "index": "hash"
+ *         }
+ *     },
+ *     "dueDate": {
+ *         "date": {
+ *             "index": "sorted"
+ *         }
+ *     }
+ * }
+ */
+class PropertyIndex {
+    /**
+     * @param {Property} property
+     * @param {string} type - "hash" or "sorted"
+     */
+    constructor(property, type) {
+        this.property = property;
+        this.type = type;
+
+        //The keys each instance is indexed under, arrays are indexed under each of their items
+        this.keysByUUID = new Map();
+
+        //Instances by key
+        this.uuidsByKey = new Map();
+
+        //Sorted index only, the non-null keys in ascending order
+        this.sortedKeys = [];
+
+        this.built = false;
+        this.building = null;
+        this.deleters = [];
+
+        //Instances updated, appeared or deregistered while the index is being built
+        this.pending = new Set();
+    }
+
+    /**
+     * Starts keeping the index up to date, once it has been built
+     */
+    enable() {
+        const self = this;
+
+        const updatedCallback = async (uuid)=>{
+            await self.changed(uuid);
+        };
+        this.property.addUpdatedCallback(updatedCallback);
+
+        let appearedCallback = this.property.engine.registerEventCallback("appeared", async (context)=>{
+            if(self.property.engine.getConceptFromUUID(context.target) === self.property.concept) {
+                await self.changed(context.target);
+            }
+        });
+
+        //Disappeared instances are only gone from selects once they are deregistered
+        let deregisteredCallback = this.property.engine.registerEventCallback("deregistered", async (context)=>{
+            await self.changed(context.target);
+        });
+
+        this.deleters.push(()=>{
+            self.property.removeUpdatedCallback(updatedCallback);
+            appearedCallback.delete();
+            deregisteredCallback.delete();
+        });
+    }
+
+    destroy() {
+        this.deleters.forEach((deleter)=>{
+            deleter();
+        });
+        this.deleters = [];
+        this.clear();
+    }
+
+    clear() {
+        this.keysByUUID.clear();
+        this.uuidsByKey.clear();
+        this.sortedKeys = [];
+        this.pending.clear();
+        this.built = false;
+    }
+
+    /**
+     * Brings the given instance up to date in the index. While the index is being built, it is done once the build
+     * is done, as the build might already have passed it.
+     * @param {string} uuid
+     * @returns {Promise<void>}
+     */
+    async changed(uuid) {
+        if(this.built) {
+            await this.reindex(uuid);
+        } else if(this.building != null) {
+            this.pending.add(uuid);
+        }
+    }
+
+    /**
+     * Builds the index from the current values of all instances, unless it is already built
+     * @returns {Promise<void>}
+     */
+    async build() {
+        if(this.built) {
+            return;
+        }
+
+        //Selects running at the same time share the build
+        if(this.building == null) {
+            this.building = (async ()=>{
+                try {
+                    for(let uuid of this.property.engine.getAllUUIDsFromType(this.property.concept.name)) {
+                        await this.reindex(uuid);
+                    }
+
+                    while(this.pending.size > 0) {
+                        let pending = Array.from(this.pending);
+                        this.pending.clear();
+
+                        for(let uuid of pending) {
+                            await this.reindex(uuid);
+                        }
+                    }
+
+                    this.built = true;
+                } finally {
+                    this.building = null;
+                }
+            })();
+        }
+
+        await this.building;
+    }
+
+    /**
+     * Indexes the current value of the given instance, or removes it if it is no longer an instance of the concept
+     * @param {string} uuid
+     * @returns {Promise<void>}
+     */
+    async reindex(uuid) {
+        if(this.property.engine.getConceptFromUUID(uuid) !== this.property.concept) {
+            this.remove(uuid);
+            return;
+        }
+
+        let value = await this.property.getValue(uuid);
+
+        this.remove(uuid);
+
+        if(this.property.engine.getConceptFromUUID(uuid) !== this.property.concept) {
+            //Deregistered while the value was fetched
+            return;
+        }
+
+        let keys = new Set((Array.isArray(value) ? value : [value]).map((item)=>{
+            return this.toKey(item);
+        }));
+
+        this.keysByUUID.set(uuid, keys);
+
+        keys.forEach((key)=>{
+            let uuids = this.uuidsByKey.get(key);
+
+            if(uuids == null) {
+                uuids = new Set();
+                this.uuidsByKey.set(key, uuids);
+
+                if(this.type === "sorted" && key != null) {
+                    this.sortedKeys.splice(this.findSortedIndex(key), 0, key);
+                }
+            }
+
+            uuids.add(uuid);
+        });
+    }
+
+    /**
+     * Removes the given instance from the index
+     * @param {string} uuid
+     */
+    remove(uuid) {
+        let keys = this.keysByUUID.get(uuid);
+
+        if(keys == null) {
+            return;
+        }
+
+        this.keysByUUID.delete(uuid);
+
+        keys.forEach((key)=>{
+            let uuids = this.uuidsByKey.get(key);
+            uuids.delete(uuid);
+
+            if(uuids.size === 0) {
+                this.uuidsByKey.delete(key);
+
+                if(this.type === "sorted" && key != null) {
+                    this.sortedKeys.splice(this.findSortedIndex(key), 1);
+                }
+            }
+        });
+    }
+
+    /**
+     * The key a value is indexed under, dates and durations are compared by time
+     * @param {any} value
+     * @returns {any}
+     */
+    toKey(value) {
+        if(value != null && TemporalValues.isTemporalType(this.property.type)) {
+            return TemporalValues.toComparable(value, this.property.type);
+        }
+
+        return value;
+    }
+
+    /**
+     * Finds the position of the first sorted key that is not less than the given key
+     * @param {any} key
+     * @returns {number}
+     */
+    findSortedIndex(key) {
+        let low = 0;
+        let high = this.sortedKeys.length;
+
+        while(low < high) {
+            let middle = (low + high) >>> 1;
+
+            if(this.sortedKeys[middle] < key) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Checks if this index can find the candidates for the given filter op
+     * @param {FilterOps} op
+     * @returns {boolean}
+     */
+    supports(op) {
+        switch(op) {
+            case FilterOps.equals:
+                return true;
+            case FilterOps.includes:
+            case FilterOps.includesAny:
+            case FilterOps.includesAll:
+                return this.property.type === "array";
+            case FilterOps.greaterThan:
+            case FilterOps.greaterOrEquals:
+            case FilterOps.lessThan:
+            case FilterOps.lessOrEquals:
+                return this.type === "sorted" && this.property.type !== "array";
+        }
+
+        return false;
+    }
+
+    /**
+     * Finds the instances that could match the given filter op and value, building the index if needed
+     * @param {FilterOps} op
+     * @param {any} value - The value to compare with, already typecast
+     * @returns {Promise<Set<string>|null>} - null if this index can not be used for the op
+     */
+    async lookup(op, value) {
+        if(!this.supports(op)) {
+            return null;
+        }
+
+        await this.build();
+
+        const lookupKey = (key)=>{
+            return new Set(this.uuidsByKey.get(this.toKey(key)) || []);
+        };
+
+        switch(op) {
+            case FilterOps.equals:
+            case FilterOps.includes:
+                return lookupKey(value);
+
+            case FilterOps.includesAny: {
+                let result = new Set();
+                (Array.isArray(value) ? value : [value]).forEach((item)=>{
+                    lookupKey(item).forEach((uuid)=>{
+                        result.add(uuid);
+                    });
+                });
+                return result;
+            }
+
+            case FilterOps.includesAll: {
+                let result = null;
+                (Array.isArray(value) ? value : [value]).forEach((item)=>{
+                    let uuids = lookupKey(item);
+                    result = result == null ? uuids : new Set(Array.from(result).filter((uuid)=>{
+                        return uuids.has(uuid);
+                    }));
+                });
+                return result != null ? result : new Set(this.keysByUUID.keys());
+            }
+        }
+
+        //Range ops, null values compare in surprising ways, so they are always candidates
+        let key = this.toKey(value);
+        let start = 0;
+        let end = this.sortedKeys.length;
+
+        switch(op) {
+            case FilterOps.greaterThan:
+                start = this.findSortedIndex(key);
+                if(start < end && this.sortedKeys[start] === key) {
+                    start++;
+                }
+                break;
+            case FilterOps.greaterOrEquals:
+                start = this.findSortedIndex(key);
+                break;
+            case FilterOps.lessThan:
+                end = this.findSortedIndex(key);
+                break;
+            case FilterOps.lessOrEquals:
+                end = this.findSortedIndex(key);
+                if(end < this.sortedKeys.length && this.sortedKeys[end] === key) {
+                    end++;
+                }
+                break;
+        }
+
+        let result = lookupKey(null);
+        for(let i = start; i < end; i++) {
+            this.uuidsByKey.get(this.sortedKeys[i]).forEach((uuid)=>{
+                result.add(uuid);
+            });
+        }
+
+        return result;
+    }
+}
+PropertyIndex.DEBUG = false;
+window.PropertyIndex = PropertyIndex;
@@ -0,0 +1,746 @@
+/**
+ *  SpecAnalyzer - Static analysis of loaded specs
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * Finds problems in a loaded spec that would otherwise only show up at runtime, when the offending part runs.
+ *
+ * The analyzer looks at the spec as written, and at the concepts parsed from it in an engine, so properties and
+ * actions added by extensions are known. It finds:
+ * <ul>
+ * <li>References to actions that do not exist, from actions, "run" and "action" triggers</li>
+ * <li>References to triggers that do not exist, from "when"</li>
+ * <li>Properties that do not exist, in "set", "get", "where", "stateChanged" and "validationFailed"</li>
+ * <li>Concepts that do not exist, in "created", "deleted", "appeared" and "disappeared"</li>
+ * <li>Triggers that no behaviour listens to</li>
+ * <li>Derived properties that are derived from themselves, through "derive.properties"</li>
+ * <li>Arguments "@myArgument" that no caller of the action supplies</li>
+ * </ul>
+ *
+ * References that are only known at runtime, like "$myVariable$" and "@myArgument", are not checked.
+ *
+ * @example
+ * let problems = new SpecAnalyzer(myEngine).analyze(mySpec);
+ * problems.forEach((problem)=>{
+ *     console.log(LoadDiagnostics.pathToString(problem.path), problem.message);
+ * });
+ */
+class SpecAnalyzer {
+    /**
+     * @param {VarvEngine} [engine] - The engine the spec is loaded in
+     */
+    constructor(engine = VarvEngine.defaultEngine) {
+        this.engine = engine;
+    }
+
+    /**
+     * Analyzes the given spec, which should be the spec loaded in the engine
+     * @param {object} spec
+     * @returns {Array<{path: Array<string|number>, message: string}>} - The problems found
+     */
+    analyze(spec) {
+        const self = this;
+
+        this.problems = [];
+
+        //Calls of actions, and the arguments they supply
+        this.calls = [];
+
+        //Arguments used inside callable actions
+        this.placeholders = [];
+
+        let concepts = spec != null && spec.concepts != null ? spec.concepts : {};
+
+        Object.keys(concepts).forEach((conceptName)=>{
+            let conceptJson = concepts[conceptName];
+            let concept = self.engine.getConceptFromType(conceptName);
+
+            if(conceptJson == null || concept == null) {
+                //Not loaded, so nothing to check against
+                return;
+            }
+
+            let conceptPath = ["concepts", conceptName];
+
+            let structureKey = conceptJson.structure != null ? "structure" : "schema";
+            if(conceptJson[structureKey] != null) {
+                self.analyzeDerivedProperties(conceptJson[structureKey], concept, conceptPath.concat([structureKey]));
+                self.analyzeInverseProperties(conceptJson[structureKey], concept, conceptPath.concat([structureKey]));
+            }
+
+            self.analyzeUniqueConstraints(conceptJson, concept, conceptPath);
+
+            if(conceptJson.actions != null) {
+                Object.keys(conceptJson.actions).forEach((actionName)=>{
+                    self.analyzeBehaviour(actionName, conceptJson.actions[actionName], concept, conceptPath.concat(["actions", actionName]));
+                });
+            }
+        });
+
+        this.analyzeUnusedTriggers();
+        this.analyzeArguments();
+
+        return this.problems;
+    }
+
+    analyzeBehaviour(actionName, actionSetup, concept, path) {
+        let triggers = [];
+        let actions = actionSetup;
+
+        if(!Array.isArray(actionSetup) && actionSetup != null) {
+            triggers = actionSetup.when != null ? actionSetup.when : [];
+            actions = actionSetup.then != null ? actionSetup.then : [];
+        }
+
+        let thenPath = Array.isArray(actionSetup) ? path : path.concat(["then"]);
+
+        if(Array.isArray(triggers)) {
+            triggers.forEach((trigger, index)=>{
+                this.analyzeTrigger(trigger, concept, path.concat(["when", index]));
+            });
+        } else {
+            this.analyzeTrigger(triggers, concept, path.concat(["when"]));
+        }
+
+        if(Array.isArray(triggers) ? triggers.length > 0 : triggers != null) {
+            //Triggered runs supply no arguments
+            this.calls.push({
+                concept: concept,
+                action: concept.name+"."+actionName,
+                arguments: []
+            });
+        }
+
+        this.findPlaceholders(actions, thenPath).forEach((placeholder)=>{
+            placeholder.concept = concept;
+            placeholder.action = actionName;
+            this.placeholders.push(placeholder);
+        });
+
+        this.analyzeActions(actions, concept, thenPath);
+    }
+
+    analyzeTrigger(triggerJson, concept, path) {
+        if(typeof triggerJson === "string") {
+            if(!this.isKnownTrigger(triggerJson)) {
+                this.problem(path, "Unknown trigger ["+triggerJson+"]");
+            }
+            return;
+        }
+
+        if(triggerJson == null || typeof triggerJson !== "object") {
+            return;
+        }
+
+        let triggerType = Object.keys(triggerJson)[0];
+        let triggerOptions = triggerJson[triggerType];
+        let optionsPath = path.concat([triggerType]);
+
+        switch(triggerType) {
+            case "action": {
+                if(typeof triggerOptions === "string") {
+                    this.analyzeActionReference(triggerOptions, concept, optionsPath);
+                } else if(triggerOptions != null && typeof triggerOptions.action === "string") {
+                    this.analyzeActionReference(triggerOptions.action, concept, optionsPath.concat(["action"]));
+                }
+                break;
+            }
+
+            case "stateChanged":
+            case "validationFailed": {
+                if(triggerOptions == null || typeof triggerOptions !== "object" || Array.isArray(triggerOptions)) {
+                    //Shorthands are looked up at runtime, and might refer to views
+                    break;
+                }
+
+                if(triggerOptions.concept != null || triggerOptions.property != null) {
+                    if(triggerOptions.concept != null && this.engine.getConceptFromType(triggerOptions.concept) == null) {
+                        this.problem(optionsPath.concat(["concept"]), "Unknown concept ["+triggerOptions.concept+"]");
+                    } else if(typeof triggerOptions.property === "string") {
+                        let propertyName = triggerOptions.property;
+                        if(triggerOptions.concept != null) {
+                            propertyName = triggerOptions.concept+"."+propertyName;
+                        }
+                        this.analyzeProperty(propertyName, concept, optionsPath.concat(["property"]));
+                    }
+                } else if(Object.keys(triggerOptions).length === 1) {
+                    //Shorthand {"myConcept": "myProperty"}
+                    let conceptName = Object.keys(triggerOptions)[0];
+                    if(this.engine.getConceptFromType(conceptName) != null && typeof triggerOptions[conceptName] === "string") {
+                        this.analyzeProperty(conceptName+"."+triggerOptions[conceptName], concept, optionsPath.concat([conceptName]));
+                    }
+                }
+                break;
+            }
+
+            case "created":
+            case "deleted":
+            case "appeared":
+            case "disappeared": {
+                if(typeof triggerOptions === "string" || Array.isArray(triggerOptions)) {
+                    triggerOptions = {
+                        concept: triggerOptions
+                    };
+                }
+
+                if(triggerOptions == null || typeof triggerOptions !== "object") {
+                    break;
+                }
+
+                ["concept", "isA"].forEach((option)=>{
+                    if(triggerOptions[option] == null) {
+                        return;
+                    }
+
+                    let conceptNames = Array.isArray(triggerOptions[option]) ? triggerOptions[option] : [triggerOptions[option]];
+                    conceptNames.forEach((conceptName)=>{
+                        if(this.engine.getConceptFromType(conceptName) == null) {
+                            this.problem(optionsPath.concat([option]), "Unknown concept ["+conceptName+"]");
+                        }
+                    });
+                });
+                break;
+            }
+        }
+    }
+
+    analyzeActions(actions, concept, path) {
+        if(actions == null) {
+            return;
+        }
+
+        if(!Array.isArray(actions)) {
+            this.analyzeAction(actions, concept, path);
+            return;
+        }
+
+        actions.forEach((action, index)=>{
+            if(Array.isArray(action)) {
+                //Anonymous action chain
+                this.analyzeActions(action, concept, path.concat([index]));
+            } else {
+                this.analyzeAction(action, concept, path.concat([index]));
+            }
+        });
+    }
+
+    analyzeAction(actionJson, concept, path) {
+        let actionName = null;
+        let actionOptions = {};
+        let optionsPath = path;
+
+        if(typeof actionJson === "string") {
+            actionName = actionJson;
+        } else if(actionJson != null && typeof actionJson === "object") {
+            actionName = Object.keys(actionJson)[0];
+            actionOptions = actionJson[actionName];
+            optionsPath = path.concat([actionName]);
+        }
+
+        if(actionName == null) {
+            return;
+        }
+
+        if(Action.hasPrimitiveAction(actionName, concept)) {
+            this.analyzePrimitiveAction(actionName, actionOptions, concept, optionsPath);
+            return;
+        }
+
+        this.calls.push({
+            concept: concept,
+            action: actionName,
+            arguments: actionOptions != null && typeof actionOptions === "object" ? Object.keys(actionOptions) : []
+        });
+
+        this.analyzeActionReference(actionName, concept, path);
+    }
+
+    analyzePrimitiveAction(actionName, options, concept, path) {
+        switch(actionName) {
+            case "set": {
+                if(options == null || typeof options !== "object") {
+                    break;
+                }
+
+                let keys = Object.keys(options);
+                if(keys.length === 1) {
+                    //Shorthand {"myProperty": "myValue"}
+                    if(!keys[0].trim().startsWith("$")) {
+                        this.analyzeProperty(keys[0], concept, path.concat([keys[0]]), true);
+                    }
+                } else if(options.property != null) {
+                    this.analyzeProperty(options.property, concept, path.concat(["property"]), true);
+                }
+                break;
+            }
+
+            case "get": {
+                if(typeof options === "string") {
+                    this.analyzeProperty(options, concept, path, true);
+                } else if(options != null && options.property != null) {
+                    this.analyzeProperty(options.property, concept, path.concat(["property"]), true);
+                }
+                break;
+            }
+
+            case "where": {
+                this.analyzeFilter(options, concept, path);
+                break;
+            }
+
+            case "run": {
+                let runAction = typeof options === "string" ? options : options != null ? options.action : null;
+
+                if(typeof runAction === "string") {
+                    let runArguments = options != null && options.lookupActionArguments != null ? options.lookupActionArguments : {};
+
+                    this.calls.push({
+                        concept: concept,
+                        action: runAction,
+                        arguments: Object.keys(runArguments)
+                    });
+
+                    this.analyzeActionReference(runAction, concept, typeof options === "string" ? path : path.concat(["action"]));
+                }
+                break;
+            }
+
+            case "switch": {
+                let cases = Array.isArray(options) ? options : [options];
+                cases.forEach((caseOption, index)=>{
+                    if(caseOption == null || typeof caseOption !== "object") {
+                        return;
+                    }
+
+                    let casePath = Array.isArray(options) ? path.concat([index]) : path;
+
+                    if(caseOption.where != null) {
+                        this.analyzeFilter(caseOption.where, concept, casePath.concat(["where"]));
+                    }
+
+                    if(caseOption.then != null) {
+                        this.analyzeActions(caseOption.then, concept, casePath.concat(["then"]));
+                    }
+                });
+                break;
+            }
+
+            case "transaction": {
+                this.analyzeActions(options, concept, path);
+                break;
+            }
+
+            default: {
+                //Actions like select, count and exists filter with a where option
+                if(options != null && typeof options === "object" && options.where != null) {
+                    this.analyzeFilter(options.where, concept, path.concat(["where"]));
+                }
+            }
+        }
+    }
+
+    analyzeFilter(filter, concept, path) {
+        if(filter == null || typeof filter !== "object") {
+            return;
+        }
+
+        if(filter.property != null) {
+            this.analyzeProperty(filter.property, concept, path.concat(["property"]));
+        }
+
+        ["or", "and"].forEach((combiner)=>{
+            if(Array.isArray(filter[combiner])) {
+                filter[combiner].forEach((subFilter, index)=>{
+                    this.analyzeFilter(subFilter, concept, path.concat([combiner, index]));
+                });
+            }
+        });
+
+        if(filter.not != null) {
+            this.analyzeFilter(filter.not, concept, path.concat(["not"]));
+        }
+    }
+
+    analyzeActionReference(actionName, concept, path) {
+        if(SpecAnalyzer.isRuntimeValue(actionName)) {
+            return;
+        }
+
+        let split = VarvEngine.splitReference(actionName);
+
+        if(split.conceptName != null) {
+            let lookupConcept = this.engine.getConceptFromType(split.conceptName);
+
+            if(lookupConcept == null) {
+                this.problem(path, "Unknown concept ["+split.conceptName+"] in action reference ["+actionName+"]");
+            } else if(lookupConcept.getAction(split.name) == null) {
+                this.problem(path, "Unknown action ["+split.name+"] on concept ["+split.conceptName+"]");
+            }
+            return;
+        }
+
+        if(concept.getAction(actionName) != null || Action.hasPrimitiveAction(actionName, concept)) {
+            return;
+        }
+
+        let found = this.engine.concepts.some((otherConcept)=>{
+            return otherConcept.getAction(actionName) != null;
+        });
+
+        if(!found) {
+            this.problem(path, "Unknown action ["+actionName+"]");
+        }
+    }
+
+    /**
+     * @param {string} propertyName
+     * @param {Concept} concept
+     * @param {Array<string|number>} path
+     * @param {boolean} [allowFieldPath] - If the reference may point inside an object or map property
+     */
+    analyzeProperty(propertyName, concept, path, allowFieldPath=false) {
+        if(typeof propertyName !== "string" || SpecAnalyzer.isRuntimeValue(propertyName)) {
+            return;
+        }
+
+        if(allowFieldPath) {
+            let structured = this.engine.splitPropertyPath(propertyName, concept);
+
+            if(structured != null) {
+                if(structured.property.getPathProperty(structured.path) == null) {
+                    this.problem(path, "Unknown field ["+structured.path.join(".")+"] in property ["+structured.reference+"]");
+                }
+                return;
+            }
+        }
+
+        let split = VarvEngine.splitReference(propertyName);
+
+        if(split.conceptName != null) {
+            let lookupConcept = this.engine.getConceptFromType(split.conceptName);
+
+            if(lookupConcept == null) {
+                this.problem(path, "Unknown concept ["+split.conceptName+"] in property reference ["+propertyName+"]");
+            } else if(!SpecAnalyzer.hasProperty(lookupConcept, split.name)) {
+                this.problem(path, "Unknown property ["+split.name+"] on concept ["+split.conceptName+"]");
+            }
+            return;
+        }
+
+        if(SpecAnalyzer.hasProperty(concept, propertyName)) {
+            return;
+        }
+
+        //Properties are looked up on all concepts, when not found on the current one
+        let found = this.engine.concepts.some((otherConcept)=>{
+            return SpecAnalyzer.hasProperty(otherConcept, propertyName);
+        });
+
+        if(!found) {
+            this.problem(path, "Unknown property ["+propertyName+"]");
+        }
+    }
+
+    analyzeDerivedProperties(structure, concept, path) {
+        const self = this;
+
+        let dependencies = new Map();
+        let derivePaths = new Map();
+
+        Object.keys(structure).forEach((propertyName)=>{
+            let propertyJson = structure[propertyName];
+
+            if(propertyJson == null || typeof propertyJson !== "object") {
+                return;
+            }
+
+            //Either {"myType": {...options}} or {"type": "myType", ...options}
+            let optionsPath = path.concat([propertyName]);
+            let typeOptions = propertyJson;
+            if(!(Object.keys(propertyJson).length > 1 && propertyJson.type != null)) {
+                optionsPath.push(Object.keys(propertyJson)[0]);
+                typeOptions = propertyJson[Object.keys(propertyJson)[0]];
+            }
+
+            if(typeOptions == null || typeOptions.derive == null || !Array.isArray(typeOptions.derive.properties)) {
+                return;
+            }
+
+            let derivePath = optionsPath.concat(["derive", "properties"]);
+            derivePaths.set(propertyName, derivePath);
+
+            dependencies.set(propertyName, typeOptions.derive.properties);
+
+            typeOptions.derive.properties.forEach((dependency, index)=>{
+                if(Property.resolveDependency(concept, dependency) == null) {
+                    self.problem(derivePath.concat([index]), "Derived property ["+propertyName+"] depends on unknown property ["+dependency+"]");
+                }
+            });
+        });
+
+        //Find the cycles by walking the dependencies depth first, reporting each cycle once
+        let done = new Set();
+
+        function visit(propertyName, chain) {
+            let cycleStart = chain.indexOf(propertyName);
+            if(cycleStart !== -1) {
+                let cycle = chain.slice(cycleStart).concat([propertyName]);
+                let first = cycle[0];
+                self.problem(derivePaths.get(first), "Derived property ["+first+"] depends on itself through ["+cycle.join(" -> ")+"]");
+                return;
+            }
+
+            if(done.has(propertyName) || !dependencies.has(propertyName)) {
+                return;
+            }
+
+            chain.push(propertyName);
+            dependencies.get(propertyName).forEach((dependency)=>{
+                visit(dependency, chain);
+            });
+            chain.pop();
+
+            done.add(propertyName);
+        }
+
+        dependencies.forEach((value, propertyName)=>{
+            visit(propertyName, []);
+        });
+    }
+
+    analyzeInverseProperties(structure, concept, path) {
+        const self = this;
+
+        Object.keys(structure).forEach((propertyName)=>{
+            let propertyJson = structure[propertyName];
+
+            if(propertyJson == null || typeof propertyJson !== "object") {
+                return;
+            }
+
+            //Either {"myType": {...options}} or {"type": "myType", ...options}
+            let optionsPath = path.concat([propertyName]);
+            let typeOptions = propertyJson;
+            if(!(Object.keys(propertyJson).length > 1 && propertyJson.type != null)) {
+                optionsPath.push(Object.keys(propertyJson)[0]);
+                typeOptions = propertyJson[Object.keys(propertyJson)[0]];
+            }
+
+            if(typeOptions == null || typeof typeOptions !== "object" || typeOptions.inverse == null) {
+                return;
+            }
+
+            let inversePath = optionsPath.concat(["inverse"]);
+            let property = concept.properties.get(propertyName);
+
+            if(property == null || !(property.isConceptType() || property.isConceptArrayType())) {
+                self.problem(inversePath, "Property ["+concept.name+"."+propertyName+"] has an inverse, but does not hold references to another concept");
+                return;
+            }
+
+            let otherConcept = self.engine.getConceptFromType(property.type === "array" ? property.options.items : property.type);
+            let inverse = otherConcept.properties.get(typeOptions.inverse);
+
+            if(inverse == null) {
+                self.problem(inversePath, "Inverse property ["+otherConcept.name+"."+typeOptions.inverse+"] of ["+concept.name+"."+propertyName+"] does not exist");
+            } else if(!inverse.holdsConceptOfType(concept.name)) {
+                self.problem(inversePath, "Inverse property ["+otherConcept.name+"."+typeOptions.inverse+"] of ["+concept.name+"."+propertyName+"] does not hold references to ["+concept.name+"]");
+            } else if(inverse.isDerived()) {
+                self.problem(inversePath, "Inverse property ["+otherConcept.name+"."+typeOptions.inverse+"] of ["+concept.name+"."+propertyName+"] is derived, and cannot be kept in sync");
+            } else if(inverse.options.inverse != null && inverse.options.inverse !== propertyName) {
+                self.problem(inversePath, "Inverse property ["+otherConcept.name+"."+typeOptions.inverse+"] of ["+concept.name+"."+propertyName+"] declares ["+inverse.options.inverse+"] as its inverse");
+            }
+        });
+    }
+
+    analyzeUniqueConstraints(conceptJson, concept, path) {
+        const self = this;
+
+        let constraints = [];
+
+        if(conceptJson.key != null) {
+            constraints.push({names: Array.isArray(conceptJson.key) ? conceptJson.key : [conceptJson.key], path: path.concat(["key"])});
+        }
+
+        if(Array.isArray(conceptJson.unique)) {
+            conceptJson.unique.forEach((constraint, index)=>{
+                constraints.push({names: Array.isArray(constraint) ? constraint : [constraint], path: path.concat(["unique", index])});
+            });
+        }
+
+        constraints.forEach((constraint)=>{
+            constraint.names.forEach((propertyName)=>{
+                let property = concept.properties.get(propertyName);
+
+                if(property == null) {
+                    self.problem(constraint.path, "Unique property ["+propertyName+"] does not exist on concept ["+concept.name+"]");
+                } else if(property.isDerived()) {
+                    self.problem(constraint.path, "Unique property ["+concept.name+"."+propertyName+"] is derived, and cannot be enforced");
+                }
+            });
+        });
+    }
+
+    analyzeUnusedTriggers() {
+        this.engine.concepts.forEach((concept)=>{
+            let usedTriggers = new Set();
+
+            concept.behaviours.forEach((behaviour)=>{
+                behaviour.triggers.forEach((triggerName)=>{
+                    usedTriggers.add(triggerName);
+                });
+            });
+
+            concept.triggers.forEach((trigger)=>{
+                if(!usedTriggers.has(trigger.name)) {
+                    this.problem(["concepts", concept.name], "Trigger ["+trigger.name+"] on concept ["+concept.name+"] is not used by any behaviour");
+                }
+            });
+        });
+    }
+
+    analyzeArguments() {
+        const self = this;
+
+        let reported = new Set();
+
+        this.placeholders.forEach((placeholder)=>{
+            let callerArguments = self.getCallerArguments(placeholder.concept, placeholder.action);
+
+            if(callerArguments == null) {
+                //Never called from the spec, so it is most likely called from a view
+                return;
+            }
+
+            let key = placeholder.concept.name+"."+placeholder.action+"@"+placeholder.name;
+
+            if(!callerArguments.has(placeholder.name) && !reported.has(key)) {
+                reported.add(key);
+                self.problem(placeholder.path, "Argument [@"+placeholder.name+"] of action ["+placeholder.action+"] is not supplied by any caller");
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {Concept} concept
+     * @param {string} actionName
+     * @returns {Set<string>|null} - All the arguments supplied by calls of the given action, or null if it is never called
+     */
+    getCallerArguments(concept, actionName) {
+        let callerArguments = null;
+
+        this.calls.forEach((call)=>{
+            let split = VarvEngine.splitReference(call.action);
+
+            let matches = false;
+            if(split.conceptName != null) {
+                matches = split.conceptName === concept.name && split.name === actionName;
+            } else {
+                //Plain names are found on whatever concept is in context, so count the call for all of them
+                matches = split.name === actionName;
+            }
+
+            if(matches) {
+                if(callerArguments == null) {
+                    callerArguments = new Set();
+                }
+
+                call.arguments.forEach((argument)=>{
+                    callerArguments.add(argument);
+                });
+            }
+        });
+
+        return callerArguments;
+    }
+
+    /**
+     * Finds all the "@myArgument" replacement values inside the given json
+     * @private
+     * @param {any} json
+     * @param {Array<string|number>} path
+     * @returns {Array<{name: string, path: Array<string|number>}>}
+     */
+    findPlaceholders(json, path) {
+        let placeholders = [];
+
+        if(typeof json === "string") {
+            //Same pattern as Action.lookupArguments
+            let regex = /@(\S+?)(?:@|\s|$)/gm;
+
+            for(let match of json.matchAll(regex)) {
+                placeholders.push({
+                    name: match[1],
+                    path: path
+                });
+            }
+        } else if(json != null && typeof json === "object") {
+            Object.keys(json).forEach((key)=>{
+                placeholders.push(...this.findPlaceholders(json[key], path.concat([Array.isArray(json) ? parseInt(key) : key])));
+            });
+        }
+
+        return placeholders;
+    }
+
+    isKnownTrigger(triggerName) {
+        //Trigger types, and the events concepts send when created and deleted, can be listened for by name
+        if(Trigger.triggers.has(triggerName) || triggerName === "created" || triggerName === "deleted") {
+            return true;
+        }
+
+        return this.engine.concepts.some((concept)=>{
+            return concept.getTrigger(triggerName) != null;
+        });
+    }
+
+    problem(path, message) {
+        this.problems.push({
+            path: path,
+            message: message
+        });
+    }
+
+    static hasProperty(concept, propertyName) {
+        try {
+            return concept.getProperty(propertyName) != null;
+        } catch(e) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} value
+     * @returns {boolean} - True if the value has variables or arguments, that are only known at runtime
+     */
+    static isRuntimeValue(value) {
+        return value.includes("$") || value.includes("@");
+    }
+}
+
+window.SpecAnalyzer = SpecAnalyzer;
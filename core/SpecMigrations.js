@@ -0,0 +1,330 @@
+/**
+ *  SpecMigrations - Versioned migrations of persisted concept data
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * A persisted concept instance, as handed to migration steps
+ * @typedef {object} MigrationRecord
+ * @property {string} uuid
+ * @property {string} concept - The name of the concept the instance was stored as
+ * @property {object} properties - The stored property values by property name, as they were stored
+ */
+
+/**
+ * Spec migrations bring data persisted by an older spec up to date with the current one, so renamed, retyped or
+ * moved properties are not left behind in the datastores.
+ *
+ * Each migration has a version and a list of steps. When a datastore is loaded, the migrations with a higher version
+ * than the one recorded in the datastore are run on its persisted data in version order, before the data is loaded
+ * into the concepts. The version of the last migration is then recorded in the datastore, so every migration is
+ * only ever run once per datastore. Datastores that do not persist any data have nothing to migrate.
+ *
+ * The steps are:
+ * - rename: Renames a property, or the concept itself if no property is given
+ * - retype: Converts the stored values of a property to another type, using "map" for values that can not be
+ *   typecast directly and "default" for values that can not be converted at all (they are dropped otherwise)
+ * - move: Moves properties to a new instance of another concept, stored in the datastore as well, optionally linking
+ *   to it from the "link" property. Properties can be renamed while moved by giving them as {"from": "to"}
+ * - drop: Drops a property, or all instances of the concept if no property is given
+ *
+ * @example
+ * {
+ *     "migrations": [
+ *         {
+ *             "version": 1,
+ *             "steps": [
+ *                 {"rename": {"concept": "todo", "property": "title", "to": "label"}},
+ *                 {"retype": {"concept": "todo", "property": "done", "type": "boolean", "map": {"yes": true, "no": false}, "default": false}}
+ *             ]
+ *         },
+ *         {
+ *             "version": 2,
+ *             "steps": [
+ *                 {"move": {"concept": "person", "properties": ["street", "city"], "to": "address", "link": "address"}},
+ *                 {"drop": {"concept": "person", "property": "legacyId"}},
+ *                 {"rename": {"concept": "todo", "to": "task"}}
+ *             ]
+ *         }
+ *     ]
+ * }
+ */
+class SpecMigrations {
+    /**
+     * Parses the migrations of the given json spec, reporting problems through ConceptLoader.report
+     * @param {object} json
+     * @returns {Array<{version: number, steps: Array<{type: string, options: object}>, valid: boolean}>} - Sorted by version
+     */
+    static parse(json) {
+        let migrations = [];
+
+        if(json.migrations == null) {
+            return migrations;
+        }
+
+        if(!Array.isArray(json.migrations)) {
+            ConceptLoader.report("error", "Migrations must be a list of versioned migrations", ["migrations"]);
+            return migrations;
+        }
+
+        let versions = new Set();
+
+        json.migrations.forEach((migrationJson, index)=>{
+            let path = ["migrations", index];
+
+            if(typeof migrationJson?.version !== "number" || migrationJson.version < 1) {
+                ConceptLoader.report("error", "Migration is missing a version number of 1 or more, ignoring it", path);
+                return;
+            }
+
+            if(versions.has(migrationJson.version)) {
+                ConceptLoader.report("error", "Migration version ["+migrationJson.version+"] is used more than once, ignoring it", path.concat(["version"]));
+                return;
+            }
+            versions.add(migrationJson.version);
+
+            let steps = [];
+            let valid = true;
+
+            (migrationJson.steps || []).forEach((stepJson, stepIndex)=>{
+                let stepPath = path.concat(["steps", stepIndex]);
+                let type = stepJson != null ? Object.keys(stepJson)[0] : null;
+                let step = SpecMigrations.steps[type];
+
+                if(step == null || Object.keys(stepJson).length !== 1) {
+                    ConceptLoader.report("error", "Unknown migration step ["+type+"], a step must be one of ["+Object.keys(SpecMigrations.steps).join(", ")+"]", stepPath);
+                    valid = false;
+                    return;
+                }
+
+                let options = stepJson[type];
+                let missing = step.required.filter((option)=>{
+                    return options?.[option] == null;
+                });
+
+                if(missing.length > 0) {
+                    ConceptLoader.report("error", "Migration step ["+type+"] is missing ["+missing.join(", ")+"]", stepPath.concat([type]));
+                    valid = false;
+                    return;
+                }
+
+                steps.push({
+                    type: type,
+                    options: options
+                });
+            });
+
+            migrations.push({
+                version: migrationJson.version,
+                steps: steps,
+                valid: valid
+            });
+        });
+
+        migrations.sort((m1, m2)=>{
+            return m1.version - m2.version;
+        });
+
+        return migrations;
+    }
+
+    /**
+     * Runs the migrations that have not yet been run on the given datastore, and records the version of the last one.
+     * Migrations are only run up to the first one with invalid steps, so none of them are skipped when it is fixed.
+     * @param {Datastore} datastore
+     * @param {Array<{version: number, steps: Array<{type: string, options: object}>, valid: boolean}>} migrations - As returned by parse
+     * @returns {Promise<boolean>} - True if any migrations were run
+     */
+    static async migrate(datastore, migrations) {
+        if(migrations.length === 0) {
+            return false;
+        }
+
+        let currentVersion = await datastore.getMigrationVersion();
+
+        let pending = migrations.filter((migration)=>{
+            return migration.version > currentVersion;
+        });
+
+        let invalidIndex = pending.findIndex((migration)=>{
+            return !migration.valid;
+        });
+        if(invalidIndex !== -1) {
+            console.warn("Not migrating datastore ["+datastore.name+"] past version "+pending[invalidIndex].version+", it has invalid steps");
+            pending = pending.slice(0, invalidIndex);
+        }
+
+        if(pending.length === 0) {
+            return false;
+        }
+
+        let records = await datastore.readMigrationRecords();
+        if(records == null) {
+            //This datastore does not persist anything
+            return false;
+        }
+
+        for(let migration of pending) {
+            if(SpecMigrations.DEBUG) {
+                console.log("Migrating datastore ["+datastore.name+"] to version "+migration.version);
+            }
+
+            for(let step of migration.steps) {
+                records = SpecMigrations.steps[step.type].apply(records, step.options);
+            }
+        }
+
+        //Nothing is written until all steps have run, so a failing step leaves the data as it was
+        await datastore.writeMigrationRecords(records);
+        await datastore.setMigrationVersion(pending[pending.length-1].version);
+
+        return true;
+    }
+
+    /**
+     * Converts a stored value to the given type
+     * @param {any} value
+     * @param {string|object} type - A property type, as it would be written in a schema
+     * @param {object} options - The retype options
+     * @returns {any} - The converted value, or undefined if it could not be converted
+     */
+    static convert(value, type, options) {
+        if(options.map != null && typeof value !== "object" && options.map.hasOwnProperty(""+value)) {
+            return options.map[""+value];
+        }
+
+        try {
+            return new Property("migration", type).typeCast(value);
+        } catch(e) {
+            return options.default;
+        }
+    }
+}
+SpecMigrations.DEBUG = false;
+
+SpecMigrations.steps = {
+    "rename": {
+        required: ["concept", "to"],
+        apply(records, options) {
+            records.forEach((record)=>{
+                if(record.concept !== options.concept) {
+                    return;
+                }
+
+                if(options.property == null) {
+                    record.concept = options.to;
+                } else if(record.properties.hasOwnProperty(options.property)) {
+                    record.properties[options.to] = record.properties[options.property];
+                    delete record.properties[options.property];
+                }
+            });
+
+            return records;
+        }
+    },
+    "retype": {
+        required: ["concept", "property", "type"],
+        apply(records, options) {
+            records.forEach((record)=>{
+                if(record.concept !== options.concept || !record.properties.hasOwnProperty(options.property)) {
+                    return;
+                }
+
+                let value = SpecMigrations.convert(record.properties[options.property], options.type, options);
+
+                if(value === undefined) {
+                    console.warn("Migration could not convert ["+record.properties[options.property]+"] of "+options.concept+"."+options.property+" to "+JSON.stringify(options.type)+", dropping it");
+                    delete record.properties[options.property];
+                } else {
+                    record.properties[options.property] = value;
+                }
+            });
+
+            return records;
+        }
+    },
+    "move": {
+        required: ["concept", "properties", "to"],
+        apply(records, options) {
+            let propertyNames = options.properties;
+            if(typeof propertyNames === "string") {
+                propertyNames = [propertyNames];
+            }
+            if(Array.isArray(propertyNames)) {
+                propertyNames = Object.fromEntries(propertyNames.map((name)=>[name, name]));
+            }
+
+            let moved = [];
+
+            records.forEach((record)=>{
+                if(record.concept !== options.concept) {
+                    return;
+                }
+
+                let target = {
+                    uuid: UUIDGenerator.generateUUID("concept"),
+                    concept: options.to,
+                    properties: {}
+                };
+
+                for(let [from, to] of Object.entries(propertyNames)) {
+                    if(record.properties.hasOwnProperty(from)) {
+                        target.properties[to] = record.properties[from];
+                        delete record.properties[from];
+                    }
+                }
+
+                if(options.link != null) {
+                    record.properties[options.link] = target.uuid;
+                }
+
+                moved.push(target);
+            });
+
+            return records.concat(moved);
+        }
+    },
+    "drop": {
+        required: ["concept"],
+        apply(records, options) {
+            if(options.property == null) {
+                return records.filter((record)=>{
+                    return record.concept !== options.concept;
+                });
+            }
+
+            records.forEach((record)=>{
+                if(record.concept === options.concept) {
+                    delete record.properties[options.property];
+                }
+            });
+
+            return records;
+        }
+    }
+};
+
+window.SpecMigrations = SpecMigrations;
@@ -0,0 +1,362 @@
+/**
+ *  SpecModules - Namespaced spec fragments, with imports and exports
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * Spec modules keep the concepts of a fragment apart from the concepts of other fragments.
+ *
+ * A fragment that declares a "module" has its concepts named "module.concept" when merged, so two modules can both
+ * define an "Item". Inside the module the concepts are referenced by their short names as usual. Other fragments
+ * reference them as "module.concept", "module.concept.action" or "module.concept.property", or through an alias
+ * given in "imports".
+ *
+ * A module can limit what other fragments can reference with "exports", a list of concepts and "concept.action"
+ * names. Exporting a concept exports all its actions. A module without "exports" exports everything.
+ *
+ * @example
+ * //A module
+ * {
+ *     "module": "widgets",
+ *     "exports": ["Button", "Dialog.open"],
+ *     "concepts": {
+ *         "Button": {...},
+ *         "Dialog": {...}
+ *     }
+ * }
+ *
+ * @example
+ * //A fragment using the module above as "ui"
+ * {
+ *     "imports": {"ui": "widgets"},
+ *     "concepts": {
+ *         "toolbar": {
+ *             "schema": {
+ *                 "button": "ui.Button"
+ *             },
+ *             "actions": {
+ *                 "help": ["ui.Dialog.open"]
+ *             }
+ *         }
+ *     }
+ * }
+ *
+ * @example
+ * //Imports without aliases, the module name is used as is
+ * {
+ *     "imports": ["widgets"]
+ * }
+ */
+class SpecModules {
+    /**
+     * Finds the modules declared by the given fragments
+     * @param {Array<{id: string, obj: object}>} fragments
+     * @returns {Map<string, {concepts: Set<string>, exports: Set<string>|null}>}
+     */
+    static collectModules(fragments) {
+        let modules = new Map();
+
+        fragments.forEach((fragment)=>{
+            let moduleName = SpecModules.getModuleName(fragment.obj);
+
+            if(moduleName == null) {
+                return;
+            }
+
+            let module = modules.get(moduleName);
+            if(module == null) {
+                module = {
+                    concepts: new Set(),
+                    exports: null
+                };
+                modules.set(moduleName, module);
+            }
+
+            SpecModules.getLocalConcepts(fragment.obj).forEach((conceptName)=>{
+                module.concepts.add(conceptName);
+            });
+
+            //The exports of all the fragments of a module are combined
+            if(Array.isArray(fragment.obj.exports)) {
+                if(module.exports == null) {
+                    module.exports = new Set();
+                }
+                fragment.obj.exports.forEach((exported)=>{
+                    module.exports.add(exported);
+                });
+            }
+        });
+
+        return modules;
+    }
+
+    /**
+     * Rewrites a fragment so its module concepts are named "module.concept", and references through import aliases
+     * use the module names. Fragments that are not modules and import nothing are returned as they are.
+     * @param {string} id - The id of the fragment
+     * @param {object} obj - The parsed fragment
+     * @param {Map<string, {concepts: Set<string>, exports: Set<string>|null}>} modules - All modules, from collectModules
+     * @param {LoadDiagnostics} [diagnostics] - Where to report unknown imports and references to things not exported
+     * @returns {object} - The rewritten fragment, without the module, imports and exports keys
+     */
+    static resolve(id, obj, modules, diagnostics = null) {
+        if(obj == null || typeof obj !== "object" || (obj.module == null && obj.imports == null && obj.exports == null)) {
+            return obj;
+        }
+
+        function report(message, path) {
+            if(diagnostics != null) {
+                diagnostics.error(message, path, {
+                    fragment: id
+                });
+            } else {
+                console.warn(message);
+            }
+        }
+
+        let context = {
+            module: SpecModules.getModuleName(obj),
+            localConcepts: new Set(),
+            imports: new Map(),
+            modules: modules,
+            report: report
+        };
+
+        if(obj.module != null && context.module == null) {
+            report("Module name ["+obj.module+"] should be a string without dots or spaces", ["module"]);
+        }
+
+        if(context.module != null) {
+            context.localConcepts = SpecModules.getLocalConcepts(obj);
+        }
+
+        let imports = obj.imports != null ? obj.imports : {};
+        if(Array.isArray(imports)) {
+            let importsWithoutAlias = {};
+            imports.forEach((moduleName)=>{
+                importsWithoutAlias[moduleName] = moduleName;
+            });
+            imports = importsWithoutAlias;
+        }
+
+        Object.keys(imports).forEach((alias)=>{
+            if(!modules.has(imports[alias])) {
+                report("Unknown module ["+imports[alias]+"] imported as ["+alias+"]", ["imports", alias]);
+                return;
+            }
+
+            context.imports.set(alias, imports[alias]);
+        });
+
+        let result = {};
+
+        Object.keys(obj).forEach((key)=>{
+            if(key === "module" || key === "imports" || key === "exports") {
+                return;
+            }
+
+            if(key === "concepts" || key === "extensions") {
+                result[key] = SpecModules.rewrite(obj[key], context, [key]);
+            } else {
+                result[key] = obj[key];
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    static rewrite(json, context, path) {
+        if(Array.isArray(json)) {
+            return json.map((entry, index)=>{
+                return SpecModules.rewrite(entry, context, path.concat([index]));
+            });
+        }
+
+        if(json != null && typeof json === "object") {
+            let result = {};
+
+            Object.keys(json).forEach((key)=>{
+                let newKey = key;
+
+                if(path.length === 1 && path[0] === "concepts") {
+                    //The concepts of the module
+                    if(context.module != null) {
+                        newKey = context.module+"."+key;
+                    }
+                } else {
+                    //Keys can be references too, like {"set": {"myConcept.myProperty": "value"}}
+                    newKey = SpecModules.rewriteReference(key, context, path[path.length - 1] === "stateChanged", path.concat([key]));
+                }
+
+                result[newKey] = SpecModules.rewrite(json[key], context, path.concat([key]));
+            });
+
+            return result;
+        }
+
+        if(typeof json === "string") {
+            let key = path[path.length - 1];
+            if(typeof key === "number") {
+                key = path[path.length - 2];
+            }
+
+            //Plain concept names are only rewritten where concepts are expected, as they could be any other value too
+            let conceptPosition = SpecModules.conceptKeys.includes(key) || (key === "as" && path[0] === "extensions") || (path.length === 4 && (path[2] === "schema" || path[2] === "structure"));
+
+            let rewritten = SpecModules.rewriteReference(json, context, conceptPosition, path);
+
+            //References inside variable lookups, like "$myConcept.myProperty$"
+            return rewritten.replace(/\$([^\s$.@]+)\./g, (match, first)=>{
+                let qualified = SpecModules.rewriteReference(first+".", context, false, path);
+                return "$"+qualified.substring(0, qualified.length - 1)+".";
+            });
+        }
+
+        return json;
+    }
+
+    /**
+     * Rewrites a reference to a concept, or to an action or property on a concept
+     * @private
+     * @param {string} reference
+     * @param {object} context
+     * @param {boolean} conceptPosition - If true, the reference is expected to be a concept name
+     * @param {Array<string|number>} path - Where the reference is, for reporting
+     * @returns {string}
+     */
+    static rewriteReference(reference, context, conceptPosition, path) {
+        if(conceptPosition && context.localConcepts.has(reference)) {
+            return context.module+"."+reference;
+        }
+
+        let dot = reference.indexOf(".");
+        if(dot <= 0 || /[\s$@]/.test(reference)) {
+            return reference;
+        }
+
+        let first = reference.substring(0, dot);
+        let rest = reference.substring(dot + 1);
+
+        if(context.localConcepts.has(first)) {
+            return context.module+"."+reference;
+        }
+
+        let moduleName = null;
+        if(context.imports.has(first)) {
+            moduleName = context.imports.get(first);
+        } else if(context.modules.has(first) && first !== context.module) {
+            moduleName = first;
+        }
+
+        if(moduleName == null) {
+            return reference;
+        }
+
+        let module = context.modules.get(moduleName);
+
+        let conceptName = rest.split(".")[0];
+        let member = rest.length > conceptName.length ? rest.substring(conceptName.length + 1) : null;
+
+        //Empty concept names are partial references, like the start of a variable lookup
+        if(conceptName !== "") {
+            if(!module.concepts.has(conceptName)) {
+                context.report("Module ["+moduleName+"] has no concept ["+conceptName+"]", path);
+            } else if(!SpecModules.isExported(module, conceptName, member)) {
+                context.report("["+rest+"] is not exported from module ["+moduleName+"]", path);
+            }
+        }
+
+        return moduleName+"."+rest;
+    }
+
+    /**
+     * @private
+     */
+    static isExported(module, conceptName, member) {
+        if(module.exports == null || module.exports.has(conceptName)) {
+            return true;
+        }
+
+        if(member != null) {
+            return module.exports.has(conceptName+"."+member);
+        }
+
+        //The concept itself can be referenced, when some of its actions are exported
+        for(let exported of module.exports) {
+            if(exported.startsWith(conceptName+".")) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @private
+     * @param {object} obj
+     * @returns {string|null} - The module name of the fragment, or null if it is not a (valid) module
+     */
+    static getModuleName(obj) {
+        if(obj == null || typeof obj.module !== "string" || !/^[^.\s]+$/.test(obj.module)) {
+            return null;
+        }
+
+        return obj.module;
+    }
+
+    /**
+     * @private
+     * @param {object} obj
+     * @returns {Set<string>} - The concepts defined by the fragment, including the ones made by join and pick extensions
+     */
+    static getLocalConcepts(obj) {
+        let concepts = new Set();
+
+        if(obj.concepts != null && typeof obj.concepts === "object") {
+            Object.keys(obj.concepts).forEach((conceptName)=>{
+                concepts.add(conceptName);
+            });
+        }
+
+        if(Array.isArray(obj.extensions)) {
+            obj.extensions.forEach((extension)=>{
+                if(extension != null && typeof extension.as === "string") {
+                    concepts.add(extension.as);
+                }
+            });
+        }
+
+        return concepts;
+    }
+}
+
+//Option keys whose values are concept names
+SpecModules.conceptKeys = ["concept", "into", "inject", "join", "items", "array", "type", "stateChanged"];
+
+window.SpecModules = SpecModules;
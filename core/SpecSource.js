@@ -0,0 +1,207 @@
+/**
+ *  SpecSource - Sources of Varv spec definitions
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * A single spec definition delivered by a SpecSource
+ * @typedef {object} SpecEntry
+ * @property {string} id - An id identifying where this spec came from (A fragment id, an element id...)
+ * @property {string|object} spec - The spec, either as a YAML/JSON string or as an already parsed object
+ */
+
+/**
+ * Superclass for all spec sources.
+ *
+ * A spec source delivers the spec definitions that the VarvEngine merges and loads, and notifies the
+ * engine when any of them change, so the engine can reload.
+ */
+class SpecSource {
+    constructor() {
+        this.changedCallbacks = [];
+    }
+
+    /**
+     * Get all the spec definitions currently delivered by this source, in the order they should be merged
+     * @returns {Promise<SpecEntry[]>}
+     */
+    async getSpecs() {
+        console.warn("Always override SpecSource.getSpecs in subclass!");
+        return [];
+    }
+
+    /**
+     * Register a callback that is called whenever the specs of this source have changed
+     * @param {Function} callback
+     * @returns {Function} - The registered callback
+     */
+    registerOnChangedCallback(callback) {
+        this.changedCallbacks.push(callback);
+        return callback;
+    }
+
+    removeOnChangedCallback(callback) {
+        let index = this.changedCallbacks.indexOf(callback);
+        if(index !== -1) {
+            this.changedCallbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Signal that the specs of this source have changed
+     */
+    changed() {
+        this.changedCallbacks.slice().forEach((callback)=>{
+            callback(this);
+        });
+    }
+
+    /**
+     * Stop listening for changes
+     */
+    destroy() {
+        this.changedCallbacks = [];
+    }
+
+    /**
+     * Turns the given spec into a SpecEntry, parsing it if it is a YAML/JSON string
+     * @param {string|object} spec
+     * @param {string} id
+     * @returns {SpecEntry}
+     */
+    static toEntry(spec, id) {
+        if(spec != null && typeof spec === "object" && spec.hasOwnProperty("spec") && spec.hasOwnProperty("id")) {
+            //Already an entry
+            return spec;
+        }
+
+        return {
+            id: id,
+            spec: spec
+        };
+    }
+
+    /**
+     * Parses the spec of the given entry into an object
+     * @param {SpecEntry} entry
+     * @returns {object}
+     */
+    static parseEntry(entry) {
+        if(typeof entry.spec === "string") {
+            return YAMLJSONConverter.loadFromString(entry.spec).obj;
+        }
+
+        return entry.spec;
+    }
+}
+SpecSource.DEBUG = false;
+window.SpecSource = SpecSource;
+
+/**
+ * A spec source that just holds the specs it is given, useful for plain pages and headless runs
+ *
+ * @example
+ * let source = new StaticSpecSource([mySpecObject, myYAMLString]);
+ * await VarvEngine.start({source: source});
+ *
+ * //Replacing the specs reloads the engine
+ * source.setSpecs([myOtherSpecObject]);
+ */
+class StaticSpecSource extends SpecSource {
+    /**
+     * @param {string|object|Array<string|object>} specs
+     */
+    constructor(specs = []) {
+        super();
+
+        this.entries = StaticSpecSource.toEntries(specs);
+    }
+
+    async getSpecs() {
+        return this.entries.slice();
+    }
+
+    /**
+     * Replace the specs of this source
+     * @param {string|object|Array<string|object>} specs
+     */
+    setSpecs(specs) {
+        this.entries = StaticSpecSource.toEntries(specs);
+        this.changed();
+    }
+
+    static toEntries(specs) {
+        if(!Array.isArray(specs)) {
+            specs = [specs];
+        }
+
+        return specs.filter((spec)=>{
+            return spec != null;
+        }).map((spec, index)=>{
+            return SpecSource.toEntry(spec, "spec-"+index);
+        });
+    }
+}
+window.StaticSpecSource = StaticSpecSource;
+
+/**
+ * A spec source that reads specs from elements in a plain HTML page, defaults to all <script type="text/varv"> elements
+ *
+ * @example
+ * <script type="text/varv" id="todo">
+ * concepts:
+ *   todo:
+ *     schema:
+ *       text: string
+ * </script>
+ */
+class ElementSpecSource extends SpecSource {
+    /**
+     * @param {string} selector - The selector used to find the spec elements
+     * @param {Document|Element} root - The element to search below
+     */
+    constructor(selector = "script[type='text/varv']", root = document) {
+        super();
+
+        this.selector = selector;
+        this.root = root;
+    }
+
+    async getSpecs() {
+        return Array.from(this.root.querySelectorAll(this.selector)).map((elm, index)=>{
+            let id = elm.id;
+            if(id == null || id === "") {
+                id = elm.getAttribute("name") || "element-"+index;
+            }
+
+            return {
+                id: id,
+                spec: elm.textContent
+            };
+        });
+    }
+}
+window.ElementSpecSource = ElementSpecSource;
@@ -0,0 +1,370 @@
+/**
+ *  SpecValidator - Validates specs against a JSON schema
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * Validates specs against a JSON schema, like codestrates/whenv2-schema.json.
+ *
+ * Only the parts of JSON schema (draft-07) used by Varv schemas are supported: $ref to local definitions, type, enum,
+ * const, pattern, minLength, maxLength, minimum, maximum, properties, patternProperties, additionalProperties,
+ * required, minProperties, maxProperties, items, minItems, maxItems, allOf, anyOf, oneOf and not.
+ *
+ * VarvEngine.start loads the schema at SpecValidator.schemaUrl, unless a schema is already set.
+ *
+ * @example
+ * //Validate every load of the default engine
+ * await SpecValidator.loadSchema("codestrates/whenv2-schema.json");
+ *
+ * @example
+ * let problems = new SpecValidator(mySchema).validate(mySpec);
+ * problems.forEach((problem)=>{
+ *     console.log(LoadDiagnostics.pathToString(problem.path), problem.message);
+ * });
+ */
+class SpecValidator {
+    /**
+     * @param {object} schema
+     */
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Validates the given json against the schema
+     * @param {any} json
+     * @returns {Array<{path: Array<string|number>, message: string}>} - The problems found, empty if valid
+     */
+    validate(json) {
+        return this.validateNode(json, this.schema, []);
+    }
+
+    validateNode(json, schema, path) {
+        if(schema === true || schema == null) {
+            return [];
+        }
+
+        if(schema === false) {
+            return [SpecValidator.problem(path, "Not allowed here")];
+        }
+
+        if(schema.$ref != null) {
+            return this.validateNode(json, this.resolveRef(schema.$ref), path);
+        }
+
+        let jsonType = SpecValidator.getType(json);
+
+        if(schema.type != null) {
+            let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            let typeMatched = types.some((type)=>{
+                return type === jsonType || (type === "number" && jsonType === "integer");
+            });
+
+            if(!typeMatched) {
+                //Nothing else makes sense to check when the type is wrong
+                return [SpecValidator.problem(path, "Expected "+types.join(" or ")+", but found "+jsonType)];
+            }
+        }
+
+        let problems = [];
+
+        if(schema.enum != null && !schema.enum.some((value)=>{ return SpecValidator.isEqual(value, json); })) {
+            problems.push(SpecValidator.problem(path, "["+json+"] is not one of ["+schema.enum.join(", ")+"]"));
+        }
+
+        if(schema.hasOwnProperty("const") && !SpecValidator.isEqual(schema.const, json)) {
+            problems.push(SpecValidator.problem(path, "Expected ["+schema.const+"], but found ["+json+"]"));
+        }
+
+        if(jsonType === "string") {
+            problems.push(...this.validateString(json, schema, path));
+        } else if(jsonType === "number" || jsonType === "integer") {
+            problems.push(...this.validateNumber(json, schema, path));
+        } else if(jsonType === "object") {
+            problems.push(...this.validateObject(json, schema, path));
+        } else if(jsonType === "array") {
+            problems.push(...this.validateArray(json, schema, path));
+        }
+
+        problems.push(...this.validateCombinations(json, schema, path));
+
+        return problems;
+    }
+
+    validateString(json, schema, path) {
+        let problems = [];
+
+        if(schema.pattern != null && !new RegExp(schema.pattern, "u").test(json)) {
+            problems.push(SpecValidator.problem(path, "["+json+"] does not match the pattern ["+schema.pattern+"]"));
+        }
+        if(schema.minLength != null && json.length < schema.minLength) {
+            problems.push(SpecValidator.problem(path, "Must be at least "+schema.minLength+" characters long"));
+        }
+        if(schema.maxLength != null && json.length > schema.maxLength) {
+            problems.push(SpecValidator.problem(path, "Must be at most "+schema.maxLength+" characters long"));
+        }
+
+        return problems;
+    }
+
+    validateNumber(json, schema, path) {
+        let problems = [];
+
+        if(schema.minimum != null && json < schema.minimum) {
+            problems.push(SpecValidator.problem(path, "Must be at least "+schema.minimum));
+        }
+        if(schema.maximum != null && json > schema.maximum) {
+            problems.push(SpecValidator.problem(path, "Must be at most "+schema.maximum));
+        }
+
+        return problems;
+    }
+
+    validateObject(json, schema, path) {
+        const self = this;
+
+        let problems = [];
+        let keys = Object.keys(json);
+
+        if(schema.required != null) {
+            schema.required.forEach((key)=>{
+                if(!json.hasOwnProperty(key)) {
+                    problems.push(SpecValidator.problem(path, "Missing required key ["+key+"]"));
+                }
+            });
+        }
+
+        if(schema.minProperties != null && keys.length < schema.minProperties) {
+            problems.push(SpecValidator.problem(path, "Must have at least "+schema.minProperties+" keys"));
+        }
+        if(schema.maxProperties != null && keys.length > schema.maxProperties) {
+            problems.push(SpecValidator.problem(path, "Must have at most "+schema.maxProperties+" keys"));
+        }
+
+        keys.forEach((key)=>{
+            let keyPath = path.concat([key]);
+            let matched = false;
+
+            if(schema.properties != null && schema.properties.hasOwnProperty(key)) {
+                matched = true;
+                problems.push(...self.validateNode(json[key], schema.properties[key], keyPath));
+            }
+
+            if(schema.patternProperties != null) {
+                Object.keys(schema.patternProperties).forEach((pattern)=>{
+                    if(new RegExp(pattern, "u").test(key)) {
+                        matched = true;
+                        problems.push(...self.validateNode(json[key], schema.patternProperties[pattern], keyPath));
+                    }
+                });
+            }
+
+            if(!matched && schema.additionalProperties != null) {
+                if(schema.additionalProperties === false) {
+                    problems.push(SpecValidator.problem(keyPath, "Unknown key ["+key+"]"));
+                } else {
+                    problems.push(...self.validateNode(json[key], schema.additionalProperties, keyPath));
+                }
+            }
+        });
+
+        return problems;
+    }
+
+    validateArray(json, schema, path) {
+        const self = this;
+
+        let problems = [];
+
+        if(schema.minItems != null && json.length < schema.minItems) {
+            problems.push(SpecValidator.problem(path, "Must have at least "+schema.minItems+" entries"));
+        }
+        if(schema.maxItems != null && json.length > schema.maxItems) {
+            problems.push(SpecValidator.problem(path, "Must have at most "+schema.maxItems+" entries"));
+        }
+
+        if(schema.items != null) {
+            json.forEach((entry, index)=>{
+                let itemSchema = Array.isArray(schema.items) ? schema.items[index] : schema.items;
+                problems.push(...self.validateNode(entry, itemSchema, path.concat([index])));
+            });
+        }
+
+        return problems;
+    }
+
+    validateCombinations(json, schema, path) {
+        const self = this;
+
+        let problems = [];
+
+        if(schema.allOf != null) {
+            schema.allOf.forEach((subSchema)=>{
+                problems.push(...self.validateNode(json, subSchema, path));
+            });
+        }
+
+        if(schema.anyOf != null) {
+            let results = schema.anyOf.map((subSchema)=>{
+                return self.validateNode(json, subSchema, path);
+            });
+
+            if(!results.some((result)=>{ return result.length === 0; })) {
+                problems.push(...SpecValidator.closestProblems(results, path, schema));
+            }
+        }
+
+        if(schema.oneOf != null) {
+            let results = schema.oneOf.map((subSchema)=>{
+                return self.validateNode(json, subSchema, path);
+            });
+
+            let matches = results.filter((result)=>{
+                return result.length === 0;
+            }).length;
+
+            if(matches === 0) {
+                problems.push(...SpecValidator.closestProblems(results, path, schema));
+            } else if(matches > 1) {
+                problems.push(SpecValidator.problem(path, "Matches more than one of the allowed forms"));
+            }
+        }
+
+        if(schema.not != null && this.validateNode(json, schema.not, path).length === 0) {
+            problems.push(SpecValidator.problem(path, "Not allowed here"));
+        }
+
+        return problems;
+    }
+
+    /**
+     * Get a definition from the schema, by a local reference like "#/$defs/action"
+     * @param {string} ref
+     * @returns {object}
+     */
+    resolveRef(ref) {
+        if(!ref.startsWith("#")) {
+            throw new Error("Only local schema references are supported: "+ref);
+        }
+
+        let result = this.schema;
+
+        ref.substring(1).split("/").filter((part)=>{
+            return part.length > 0;
+        }).forEach((part)=>{
+            part = decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~");
+            if(result == null || !result.hasOwnProperty(part)) {
+                throw new Error("Unknown schema reference: "+ref);
+            }
+            result = result[part];
+        });
+
+        return result;
+    }
+
+    /**
+     * When none of the alternatives matched, the alternative that got the furthest into the json is most likely
+     * the intended one, so its problems are the useful ones. If none of them got further than the value itself,
+     * there is no way to tell what was meant.
+     * @param {Array<Array<object>>} results - The problems of each alternative
+     * @param {Array<string|number>} path
+     * @param {object} schema
+     * @returns {Array<object>}
+     */
+    static closestProblems(results, path, schema) {
+        let closest = null;
+        let closestDepth = -1;
+
+        results.forEach((result)=>{
+            let depth = Math.max(...result.map((problem)=>{
+                return problem.path.length;
+            }));
+
+            if(depth > closestDepth || (depth === closestDepth && result.length < closest.length)) {
+                closest = result;
+                closestDepth = depth;
+            }
+        });
+
+        if(closestDepth <= path.length) {
+            let message = "Does not match any of the allowed forms";
+            if(schema.description != null) {
+                message += " of: "+schema.description;
+            }
+            return [SpecValidator.problem(path, message)];
+        }
+
+        return closest;
+    }
+
+    static problem(path, message) {
+        return {
+            path: path,
+            message: message
+        };
+    }
+
+    static getType(json) {
+        if(json === null) {
+            return "null";
+        }
+        if(Array.isArray(json)) {
+            return "array";
+        }
+        if(typeof json === "number" && Number.isInteger(json)) {
+            return "integer";
+        }
+        return typeof json;
+    }
+
+    static isEqual(json1, json2) {
+        return VarvEngine.stableStringify(json1) === VarvEngine.stableStringify(json2);
+    }
+
+    /**
+     * Fetches the schema at the given url, and uses it to validate all loads from now on
+     * @param {string} url
+     * @returns {Promise<object>} - The schema
+     */
+    static async loadSchema(url) {
+        let response = await fetch(url);
+        if(!response.ok) {
+            throw new Error("Unable to fetch spec schema from ["+url+"]: "+response.status);
+        }
+
+        SpecValidator.schema = await response.json();
+
+        return SpecValidator.schema;
+    }
+}
+
+//The schema used to validate loaded specs, loads report that they were not validated while this is null
+SpecValidator.schema = null;
+
+//Where VarvEngine.start loads the schema from, when none is set
+SpecValidator.schemaUrl = "codestrates/whenv2-schema.json";
+
+window.SpecValidator = SpecValidator;
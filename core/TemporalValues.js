@@ -0,0 +1,259 @@
+/**
+ *  TemporalValues - Helpers for the date, datetime and duration property types
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * Helpers for the temporal property types, all of them are stored as ISO 8601 strings, so they serialize the same in
+ * every datastore:
+ * <ul>
+ * <li>date - A calendar date, "2022-03-14"</li>
+ * <li>datetime - A point in time in UTC, "2022-03-14T15:09:26.000Z"</li>
+ * <li>duration - A length of time, "P1DT2H30M"</li>
+ * </ul>
+ *
+ * A date or datetime with the default "now" is given the time its instance was created, and keeps it.
+ *
+ * @example
+ * {
+ *     "schema": {
+ *         "dueDate": "date",
+ *         "createdAt": {
+ *             "datetime": {
+ *                 "default": "now"
+ *             }
+ *         },
+ *         "estimate": {
+ *             "duration": {
+ *                 "default": "PT1H"
+ *             }
+ *         }
+ *     }
+ * }
+ */
+class TemporalValues {
+    /**
+     * @param {string} type
+     * @returns {boolean} - True if the given property type is one of the temporal types
+     */
+    static isTemporalType(type) {
+        return TemporalValues.types.includes(type);
+    }
+
+    /**
+     * Casts a Date, a number of milliseconds (since epoch for date and datetime), or a string to the ISO form of the
+     * type. The string "now" is the current date or datetime.
+     * @param {any} value
+     * @param {string} type
+     * @returns {string|null}
+     */
+    static cast(value, type) {
+        if(value == null || value === "") {
+            return null;
+        }
+
+        if(type === "duration") {
+            if(typeof value === "number") {
+                return TemporalValues.formatDuration(value);
+            }
+
+            if(TemporalValues.parseDuration(""+value) == null) {
+                throw new Error("Unable to typecast ["+value+"] to [duration]");
+            }
+
+            return ""+value;
+        }
+
+        if(value === "now") {
+            value = new Date();
+        }
+
+        if(type === "date" && typeof value === "string" && TemporalValues.dateRegex.test(value)) {
+            return value;
+        }
+
+        let date = value instanceof Date ? value : new Date(value);
+
+        if(isNaN(date.getTime())) {
+            throw new Error("Unable to typecast ["+value+"] to ["+type+"]");
+        }
+
+        if(type === "date") {
+            return TemporalValues.formatDate(date);
+        }
+
+        return date.toISOString();
+    }
+
+    /**
+     * @param {any} value - A non null value
+     * @param {string} type
+     * @returns {boolean} - True if the value is the ISO form of the type
+     */
+    static validate(value, type) {
+        if(typeof value !== "string") {
+            return false;
+        }
+
+        switch(type) {
+            case "date":
+                return TemporalValues.dateRegex.test(value) && !isNaN(Date.parse(value));
+            case "datetime":
+                return !isNaN(Date.parse(value));
+            case "duration":
+                return TemporalValues.parseDuration(value) != null;
+        }
+
+        return false;
+    }
+
+    /**
+     * Converts a value to a number that can be compared, milliseconds since epoch for date and datetime, and
+     * milliseconds for duration
+     * @param {any} value
+     * @param {string} type
+     * @returns {number|any} - The value itself if it could not be converted
+     */
+    static toComparable(value, type) {
+        if(typeof value !== "string") {
+            return value;
+        }
+
+        if(type === "duration") {
+            let duration = TemporalValues.parseDuration(value);
+            return duration != null ? duration : value;
+        }
+
+        let time = Date.parse(value);
+        return isNaN(time) ? value : time;
+    }
+
+    /**
+     * The value of the default "now"
+     * @param {string} type
+     * @returns {string}
+     */
+    static now(type) {
+        return TemporalValues.cast(new Date(), type);
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} - The local calendar date of the given date, as "YYYY-MM-DD"
+     */
+    static formatDate(date) {
+        return date.getFullYear()+"-"+TemporalValues.pad(date.getMonth()+1)+"-"+TemporalValues.pad(date.getDate());
+    }
+
+    /**
+     * Parses an ISO 8601 duration, years and months are counted as 365 and 30 days
+     * @param {string} value
+     * @returns {number|null} - The duration in milliseconds, or null if not a duration
+     */
+    static parseDuration(value) {
+        let match = /^(-)?P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value);
+
+        if(match == null || value === "P" || value.endsWith("T")) {
+            return null;
+        }
+
+        const day = 24 * 60 * 60 * 1000;
+        let units = [365 * day, 30 * day, 7 * day, day, 60 * 60 * 1000, 60 * 1000, 1000];
+
+        let duration = 0;
+        units.forEach((unit, index)=>{
+            if(match[index + 2] != null) {
+                duration += Number(match[index + 2]) * unit;
+            }
+        });
+
+        return match[1] != null ? -duration : duration;
+    }
+
+    /**
+     * @param {number} milliseconds
+     * @returns {string} - The ISO 8601 duration, in days, hours, minutes and seconds
+     */
+    static formatDuration(milliseconds) {
+        let sign = milliseconds < 0 ? "-" : "";
+        let rest = Math.abs(milliseconds);
+
+        let days = Math.floor(rest / (24 * 60 * 60 * 1000));
+        rest -= days * 24 * 60 * 60 * 1000;
+        let hours = Math.floor(rest / (60 * 60 * 1000));
+        rest -= hours * 60 * 60 * 1000;
+        let minutes = Math.floor(rest / (60 * 1000));
+        rest -= minutes * 60 * 1000;
+        let seconds = rest / 1000;
+
+        let time = (hours > 0 ? hours+"H" : "") + (minutes > 0 ? minutes+"M" : "") + (seconds > 0 ? seconds+"S" : "");
+
+        if(days === 0 && time === "") {
+            return "PT0S";
+        }
+
+        return sign + "P" + (days > 0 ? days+"D" : "") + (time !== "" ? "T"+time : "");
+    }
+
+    /**
+     * Converts a stored value to what an input element of the given type expects
+     * @param {string} value
+     * @param {string} inputType - "date" or "datetime-local"
+     * @returns {string} - The value unchanged if it is not a date or datetime
+     */
+    static toInputValue(value, inputType) {
+        if(typeof value !== "string" || value === "" || (inputType === "date" && TemporalValues.dateRegex.test(value))) {
+            return value;
+        }
+
+        let date = new Date(value);
+        if(isNaN(date.getTime())) {
+            return value;
+        }
+
+        let time = TemporalValues.pad(date.getHours())+":"+TemporalValues.pad(date.getMinutes());
+
+        switch(inputType) {
+            case "date":
+                return TemporalValues.formatDate(date);
+            case "datetime-local":
+                return TemporalValues.formatDate(date)+"T"+time;
+        }
+
+        return value;
+    }
+
+    /**
+     * @private
+     */
+    static pad(number) {
+        return (""+number).padStart(2, "0");
+    }
+}
+TemporalValues.DEBUG = false;
+TemporalValues.types = ["date", "datetime", "duration"];
+TemporalValues.dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+window.TemporalValues = TemporalValues;
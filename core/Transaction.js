@@ -0,0 +1,192 @@
+/**
+ *  Transaction - Atomic changes to concept instances
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * A transaction buffers the changes made to concept instances while it runs, and applies all of them when it commits.
+ *
+ * While the transaction runs, property values are written to the transaction instead of the datastores, created
+ * instances are only known to the engine, deletes wait until commit, and triggers and property update callbacks are
+ * held back. Reading a property sees the values written in the transaction. When the transaction commits, the
+ * changes are applied to the datastores in order, then the held back triggers and updates run, and finally the
+ * deleted instances disappear. When it rolls back, the changes are thrown away and nothing is triggered.
+ *
+ * Transactions are started with VarvEngine.transaction or the 'transaction' action. Like TriggerSuppression, the
+ * transaction is handed along the calls that are part of it, the actions run by the 'transaction' action get it in
+ * their contexts. Anything else changing the engine meanwhile, like other behaviours or the datastores, is not part of
+ * it and does not see the values written in it. A 'transaction' action run inside another transaction is part of the
+ * outer one.
+ *
+ * @example
+ * await VarvEngine.transaction(async (transaction)=>{
+ *     let uuid = await todoConcept.create(null, {"title": "Buy milk"}, null, transaction);
+ *     await todoConcept.setPropertyValue(uuid, "done", true, null, transaction);
+ * });
+ */
+class Transaction {
+    /**
+     * @param {VarvEngine} engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+
+        //Changes to apply to the datastores, in order
+        this.changes = [];
+
+        //The buffered values, by property and then by uuid
+        this.values = new Map();
+
+        //Triggers and updates held back until commit
+        this.deferred = [];
+    }
+
+    /**
+     * Records an instance created in this transaction, it is known to the engine right away, but only appears in the
+     * datastores when the transaction commits
+     * @param {Concept} concept
+     * @param {string} uuid
+     */
+    create(concept, uuid) {
+        this.engine.registerConceptFromUUID(uuid, concept);
+        this.changes.push({type: "create", concept: concept, uuid: uuid});
+    }
+
+    /**
+     * Records an instance deleted in this transaction, it disappears when the transaction commits
+     * @param {Concept} concept
+     * @param {string} uuid
+     */
+    delete(concept, uuid) {
+        this.changes.push({type: "delete", concept: concept, uuid: uuid});
+    }
+
+    /**
+     * Buffers a property value written in this transaction
+     * @param {Property} property
+     * @param {string} uuid
+     * @param {any} value
+     */
+    setValue(property, uuid, value) {
+        let propertyValues = this.values.get(property);
+        if(propertyValues == null) {
+            propertyValues = new Map();
+            this.values.set(property, propertyValues);
+        }
+        propertyValues.set(uuid, value);
+
+        this.changes.push({type: "set", property: property, uuid: uuid, value: value});
+    }
+
+    /**
+     * Checks if a value for the given property and uuid was written in this transaction
+     * @param {Property} property
+     * @param {string} uuid
+     * @returns {boolean}
+     */
+    hasValue(property, uuid) {
+        return this.values.has(property) && this.values.get(property).has(uuid);
+    }
+
+    /**
+     * Get the value for the given property and uuid written in this transaction
+     * @param {Property} property
+     * @param {string} uuid
+     * @returns {any}
+     */
+    getValue(property, uuid) {
+        return this.values.get(property).get(uuid);
+    }
+
+    /**
+     * Holds back the given method until the transaction commits
+     * @param {Function} method
+     */
+    defer(method) {
+        this.deferred.push(method);
+    }
+
+    /**
+     * Applies the changes of this transaction to the datastores, then runs the held back triggers and updates
+     * @returns {Promise<void>}
+     */
+    async commit() {
+        if(Transaction.DEBUG) {
+            console.log("Committing transaction:", this.changes);
+        }
+
+        let deletes = [];
+
+        for(let change of this.changes) {
+            switch(change.type) {
+                case "create":
+                    await change.concept.appeared(change.uuid);
+                    break;
+                case "set":
+                    for(let setCallback of change.property.setCallbacks) {
+                        await setCallback(change.uuid, change.value);
+                    }
+                    break;
+                case "delete":
+                    deletes.push(change);
+                    break;
+            }
+        }
+
+        for(let method of this.deferred) {
+            await method();
+        }
+
+        //Deleted triggers run before the instance disappears, like when deleting outside a transaction
+        for(let change of deletes) {
+            if(this.engine.getConceptFromUUID(change.uuid) != null) {
+                await change.concept.disappeared(change.uuid);
+            }
+        }
+    }
+
+    /**
+     * Throws away the changes of this transaction
+     */
+    rollback() {
+        if(Transaction.DEBUG) {
+            console.log("Rolling back transaction:", this.changes);
+        }
+
+        for(let change of this.changes) {
+            if(change.type === "create") {
+                this.engine.deregisterConceptFromUUID(change.uuid);
+            }
+        }
+
+        this.changes = [];
+        this.values.clear();
+        this.deferred = [];
+    }
+}
+Transaction.DEBUG = false;
+
+window.Transaction = Transaction;
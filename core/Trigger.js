@@ -26,9 +26,6 @@
  *  
  */
 
-const VarvEventPrefix = "VarvEvent.";
-let triggeringEnabled = true;
-
 class Trigger {
     /**
      * Create a new trigger
@@ -42,6 +39,14 @@ class Trigger {
         this.concept = concept;
     }
 
+    /**
+     * The engine this trigger lives in
+     * @returns {VarvEngine}
+     */
+    get engine() {
+        return VarvEngine.of(this.concept);
+    }
+
     /**
      * Destroy this trigger
      * @param {Concept} concept - The concept this trigger is registered on
@@ -79,30 +84,46 @@ class Trigger {
      * @param {string} type - The type of trigger to create
      * @param {string} name - The name to give the trigger
      * @param {object} options - The options to pass along to the trigger
+     * @param {Concept} [concept] - The owning concept of the trigger
      * @returns {Trigger} - The newly created trigger
      */
-    static getTrigger(type, name, options) {
+    static getTrigger(type, name, options, concept) {
         let triggerClass = Trigger.triggers.get(type);
 
         if (triggerClass == null) {
             throw new Error("Unknown trigger [" + type + "]");
         }
 
-        return new triggerClass(name, options);
+        return new triggerClass(name, options, concept);
     }
 
-    static registerTriggerEvent(triggerName, callback) {
-        return EventSystem.registerEventCallback(VarvEventPrefix+triggerName, async (evt)=>{
+    /**
+     * Listen for the named trigger event on the trigger bus of the given engine
+     * @param {string} triggerName
+     * @param {Function} callback
+     * @param {VarvEngine} [engine] - The engine to listen on, defaults to the default engine
+     */
+    static registerTriggerEvent(triggerName, callback, engine = VarvEngine.defaultEngine) {
+        return EventSystem.registerEventCallback(engine.triggerEventPrefix+triggerName, async (evt)=>{
             let contexts = Action.clone(evt.detail);
 
             await callback(contexts);
         });
     }
 
-    static async trigger(triggerName, context) {
-        if(!triggeringEnabled) {
+    /**
+     * Fire the named trigger event on the trigger bus of the given engine
+     * @param {string} triggerName
+     * @param {VarvContext|VarvContext[]} context
+     * @param {VarvEngine} [engine] - The engine to trigger on, defaults to the default engine
+     * @param {TriggerSuppression} [suppression] - The suppression of the call chain firing the trigger, if any
+     * @param {Transaction} [transaction] - The transaction of the call chain firing the trigger, if any, the trigger
+     * then waits until it commits
+     */
+    static async trigger(triggerName, context, engine = VarvEngine.defaultEngine, suppression = null, transaction = null) {
+        if(suppression != null && suppression.suppresses(triggerName, engine)) {
             if(Trigger.DEBUG) {
-                console.log("Skipping (Triggering Disabled):", triggerName, context);
+                console.log("Skipping (Triggering Suppressed):", triggerName, context);
             }
             return;
         }
@@ -111,23 +132,116 @@ class Trigger {
             context = [context];
         }
 
+        if(transaction != null) {
+            if(Trigger.DEBUG) {
+                console.log("Deferring until transaction commits:", triggerName, context);
+            }
+            let clonedContext = Action.clone(context);
+            transaction.defer(async ()=>{
+                await Trigger.trigger(triggerName, clonedContext, engine);
+            });
+            return;
+        }
+
         if(Trigger.DEBUG) {
             console.group("Triggering:", triggerName, Action.clone(context));
         }
 
-        await EventSystem.triggerEventAsync(VarvEventPrefix+triggerName, context);
+        await EventSystem.triggerEventAsync(engine.triggerEventPrefix+triggerName, context);
 
         if(Trigger.DEBUG) {
             console.groupEnd();
         }
     }
 
-    static async runWithoutTriggers(method) {
-        triggeringEnabled = false;
-        await method();
-        triggeringEnabled = true;
+    /**
+     * Run the given method with triggers suppressed. The method is handed a suppression token, and only the triggers
+     * fired by the calls it passes the token on to are suppressed, anything else running meanwhile triggers as usual.
+     *
+     * @example
+     * //Load values without running any behaviours
+     * await Trigger.runWithoutTriggers(async (suppression)=>{
+     *     await property.setValue(uuid, value, suppression);
+     * }, engine);
+     *
+     * @example
+     * //Mute stateChanged, but still trigger created
+     * await Trigger.runWithoutTriggers(async (suppression)=>{
+     *     await concept.create(null, {"title": "Imported"}, suppression);
+     *     await concept.setPropertyValue(uuid, "title", "Renamed", suppression);
+     * }, engine, ["stateChanged"]);
+     *
+     * @param {Function} method - The method to run, it gets the suppression token as argument
+     * @param {VarvEngine} [engine] - The engine whose triggers to suppress, defaults to the default engine
+     * @param {string[]} [triggers] - The trigger types to suppress, defaults to all
+     * @returns {Promise<any>} - The result of the method
+     */
+    static async runWithoutTriggers(method, engine = VarvEngine.defaultEngine, triggers = null) {
+        return await method(new TriggerSuppression(engine, triggers));
     }
 }
 Trigger.DEBUG = false;
 Trigger.triggers = new Map();
 window.Trigger = Trigger;
+
+/**
+ * A token suppressing triggers on an engine, handed along the calls that should not fire them.
+ * Trigger types are the raw types fired by the engine ("stateChanged", "created", "deleted"...), suppressing one also
+ * keeps every trigger of that type declared in the spec from firing.
+ */
+class TriggerSuppression {
+    /**
+     * @param {VarvEngine} engine - The engine whose triggers are suppressed
+     * @param {string[]} [triggers] - The trigger types to suppress, defaults to all
+     */
+    constructor(engine, triggers = null) {
+        this.engine = engine;
+        this.triggers = triggers != null ? new Set(triggers) : null;
+    }
+
+    /**
+     * Checks if the given trigger type is suppressed on the given engine
+     * @param {string} triggerName
+     * @param {VarvEngine} engine
+     * @returns {boolean}
+     */
+    suppresses(triggerName, engine) {
+        if(engine !== this.engine) {
+            return false;
+        }
+
+        return this.triggers == null || this.triggers.has(triggerName);
+    }
+
+    /**
+     * Get a suppression that also suppresses the given trigger type
+     * @param {string} triggerName
+     * @returns {TriggerSuppression}
+     */
+    with(triggerName) {
+        if(this.suppresses(triggerName, this.engine)) {
+            return this;
+        }
+
+        return new TriggerSuppression(this.engine, Array.from(this.triggers).concat([triggerName]));
+    }
+
+    /**
+     * Turns the old skipStateChangeTrigger flag into a suppression, passing suppressions and null through
+     * @param {TriggerSuppression|boolean} [suppression]
+     * @param {VarvEngine} engine
+     * @returns {TriggerSuppression|null}
+     */
+    static from(suppression, engine) {
+        if(suppression === true) {
+            return new TriggerSuppression(engine, ["stateChanged"]);
+        }
+
+        if(suppression instanceof TriggerSuppression) {
+            return suppression;
+        }
+
+        return null;
+    }
+}
+window.TriggerSuppression = TriggerSuppression;
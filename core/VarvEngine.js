@@ -28,25 +28,119 @@
 
 const RELOAD_TIMEOUT = 1000;
 
+/**
+ * @typedef {object} MergeReportEntry
+ * @property {string} path - The key path of the conflicting value, like "concepts.todo.schema.text"
+ * @property {string} policy - The merge policy that resolved the conflict
+ * @property {Array<string|null>} fragments - The fragment that defined the value before, and the fragment merged on top
+ * @property {string|null} winner - The fragment whose value was kept, or null if the values were combined
+ */
+
+/**
+ * A Varv engine, holding its own concept registry, datastores, primitive actions and trigger bus.
+ *
+ * Several engines can run isolated from each other on the same page. The static API of VarvEngine
+ * (VarvEngine.start, VarvEngine.getConceptFromUUID...) operates on VarvEngine.defaultEngine, for backwards compatibility.
+ *
+ * @example
+ * //An isolated engine, e.g. for an embedded preview or a parallel test
+ * let previewEngine = new VarvEngine({name: "preview"});
+ * await previewEngine.load(previewSpec);
+ */
 class VarvEngine {
-    static getConceptFromUUID(uuid) {
-        return VarvEngine.conceptUUIDMap.get(uuid);
+    /**
+     * @param {object} [options]
+     * @param {string} [options.name] - The name of this engine, used to separate its events from other engines
+     * @param {string} [options.triggerEventPrefix] - The prefix of trigger events on this engine's trigger bus
+     * @param {string} [options.engineEventPrefix] - The prefix of engine events (appeared, disappeared, engineReloaded...)
+     * @param {string} [options.validation] - How specs are validated against the schema when loading, "warn" (default), "error" or "off"
+     * @param {object} [options.schema] - The JSON schema to validate against, defaults to SpecValidator.schema
+     * @param {string} [options.analysis] - Whether loaded specs are analyzed for problems that would otherwise only show at runtime, "warn" (default) or "off"
+     * @param {object} [options.journal] - Options for the change journal, see ChangeJournal
+     */
+    constructor(options = {}) {
+        this.name = options.name;
+        if(this.name == null) {
+            this.name = "engine-"+VarvEngine.engines.length;
+        }
+
+        this.triggerEventPrefix = options.triggerEventPrefix;
+        if(this.triggerEventPrefix == null) {
+            this.triggerEventPrefix = "VarvEvent."+this.name+".";
+        }
+
+        this.engineEventPrefix = options.engineEventPrefix;
+        if(this.engineEventPrefix == null) {
+            this.engineEventPrefix = "VarvEngineEvent."+this.name+".";
+        }
+
+        this.concepts = [];
+        this.conceptUUIDMap = new Map();
+        this.conceptTypeMap = new Map();
+        this.conceptTypeUUIDMap = new Map();
+
+        this.datastores = new Map();
+
+        this.validation = options.validation != null ? options.validation : "warn";
+        this.schema = options.schema != null ? options.schema : null;
+        this.analysis = options.analysis != null ? options.analysis : "warn";
+
+        //The diagnostics of the latest load
+        this.loadDiagnostics = null;
+        this.diagnostics = [];
+
+        //Which fragment won each conflicting value, in the latest load
+        this.mergeReport = [];
+
+        //The merged spec that is currently loaded, used to find out what changed on the next reload
+        this.loadedSpec = null;
+        this.loadedDefaultMappings = null;
+
+        //The dangling references reported by the latest load, kept for the concepts left running on the next reload
+        this.danglingReferenceCounts = null;
+
+        //Primitive actions only available on this engine, the globally registered ones are always available
+        this.primitiveActions = new Map();
+
+        //The recorded changes that can be undone and redone
+        this.journal = new ChangeJournal(this, options.journal);
+
+        this.notifier = new Notifier();
+
+        VarvEngine.engines.push(this);
+    }
+
+    /**
+     * Get the engine the given concept belongs to, or the default engine if it has none
+     * @param {Concept} [concept]
+     * @returns {VarvEngine}
+     */
+    static of(concept) {
+        if(concept != null && concept.engine != null) {
+            return concept.engine;
+        }
+
+        return VarvEngine.defaultEngine;
+    }
+
+    getConceptFromUUID(uuid) {
+        return this.conceptUUIDMap.get(uuid);
     }
 
-    static getConceptFromType(type) {
-        return VarvEngine.conceptTypeMap.get(type);
+    getConceptFromType(type) {
+        return this.conceptTypeMap.get(type);
     }
 
-    static getAllUUIDsFromType(type, includeOtherConcepts=false) {
+    getAllUUIDsFromType(type, includeOtherConcepts=false) {
         let uuidSet = null;
 
         if(!includeOtherConcepts) {
-            uuidSet = VarvEngine.conceptTypeUUIDMap.get(type);
+            uuidSet = this.conceptTypeUUIDMap.get(type);
         } else {
             uuidSet = new Set();
 
             //Find all concepts with type, including other concepts
-            VarvEngine.concepts.filter((concept)=>{
+            this.concepts.filter((concept)=>{
                 if(concept.name === type) {
                     return true;
                 }
@@ -57,7 +151,7 @@ class VarvEngine {
 
                 return false;
             }).forEach((concept)=>{
-                VarvEngine.getAllUUIDsFromType(concept.name).forEach((uuid)=>{
+                this.getAllUUIDsFromType(concept.name).forEach((uuid)=>{
                     uuidSet.add(uuid);
                 });
             });
@@ -70,7 +164,7 @@ class VarvEngine {
         return Array.from(uuidSet);
     }
 
-    static lookupAction(actionName, lookupConcepts = []) {
+    lookupAction(actionName, lookupConcepts = []) {
         //Filter null and undefined
         lookupConcepts = lookupConcepts.filter((concept)=>{
             return concept != null;
@@ -80,7 +174,7 @@ class VarvEngine {
         lookupConcepts = new Set(lookupConcepts);
 
         //Add other concepts
-        for(let concept of VarvEngine.conceptTypeMap.values()) {
+        for(let concept of this.conceptTypeMap.values()) {
             lookupConcepts.add(concept);
         }
 
@@ -88,7 +182,7 @@ class VarvEngine {
             console.groupCollapsed("Looking up:", actionName, [...lookupConcepts].map((concept)=>{return concept.name}));
         }
 
-        let action = VarvEngine.lookupActionInternal(actionName, lookupConcepts);
+        let action = this.lookupActionInternal(actionName, lookupConcepts);
 
         if(VarvEngine.DEBUG) {
             console.log("Found action:", action);
@@ -104,20 +198,12 @@ class VarvEngine {
      * @param {Set<Concept>} lookupConcepts
      * @returns {Action|null}
      */
-    static lookupActionInternal(actionName, lookupConcepts) {
-
-        let conceptName = null;
+    lookupActionInternal(actionName, lookupConcepts) {
 
-        let split = actionName.split(".");
+        let split = VarvEngine.splitReference(actionName);
 
-        if(split.length === 1) {
-            actionName = split[0];
-        } else if(split.length === 2) {
-            conceptName = split[0];
-            actionName = split[1];
-        } else {
-            throw new Error("Only able to lookup actions of the form 'actionname' or 'concept.actionname'");
-        }
+        let conceptName = split.conceptName;
+        actionName = split.name;
 
         if(VarvEngine.DEBUG) {
             console.log("Checking if lookup was on the form 'concept.actionname'");
@@ -169,8 +255,11 @@ class VarvEngine {
         }
 
         //Try primitive actions?
-        if(Action.hasPrimitiveAction(actionName)) {
-            return Action.getPrimitiveAction(actionName, {});
+        let actionClass = this.getPrimitiveActionClass(actionName);
+        if(actionClass != null) {
+            //Owned by the first concept looked up on, so the action runs on this engine
+            let owner = lookupConcepts != null && lookupConcepts.size > 0 ? lookupConcepts.values().next().value : null;
+            return new actionClass(actionName, {}, owner);
         }
 
         if(VarvEngine.DEBUG) {
@@ -180,176 +269,212 @@ class VarvEngine {
         return null;
     }
 
-    static isKnownConceptType(type) {
-        return VarvEngine.conceptTypeMap.has(type);
+    /**
+     * Splits a reference of the form 'name' or 'concept.name' into its parts. Concepts of spec modules are named
+     * 'module.concept', so the name is always the part after the last dot.
+     * @param {string} reference
+     * @returns {{conceptName: string|null, name: string}}
+     */
+    static splitReference(reference) {
+        let lastDot = reference.lastIndexOf(".");
+
+        if(lastDot === -1) {
+            return {
+                conceptName: null,
+                name: reference
+            };
+        }
+
+        return {
+            conceptName: reference.substring(0, lastDot),
+            name: reference.substring(lastDot + 1)
+        };
+    }
+
+    isKnownConceptType(type) {
+        return this.conceptTypeMap.has(type);
     }
 
-    static registerConceptFromUUID(uuid, concept) {
-        VarvEngine.conceptUUIDMap.set(uuid, concept);
+    registerConceptFromUUID(uuid, concept) {
+        this.conceptUUIDMap.set(uuid, concept);
 
-        let uuidSet = VarvEngine.conceptTypeUUIDMap.get(concept.name);
+        let uuidSet = this.conceptTypeUUIDMap.get(concept.name);
         if(uuidSet == null) {
             uuidSet = new Set();
-            VarvEngine.conceptTypeUUIDMap.set(concept.name, uuidSet);
+            this.conceptTypeUUIDMap.set(concept.name, uuidSet);
         }
 
         uuidSet.add(uuid);
     }
 
-    static deregisterConceptFromUUID(uuid) {
+    deregisterConceptFromUUID(uuid) {
         let concept = this.getConceptFromUUID(uuid);
 
-        VarvEngine.conceptUUIDMap.delete(uuid);
+        this.conceptUUIDMap.delete(uuid);
 
         if(concept != null) {
-            let uuidSet = VarvEngine.conceptTypeUUIDMap.get(concept.name);
+            let uuidSet = this.conceptTypeUUIDMap.get(concept.name);
             if (uuidSet == null) {
                 uuidSet = new Set();
-                VarvEngine.conceptTypeUUIDMap.set(concept.name, uuidSet);
+                this.conceptTypeUUIDMap.set(concept.name, uuidSet);
             }
 
             uuidSet.delete(uuid);
         }
     }
 
-    static registerConceptFromType(type, concept) {
+    registerConceptFromType(type, concept) {
         let oldConcept = this.conceptTypeMap.get(type);
 
         if(oldConcept != null && oldConcept != concept) {
             console.warn("Registering ["+type+"] already registered", oldConcept, concept);
         }
 
-        VarvEngine.conceptTypeMap.set(type, concept);
+        this.conceptTypeMap.set(type, concept);
     }
 
-    static deregisterConceptFromType(type) {
-        VarvEngine.getAllUUIDsFromType(type).forEach((uuid)=>{
-            VarvEngine.deregisterConceptFromUUID(uuid);
+    deregisterConceptFromType(type) {
+        this.getAllUUIDsFromType(type).forEach((uuid)=>{
+            this.deregisterConceptFromUUID(uuid);
         });
 
-        VarvEngine.conceptTypeMap.delete(type);
+        this.conceptTypeMap.delete(type);
     }
 
     /**
-     * Starts the VarvEngine
+     * Finds the stored properties, across all concepts, that hold references to instances of the given concept
+     * @param {string} type - The referenced concept
+     * @returns {{concept: Concept, property: Property}[]}
      */
-    static async start() {
-        let reloading = false;
-        let reloadQueueId = null;
-
-        let foundDefinitionFragments = [];
+    getReferencingProperties(type) {
+        let referencing = [];
 
-        const live = new LiveElement("code-fragment[data-type='text/varv']");
-
-        let firstRun = true;
-
-        let fragmentChangedHandler = (fragment)=>{
-            if(fragment.fragment != null) {
-                fragment = fragment.fragment;
-            }
-            if(fragment.auto) {
-                queueReload();
+        for(let concept of this.concepts) {
+            for(let property of concept.properties.values()) {
+                if(!property.isDerived() && property.holdsConceptOfType(type)) {
+                    referencing.push({concept: concept, property: property});
+                }
             }
         }
 
-        let fragmentAutoChangedHandler = ()=>{
-            queueReload();
-        }
-
-        live.forEach((elm)=>{
-            let fragment = Fragment.one(elm);
-            elm.fragmentLink = fragment;
-
-            foundDefinitionFragments.push(fragment);
+        return referencing;
+    }
 
-            fragment.registerOnFragmentChangedHandler(fragmentChangedHandler);
-            fragment.registerOnAutoChangedHandler(fragmentAutoChangedHandler);
+    /**
+     * Finds references to instances that do not exist, e.g. left in a datastore from before onDelete policies were
+     * used, or by a delete made while the referencing concept was not loaded
+     * @param {string[]} [conceptNames] - Only look through these concepts, defaults to all
+     * @returns {Promise<{concept: Concept, property: Property, target: string, reference: string}[]>}
+     */
+    async findDanglingReferences(conceptNames=null) {
+        let dangling = [];
 
-            if(!firstRun) {
-                if(fragment.auto) {
-                    queueReload();
-                }
+        for(let concept of this.concepts) {
+            if(conceptNames != null && !conceptNames.includes(concept.name)) {
+                continue;
             }
-        });
 
-        live.removed((elm)=>{
-            let fragment = elm.fragmentLink;
-            foundDefinitionFragments.splice(foundDefinitionFragments.indexOf(fragment), 1);
-            fragment.unRegisterOnFragmentChangedHandler(fragmentChangedHandler);
-            fragment.unRegisterOnAutoChangedHandler(fragmentAutoChangedHandler);
-            if(elm.hasAttribute("auto")) {
-                queueReload();
-            }
-        });
+            for(let property of concept.properties.values()) {
+                if(property.isDerived() || !(property.isConceptType() || property.isConceptArrayType())) {
+                    continue;
+                }
 
-        firstRun = false;
-        await queueReload();
+                for(let uuid of this.getAllUUIDsFromType(concept.name)) {
+                    let value = await property.getValue(uuid);
+                    let references = Array.isArray(value) ? value : [value];
 
-        async function reload() {
-            reloading = true;
-            if (VarvEngine.DEBUG) {
-                console.group("Reloading VarvEngine....");
+                    references.forEach((reference)=>{
+                        if(reference != null && reference !== "" && this.getConceptFromUUID(reference) == null) {
+                            dangling.push({concept: concept, property: property, target: uuid, reference: reference});
+                        }
+                    });
+                }
             }
+        }
 
-            if (VarvEngine.DEBUG) {
-                console.log("Destroying old engine...");
-            }
-            for (let concept of VarvEngine.concepts) {
-                await concept.destroy();
-            }
+        return dangling;
+    }
 
-            VarvEngine.concepts = [];
+    /**
+     * Repairs the dangling references found by findDanglingReferences, following the onDelete policy of each property.
+     * "nullify" removes the reference, "cascade" deletes the referencing instance, and "restrict" leaves it alone,
+     * as there is nothing left to protect.
+     * @returns {Promise<{concept: Concept, property: Property, target: string, reference: string}[]>} - The dangling references that were left alone
+     */
+    async repairDanglingReferences() {
+        let left = [];
 
-            for (let datastore of Datastore.datastores.values()) {
-                if (VarvEngine.DEBUG) {
-                    console.log("Destroying datastore:", datastore);
-                }
-                datastore.destroy();
-            }
-            Datastore.datastores.clear();
+        //What the latest load reported is no longer true, have the next load look through everything
+        this.danglingReferenceCounts = null;
 
-            if (VarvEngine.DEBUG) {
-                console.log("Merging definition fragments...");
+        for(let dangling of await this.findDanglingReferences()) {
+            if(this.getConceptFromUUID(dangling.target) == null) {
+                //Already deleted by an earlier cascade
+                continue;
             }
 
-            let combinedObj = {};
-
-            for (let fragment of foundDefinitionFragments) {
-                if (fragment.auto) {
-                    let convertResult = YAMLJSONConverter.loadFromString(fragment.raw);
+            switch(dangling.property.getDeletePolicy()) {
+                case "cascade":
+                    await dangling.concept.delete(dangling.target);
+                    break;
+                case "restrict":
+                    left.push(dangling);
+                    break;
+                default:
+                    await dangling.property.removeAllReferences(dangling.concept.name, dangling.reference);
+            }
+        }
 
-                    combinedObj = VarvEngine.merge(combinedObj, convertResult.obj);
+        return left;
+    }
 
-                    //Attempt to merge conflicts we know how to handle:
-                    VarvEngine.resolveMergeConflicts(combinedObj);
-                } else {
-                    if (VarvEngine.DEBUG) {
-                        console.log("Skipping disabled fragment:", fragment);
-                    }
-                }
-            }
+    /**
+     * Starts the VarvEngine, loading the specs from the given source and reloading whenever they change
+     * @param {object} [options]
+     * @param {SpecSource} [options.source] - Where to get specs from, defaults to a new VarvEngine.DefaultSpecSource,
+     * which the Codestrates package sets to the text/varv code fragments of the Codestrate
+     * @param {Notifier} [options.notifier] - Where to send load notifications, defaults to iziToast toasts
+     * @param {boolean} [options.undoKeys] - Whether Ctrl+Z and Ctrl+Y undo and redo changes in the journal, defaults to true
+     */
+    async start(options = {}) {
+        const self = this;
 
-            if (VarvEngine.DEBUG) {
-                console.log("Combined Spec:", combinedObj);
+        let source = options.source;
+        if(source == null) {
+            if(VarvEngine.DefaultSpecSource == null) {
+                throw new Error("No spec source given, and no default spec source is set");
             }
 
-            if (VarvEngine.DEBUG) {
-                console.log("Loading new engine...");
-            }
+            source = new VarvEngine.DefaultSpecSource();
+        }
 
-            let spec = ConceptLoader.parseSpec(combinedObj);
+        if(options.undoKeys !== false && this.journalKeys == null) {
+            this.journalKeys = this.journal.bindKeys(document);
+        }
 
-            VarvEngine.concepts = await ConceptLoader.loadSpec(spec);
+        let reloading = false;
+        let reloadQueueId = null;
 
-            await VarvEngine.sendEvent("engineReloaded", VarvEngine.concepts);
+        let notifier = options.notifier;
+        if(notifier == null) {
+            notifier = new ToastNotifier();
+        }
 
-            if (VarvEngine.DEBUG) {
-                console.log("Reload complete...", VarvEngine.concepts);
-                console.groupEnd();
+        if(this.validation !== "off" && this.schema == null && SpecValidator.schema == null) {
+            try {
+                await SpecValidator.loadSchema(SpecValidator.schemaUrl);
+            } catch(e) {
+                //Reported as a diagnostic by every load
+                console.warn("Unable to load the spec schema:", e);
             }
-            reloading = false;
         }
 
+        source.registerOnChangedCallback(()=>{
+            queueReload();
+        });
+
+        await queueReload();
+
         function queueReload() {
             return new Promise((resolve)=>{
                 if(VarvEngine.DEBUG) {
@@ -364,32 +489,13 @@ class VarvEngine {
                     reloadQueueId = null;
                     if(!reloading) {
                         reloading = true;
-                        reload().then(()=>{
-                            iziToast.success({
-                                title: '',
-                                message: 'Successfully loaded Varv!',
-                                transitionIn: "fadeIn",
-                                transitionOut: 'fadeOut',
-                                position: "topCenter",
-                                timeout: 2000,
-                                close: false,
-                                closeOnClick: true
-                            });
-                            reloading = false;
-                            resolve();
-                        }).catch((e)=>{
-                            iziToast.error({
-                                title: '',
-                                message: 'Error reloading Varv: '+e.message,
-                                transitionIn: "fadeIn",
-                                transitionOut: 'fadeOut',
-                                position: "topCenter",
-                                timeout: 2000,
-                                close: false,
-                                closeOnClick: true
+                        source.getSpecs().then((specs)=>{
+                            return self.load(specs, {notifier: notifier}).catch(()=>{
+                                //Already notified by load
                             });
-                            console.groupEnd();
-                            console.error(e);
+                        }, (e)=>{
+                            notifier.error("Error getting Varv specs: "+e.message, e);
+                        }).then(()=>{
                             reloading = false;
                             resolve();
                         });
@@ -403,190 +509,1030 @@ class VarvEngine {
         }
     }
 
-    static lookupTarget(concept) {
-        let target = null;
-
-        let uuids = VarvEngine.getAllUUIDsFromType(concept.name);
-        if(uuids.length > 0) {
-            target = uuids[0];
-            if(uuids.length > 1) {
-                console.warn("[lookupTarget] Multiple uuid's exist for concept ["+concept.name+"]", uuids);
-            }
-
-            return target;
-        }
-
-        throw new Error("No instance of concept found: "+concept.name);
-    }
-
     /**
+     * Loads the given specs, replacing anything loaded before. Works without Codestrates, so it can be used from
+     * a plain HTML page or a headless test runner.
      *
-     * @param {string} contextTarget
-     * @param {Concept} localConcept
-     * @param {string} propertyName
-     * @returns {null|object}
+     * @example
+     * await VarvEngine.load({
+     *     "concepts": {
+     *         "todo": {
+     *             "schema": {
+     *                 "text": "string"
+     *             }
+     *         }
+     *     }
+     * });
+     *
+     * @example
+     * //Several YAML/JSON strings, merged in order
+     * await VarvEngine.load([myFirstSpecString, mySecondSpecString], {notifier: new Notifier()});
+     *
+     * @param {string|object|Array<string|object|SpecEntry>} specs - A spec object, a YAML/JSON string or an array of those
+     * @param {object} [options]
+     * @param {Notifier} [options.notifier] - Where to send load notifications, defaults to this.notifier
+     * @param {string} [options.validation] - How to validate the specs against the schema, "warn", "error" or "off". Defaults to this.validation
+     * @param {string} [options.analysis] - Whether to analyze the specs for problems that would otherwise only show at runtime, "warn" or "off". Defaults to this.analysis
+     * @returns {Promise<Concept[]>} - The loaded concepts
      */
-    static lookupProperty(contextTarget, localConcept, propertyName) {
-        const DEBUG_LOOKUP_PROPERTY = false;
+    async load(specs, options = {}) {
+        let notifier = options.notifier;
+        if(notifier == null) {
+            notifier = this.notifier;
+        }
 
-        if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
-            console.groupCollapsed("Looking up property:", propertyName, contextTarget, localConcept);
-            if(localConcept == null && contextTarget == null) {
-                console.trace();
+        try {
+            let concepts = await this.reload(StaticSpecSource.toEntries(specs), options);
+
+            let warnings = this.diagnostics.filter((diagnostic)=>{
+                return diagnostic.severity === "warning";
+            }).length;
+
+            notifier.success("Successfully loaded Varv!"+(warnings > 0 ? " ("+warnings+" warnings)" : ""));
+
+            return concepts;
+        } catch(e) {
+            if (VarvEngine.DEBUG) {
+                console.groupEnd();
             }
-        }
 
-        //Lookup of form concept.property, overrides all the other lookup types
-        let conceptName = null;
+            let location = "";
+            if(e.diagnostic != null && e.diagnostic.fragment != null) {
+                location = " ("+e.diagnostic.fragment+(e.diagnostic.line != null ? ":"+e.diagnostic.line : "")+")";
+            }
 
-        let split = propertyName.split(".");
+            notifier.error("Error reloading Varv: "+e.message+location, e);
 
-        if(split.length === 1) {
-            propertyName = split[0];
-        } else if(split.length === 2) {
-            conceptName = split[0];
-            propertyName = split[1];
-        } else {
-            throw new Error("Only able to lookup actions of the form 'actionname' or 'concept.actionname'");
+            throw e;
         }
+    }
 
-        if(conceptName != null) {
-            if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
-                console.log("Lookup of form concept.property...", conceptName, propertyName);
-            }
+    /**
+     * Loads the merged result of the given spec entries. Only the concepts that changed since the last reload are
+     * rebuilt, everything else keeps running. The whole engine is rebuilt the first time, and whenever dataStores,
+     * migrations or the default mappings change, or new concepts are added.
+     * @private
+     * @param {SpecEntry[]} specEntries
+     * @param {object} [options]
+     * @param {string} [options.validation] - How to validate the spec against the schema, defaults to this.validation
+     * @param {string} [options.analysis] - Whether to analyze the loaded spec, defaults to this.analysis
+     * @returns {Promise<Concept[]>}
+     */
+    async reload(specEntries, options = {}) {
+        if (VarvEngine.DEBUG) {
+            console.group("Reloading VarvEngine....");
+        }
 
-            let lookupConcept = VarvEngine.getConceptFromType(conceptName);
+        let diagnostics = new LoadDiagnostics();
+        let mergeReport = [];
+        let previousDiagnostics = this.loadDiagnostics;
+        let previousSpec = this.loadedSpec;
 
-            if(conceptName === "lastTarget") {
-                console.warn("Should never see this?????");
+        try {
+            if (VarvEngine.DEBUG) {
+                console.log("Merging definition fragments...");
             }
 
-            if(lookupConcept != null) {
-                let lookupProperty = lookupConcept.getProperty(propertyName);
+            let combinedObj = VarvEngine.mergeSpecs(specEntries, diagnostics, mergeReport);
+            diagnostics.setSpec(combinedObj);
 
-                if(lookupProperty != null) {
+            this.validateSpec(combinedObj, options.validation != null ? options.validation : this.validation, diagnostics);
 
-                    let lookupTarget = null;
+            diagnostics.markParseStart();
 
-                    if(contextTarget != null && VarvEngine.getConceptFromUUID(contextTarget).isA(conceptName)) {
-                        //The current target was of this concept, lets assume that is the wanted target?
-                        lookupTarget = contextTarget;
-                    } else {
-                        lookupTarget = VarvEngine.lookupTarget(lookupConcept);
-                    }
+            if (VarvEngine.DEBUG) {
+                console.log("Combined Spec:", combinedObj);
+            }
 
-                    if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
-                        console.log("Found concept.property, ", lookupProperty, lookupConcept, lookupTarget);
-                        console.groupEnd();
-                    }
+            //Parsing adds sugared extensions to the spec, so keep an untouched copy to compare the next reload with
+            let loadedSpec = JSON.parse(JSON.stringify(combinedObj));
+            let defaultMappings = JSON.stringify(ConceptLoader.SystemDefaultMappings);
 
-                    return {
-                        property: lookupProperty,
-                        concept: lookupConcept,
-                        target: lookupTarget
-                    }
+            let diff = null;
+            if(this.loadedSpec != null && this.loadedDefaultMappings === defaultMappings) {
+                diff = VarvEngine.diffSpecs(this.loadedSpec, loadedSpec);
+
+                //New concepts might have instances waiting in the datastores, those are only found when the datastores load,
+                //and migrations are only run when the datastores load
+                if(diff.dataStoresChanged || diff.migrationsChanged || diff.added.length > 0) {
+                    diff = null;
                 }
             }
-        }
 
-        //Lookup on contextConcept
-        try {
-            let contextConcept = VarvEngine.getConceptFromUUID(contextTarget);
-            let property = contextConcept.getProperty(propertyName);
+            //Until this load succeeds, we have no idea what is loaded
+            this.loadedSpec = null;
 
-            if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
-                console.log("Found on contextConcept", contextConcept.name);
-                console.groupEnd();
-            }
+            if(diff != null) {
+                await this.reloadConcepts(combinedObj, diff, diagnostics);
 
-            return {
-                property: property,
-                concept: contextConcept,
-                target: contextTarget
+                //Problems found when the concepts that were left running were parsed, are still there
+                VarvEngine.keepDiagnostics(previousDiagnostics, previousSpec, diff.changed.concat(diff.removed), diagnostics);
+            } else {
+                await this.reloadAll(combinedObj, diagnostics);
             }
-        } catch(e) {
-            //Ignore
-        }
 
-        //Lookup on localConcept
-        try {
-            let property = localConcept.getProperty(propertyName);
+            diagnostics.markParseEnd();
 
-            if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
-                console.log("Found on localConcept", localConcept.name);
-                console.groupEnd();
+            //The concepts are running the new spec already, so a failing analysis must not fail the load
+            try {
+                this.analyzeSpec(loadedSpec, options.analysis != null ? options.analysis : this.analysis, diagnostics);
+                await this.reportDanglingReferences(loadedSpec, options.analysis != null ? options.analysis : this.analysis, diagnostics, diff != null ? diff.changed : null);
+            } catch(e) {
+                console.warn("Analysis of the loaded spec failed:", e);
+                diagnostics.warning("Analysis of the loaded spec failed, "+e.message);
             }
 
-            return {
-                property: property,
-                concept: localConcept,
-                target: VarvEngine.lookupTarget(localConcept)
-            }
+            this.loadedSpec = loadedSpec;
+            this.loadedDefaultMappings = defaultMappings;
         } catch(e) {
-            //Ignore
-        }
-
-        //Lookup on globalConcept
-        for(let globalConcept of VarvEngine.concepts) {
-            try {
-                let property = globalConcept.getProperty(propertyName);
-
-                if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
-                    console.log("Found on globalConcept", globalConcept.name);
-                    console.groupEnd();
-                }
-
-                return {
-                    property: property,
-                    concept: globalConcept,
-                    target: VarvEngine.lookupTarget(globalConcept)
-                }
-            } catch(e) {
-                //Ignore
+            if(e.diagnostic == null) {
+                e.diagnostic = diagnostics.error(e.message);
             }
+
+            throw e;
+        } finally {
+            this.loadDiagnostics = diagnostics;
+            this.diagnostics = diagnostics.diagnostics;
+            this.mergeReport = mergeReport;
+            await this.sendEvent("loadDiagnostics", this.diagnostics);
         }
 
-        if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
-            console.log("Not found...");
+        if (VarvEngine.DEBUG) {
+            console.log("Reload complete...", this.concepts);
             console.groupEnd();
         }
 
-        return null;
+        return this.concepts;
     }
 
     /**
-     * Lookup an unknown reference
-     * @param {string} reference - The reference to lookup
-     * @param {Concept} localConcept=null - The concept to lookup properties on first, before trying globally
-     * @param {boolean} executeAtOnce - If true, the value of the function is returned, and not the function.
-     * @returns {function|object|string} - An object containing the type of reference if known, or just the reference if still unknown
+     * Validates the merged spec against the schema, reporting the problems found as diagnostics
+     * @private
+     * @param {object} combinedObj
+     * @param {string} validation - "warn", "error" or "off". When "error", a spec with problems is not loaded
+     * @param {LoadDiagnostics} diagnostics
      */
-    static lookupReference(reference, lookupConcepts = []) {
-        let allConcepts = new Set();
-        if(lookupConcepts != null) {
-            if(!Array.isArray(lookupConcepts)) {
-                lookupConcepts = [lookupConcepts];
-            }
+    validateSpec(combinedObj, validation, diagnostics) {
+        let schema = this.schema != null ? this.schema : SpecValidator.schema;
 
-            lookupConcepts.forEach((concept)=>{
-                allConcepts.add(concept);
-            });
+        if(validation === "off") {
+            return;
         }
 
-        VarvEngine.concepts.forEach((concept)=>{
-            allConcepts.add(concept);
-        });
+        if(schema == null) {
+            let diagnostic = diagnostics.report(validation === "error" ? "error" : "warning", "No spec schema is loaded, the spec was not validated, see SpecValidator.loadSchema");
+            if(validation === "error") {
+                let error = new Error(diagnostic.message);
+                error.diagnostic = diagnostic;
+                throw error;
+            }
+            return;
+        }
 
-        return VarvEngine.lookupReferenceInternal(reference, allConcepts);
-    }
+        let problems = new SpecValidator(schema).validate(combinedObj);
 
-    static lookupReferenceInternal(reference, lookupConcepts) {
-        if(VarvEngine.DEBUG) {
-            console.groupCollapsed("Looking up unknown reference:", reference);
+        let reported = problems.map((problem)=>{
+            return diagnostics.report(validation === "error" ? "error" : "warning", problem.message, problem.path);
+        });
+
+        if(validation === "error" && reported.length > 0) {
+            let error = new Error("Spec does not validate against the schema, "+reported[0].message+" at ["+reported[0].path+"]"+(reported.length > 1 ? " and "+(reported.length-1)+" more problems" : ""));
+            error.diagnostic = reported[0];
+            throw error;
+        }
+    }
+
+    /**
+     * Analyzes the loaded spec for problems that would otherwise only show up at runtime, reporting them as warnings
+     * @private
+     * @param {object} spec - The spec as written, before parsing added sugared extensions
+     * @param {string} analysis - "warn" or "off"
+     * @param {LoadDiagnostics} diagnostics
+     */
+    analyzeSpec(spec, analysis, diagnostics) {
+        if(analysis === "off") {
+            return;
+        }
+
+        new SpecAnalyzer(this).analyze(spec).forEach((problem)=>{
+            diagnostics.warning(problem.message, problem.path);
+        });
+    }
+
+    /**
+     * Reports references to instances that do not exist in the loaded data, as a warning for each property holding any
+     * @private
+     * @param {object} spec - The spec as written, before parsing added sugared extensions
+     * @param {string} analysis - "warn" or "off"
+     * @param {LoadDiagnostics} diagnostics
+     * @param {string[]} [conceptNames] - The concepts that were reloaded, the ones left running are not looked through again. Defaults to all
+     */
+    async reportDanglingReferences(spec, analysis, diagnostics, conceptNames=null) {
+        if(analysis === "off") {
+            this.danglingReferenceCounts = null;
+            return;
+        }
+
+        let counts = new Map();
+        if(conceptNames != null && this.danglingReferenceCounts != null) {
+            //Concepts left running are reported as on the latest load
+            this.danglingReferenceCounts.forEach((count, key)=>{
+                if(this.concepts.includes(count.concept)) {
+                    counts.set(key, count);
+                }
+            });
+        } else {
+            conceptNames = null;
+        }
+
+        for(let dangling of await this.findDanglingReferences(conceptNames)) {
+            let key = dangling.concept.name+"."+dangling.property.name;
+            let count = counts.get(key);
+            if(count == null) {
+                count = {concept: dangling.concept, property: dangling.property, references: 0};
+                counts.set(key, count);
+            }
+            count.references++;
+        }
+        this.danglingReferenceCounts = counts;
+
+        counts.forEach((count, key)=>{
+            let path = ["concepts", count.concept.name];
+            let conceptJson = spec.concepts != null ? spec.concepts[count.concept.name] : null;
+            if(conceptJson != null) {
+                let structureKey = conceptJson.structure != null ? "structure" : "schema";
+                if(conceptJson[structureKey] != null && conceptJson[structureKey][count.property.name] != null) {
+                    path.push(structureKey, count.property.name);
+                }
+            }
+
+            diagnostics.warning("Property ["+key+"] holds "+count.references+" references to instances that do not exist, repair with repairDanglingReferences()", path);
+        });
+    }
+
+    /**
+     * Destroys all concepts and datastores, and loads the given merged spec from scratch
+     * @private
+     * @param {object} combinedObj
+     * @param {LoadDiagnostics} diagnostics
+     */
+    async reloadAll(combinedObj, diagnostics) {
+        if (VarvEngine.DEBUG) {
+            console.log("Destroying old engine...");
+        }
+        for (let concept of this.concepts) {
+            await concept.destroy();
+        }
+
+        this.concepts = [];
+
+        for (let datastore of this.datastores.values()) {
+            if (VarvEngine.DEBUG) {
+                console.log("Destroying datastore:", datastore);
+            }
+            datastore.destroy();
+        }
+        this.datastores.clear();
+
+        if (VarvEngine.DEBUG) {
+            console.log("Loading new engine...");
+        }
+
+        let spec = ConceptLoader.parseSpec(combinedObj, this, diagnostics);
+
+        this.concepts = await ConceptLoader.loadSpec(spec, this);
+
+        await this.sendEvent("engineReloaded", this.concepts);
+    }
+
+    /**
+     * Rebuilds only the changed and removed concepts of the given diff, handing the instances of changed concepts
+     * over to their new version. Datastores and all other concepts are left running.
+     * @private
+     * @param {object} combinedObj
+     * @param {object} diff - As returned by diffSpecs
+     * @param {LoadDiagnostics} diagnostics
+     */
+    async reloadConcepts(combinedObj, diff, diagnostics) {
+        let reloadedNames = diff.changed.concat(diff.removed);
+
+        if(reloadedNames.length === 0) {
+            if (VarvEngine.DEBUG) {
+                console.log("No concepts changed...");
+            }
+            return;
+        }
+
+        if (VarvEngine.DEBUG) {
+            console.log("Destroying changed concepts...", reloadedNames);
+        }
+
+        let conceptOrder = this.concepts.map((concept)=>{
+            return concept.name;
+        });
+
+        let instances = new Map();
+        for(let conceptName of reloadedNames) {
+            let concept = this.getConceptFromType(conceptName);
+            if(concept == null) {
+                continue;
+            }
+
+            instances.set(conceptName, this.getAllUUIDsFromType(conceptName));
+            await concept.destroy();
+        }
+
+        this.concepts = this.concepts.filter((concept)=>{
+            return !reloadedNames.includes(concept.name);
+        });
+
+        if (VarvEngine.DEBUG) {
+            console.log("Loading changed concepts...", diff.changed);
+        }
+
+        //Extensions always tie their concepts into the same diff, so the changed part of the spec can be parsed alone
+        let changedObj = {
+            "concepts": {},
+            "extensions": []
+        };
+
+        diff.changed.forEach((conceptName)=>{
+            if(combinedObj.concepts != null && combinedObj.concepts[conceptName] != null) {
+                changedObj.concepts[conceptName] = combinedObj.concepts[conceptName];
+            }
+        });
+
+        if(Array.isArray(combinedObj.extensions)) {
+            combinedObj.extensions.forEach((extension)=>{
+                let involved = VarvEngine.getExtensionConceptNames(extension).some((conceptName)=>{
+                    return diff.changed.includes(conceptName);
+                });
+
+                if(involved) {
+                    changedObj.extensions.push(extension);
+                }
+            });
+        }
+
+        let concepts = ConceptLoader.parseConcepts(changedObj, this, diagnostics);
+
+        ConceptLoader.loadConcepts(concepts, this, instances);
+
+        await ConceptLoader.ensureSingletons(concepts);
+
+        //Keep the order of the concepts, lookups depend on it
+        this.concepts = this.concepts.concat(concepts).sort((concept1, concept2)=>{
+            return conceptOrder.indexOf(concept1.name) - conceptOrder.indexOf(concept2.name);
+        });
+
+        await this.sendEvent("conceptsReloaded", {
+            changed: diff.changed,
+            removed: diff.removed
+        });
+    }
+
+    /**
+     * Reports the parse diagnostics of a previous load again, except those in the reloaded concepts
+     * @private
+     * @param {LoadDiagnostics} previousDiagnostics
+     * @param {object} previousSpec
+     * @param {string[]} reloadedNames
+     * @param {LoadDiagnostics} diagnostics
+     */
+    static keepDiagnostics(previousDiagnostics, previousSpec, reloadedNames, diagnostics) {
+        if(previousDiagnostics == null) {
+            return;
+        }
+
+        previousDiagnostics.getParseDiagnostics().forEach((diagnostic)=>{
+            let path = previousDiagnostics.getPath(diagnostic);
+
+            let conceptNames = [];
+            if(path[0] === "concepts") {
+                conceptNames = [path[1]];
+            } else if(path[0] === "extensions" && Array.isArray(previousSpec.extensions)) {
+                conceptNames = VarvEngine.getExtensionConceptNames(previousSpec.extensions[path[1]]);
+            }
+
+            let reloaded = conceptNames.some((conceptName)=>{
+                return reloadedNames.includes(conceptName);
+            });
+
+            if(!reloaded) {
+                diagnostics.report(diagnostic.severity, diagnostic.message, path);
+            }
+        });
+    }
+
+    /**
+     * Parses and merges the given spec entries, in order, into one spec.
+     *
+     * An entry can declare how its values merge with the entries before it, by giving merge policies for key paths in
+     * a top-level "merge" key. The policies are "append", "prepend", "replace", "deepMerge" and "errorOnConflict", and
+     * they stay in effect for the entries after it. Key paths are dotted, where '*' matches one key and '**' any
+     * number of keys.
+     *
+     * Fragments can also be spec modules, with their concepts kept apart from other fragments, see SpecModules.
+     *
+     * @example
+     * {
+     *     "merge": {
+     *         "concepts.todo.schema.state.string.enum": "append",
+     *         "concepts.*.actions.*.then": "prepend",
+     *         "dataStores": "errorOnConflict"
+     *     },
+     *     "concepts": {...}
+     * }
+     *
+     * @param {SpecEntry[]} specEntries
+     * @param {LoadDiagnostics} [diagnostics] - Where to report parse errors and unhandled merge conflicts
+     * @param {MergeReportEntry[]} [mergeReport] - Where to record which fragment won each conflicting value
+     * @returns {object}
+     */
+    static mergeSpecs(specEntries, diagnostics = null, mergeReport = null) {
+        let combinedObj = {};
+
+        let mergeOptions = {
+            policies: [],
+            report: mergeReport,
+            fragment: null,
+            previous: []
+        };
+
+        //Conflicts are carried along into the later merges, so they are only reported the first time they are found
+        let reportedConflicts = new WeakSet();
+
+        let fragments = specEntries.map((entry)=>{
+            try {
+                return {
+                    id: entry.id,
+                    obj: SpecSource.parseEntry(entry)
+                };
+            } catch(e) {
+                if(diagnostics != null) {
+                    let location = {
+                        fragment: entry.id
+                    };
+                    if(e.mark != null) {
+                        location.line = e.mark.line + 1;
+                        location.column = e.mark.column + 1;
+                    }
+                    e.diagnostic = diagnostics.error(e.message, [], location);
+                }
+
+                throw e;
+            }
+        });
+
+        let modules = SpecModules.collectModules(fragments);
+
+        specEntries.forEach((entry, index)=>{
+            //Module concepts are named "module.concept" from here on
+            let entryObj = SpecModules.resolve(entry.id, fragments[index].obj, modules, diagnostics);
+
+            if(diagnostics != null) {
+                diagnostics.addSource(entry.id, typeof entry.spec === "string" ? entry.spec : null, entryObj);
+            }
+
+            if(entryObj != null && entryObj.merge != null) {
+                mergeOptions.policies.push(...VarvEngine.parseMergePolicies(entryObj.merge, diagnostics));
+
+                entryObj = Object.assign({}, entryObj);
+                delete entryObj.merge;
+            }
+
+            mergeOptions.fragment = entry.id;
+
+            try {
+                combinedObj = VarvEngine.merge(combinedObj, entryObj, mergeOptions);
+            } catch(e) {
+                if(diagnostics != null && e.mergePath != null) {
+                    e.diagnostic = diagnostics.error(e.message, e.mergePath);
+                }
+
+                throw e;
+            }
+
+            mergeOptions.previous.push({
+                id: entry.id,
+                obj: entryObj
+            });
+
+            VarvEngine.reportMergeConflicts(combinedObj, diagnostics, reportedConflicts);
+        });
+
+        return combinedObj;
+    }
+
+    /**
+     * Compares two merged specs, and finds the concepts that were added, changed or removed. Concepts tied together by
+     * extensions (inject, join, pick and omit) are compared as a whole, so if one of them changed they all changed.
+     * Concepts using a changed or removed concept, through references, inverses or derived dependencies, hold on to
+     * its properties and instances, so they are changed as well.
+     * @param {object} oldSpec
+     * @param {object} newSpec
+     * @returns {{dataStoresChanged: boolean, migrationsChanged: boolean, added: string[], changed: string[], removed: string[]}}
+     */
+    static diffSpecs(oldSpec, newSpec) {
+        let oldFingerprints = VarvEngine.getConceptFingerprints(oldSpec);
+        let newFingerprints = VarvEngine.getConceptFingerprints(newSpec);
+
+        let diff = {
+            dataStoresChanged: VarvEngine.stableStringify(oldSpec.dataStores) !== VarvEngine.stableStringify(newSpec.dataStores),
+            migrationsChanged: VarvEngine.stableStringify(oldSpec.migrations) !== VarvEngine.stableStringify(newSpec.migrations),
+            added: [],
+            changed: [],
+            removed: []
+        };
+
+        newFingerprints.forEach((fingerprint, conceptName)=>{
+            if(!oldFingerprints.has(conceptName)) {
+                diff.added.push(conceptName);
+            } else if(oldFingerprints.get(conceptName) !== fingerprint) {
+                diff.changed.push(conceptName);
+            }
+        });
+
+        oldFingerprints.forEach((fingerprint, conceptName)=>{
+            if(!newFingerprints.has(conceptName)) {
+                diff.removed.push(conceptName);
+            }
+        });
+
+        let newConcepts = newSpec.concepts != null ? newSpec.concepts : {};
+        let reloaded = new Set(diff.changed.concat(diff.removed));
+
+        let found = true;
+        while(found) {
+            found = false;
+
+            newFingerprints.forEach((fingerprint, conceptName)=>{
+                if(!oldFingerprints.has(conceptName) || reloaded.has(conceptName) || newConcepts[conceptName] == null) {
+                    return;
+                }
+
+                let usesReloaded = VarvEngine.getUsedConceptNames(newConcepts[conceptName]).some((usedName)=>{
+                    return reloaded.has(usedName);
+                });
+
+                if(usesReloaded) {
+                    //Concepts tied together by extensions are reloaded together
+                    newFingerprints.forEach((otherFingerprint, otherName)=>{
+                        if(otherFingerprint === fingerprint && !reloaded.has(otherName)) {
+                            reloaded.add(otherName);
+                            diff.changed.push(otherName);
+                        }
+                    });
+                    found = true;
+                }
+            });
+        }
+
+        return diff;
+    }
+
+    /**
+     * Get the names that a concept might use other concepts by, the types of its properties and the dependencies of
+     * its derived properties. Dependencies like 'myConcept.myProperty' give every possible concept name, as module
+     * concepts have dots in their names.
+     * @param {object} conceptJson
+     * @returns {string[]}
+     */
+    static getUsedConceptNames(conceptJson) {
+        let names = [];
+
+        let structure = conceptJson.structure != null ? conceptJson.structure : conceptJson.schema;
+        if(structure == null || typeof structure !== "object") {
+            return names;
+        }
+
+        Object.keys(structure).forEach((propertyName)=>{
+            let propertyJson = structure[propertyName];
+
+            if(typeof propertyJson === "string") {
+                names.push(propertyJson);
+                return;
+            }
+
+            if(propertyJson == null || typeof propertyJson !== "object") {
+                return;
+            }
+
+            //Either {"myType": {...options}} or {"type": "myType", ...options}
+            let type = propertyJson.type;
+            let typeOptions = propertyJson;
+            if(!(Object.keys(propertyJson).length > 1 && propertyJson.type != null)) {
+                type = Object.keys(propertyJson)[0];
+                typeOptions = propertyJson[type];
+            }
+
+            names.push(type);
+
+            if(typeOptions == null || typeof typeOptions !== "object") {
+                if(type === "array" && typeof typeOptions === "string") {
+                    names.push(typeOptions);
+                }
+                return;
+            }
+
+            if(typeof typeOptions.items === "string") {
+                names.push(typeOptions.items);
+            }
+
+            if(typeOptions.derive != null && Array.isArray(typeOptions.derive.properties)) {
+                typeOptions.derive.properties.forEach((dependency)=>{
+                    if(typeof dependency !== "string") {
+                        return;
+                    }
+
+                    let parts = dependency.split(".");
+                    for(let i = 1; i <= parts.length; i++) {
+                        names.push(parts.slice(0, i).join("."));
+                    }
+                });
+            }
+        });
+
+        return names;
+    }
+
+    /**
+     * Get a fingerprint of every concept in the given merged spec, including concepts created by extensions. Concepts
+     * tied together by extensions share the same fingerprint.
+     * @param {object} spec
+     * @returns {Map<string, string>}
+     */
+    static getConceptFingerprints(spec) {
+        let conceptsJson = spec.concepts != null ? spec.concepts : {};
+        let extensions = Array.isArray(spec.extensions) ? spec.extensions : [];
+
+        //Each concept points towards the concept representing its group
+        let groupMap = new Map();
+
+        function findGroup(conceptName) {
+            if(!groupMap.has(conceptName)) {
+                groupMap.set(conceptName, conceptName);
+            }
+
+            let group = groupMap.get(conceptName);
+            if(group !== conceptName) {
+                group = findGroup(group);
+                groupMap.set(conceptName, group);
+            }
+
+            return group;
+        }
+
+        function joinGroups(conceptNames) {
+            conceptNames.forEach((conceptName)=>{
+                groupMap.set(findGroup(conceptName), findGroup(conceptNames[0]));
+            });
+        }
+
+        Object.keys(conceptsJson).forEach((conceptName)=>{
+            let conceptJson = conceptsJson[conceptName];
+            let tiedNames = [conceptName];
+
+            //Sugared extensions on the concept itself
+            if(conceptJson != null && conceptJson.extensions != null) {
+                [].concat(conceptJson.extensions.inject || []).forEach((injected)=>{
+                    tiedNames.push(injected);
+                });
+                [].concat(conceptJson.extensions.pick || []).forEach((pick)=>{
+                    if(pick != null && pick.concept != null) {
+                        tiedNames.push(pick.concept);
+                    }
+                });
+            }
+
+            joinGroups(tiedNames);
+        });
+
+        extensions.forEach((extension)=>{
+            let tiedNames = VarvEngine.getExtensionConceptNames(extension);
+            if(tiedNames.length > 0) {
+                joinGroups(tiedNames);
+            }
+        });
+
+        let groups = new Map();
+
+        function getGroup(conceptName) {
+            let groupName = findGroup(conceptName);
+            let group = groups.get(groupName);
+            if(group == null) {
+                group = {
+                    concepts: {},
+                    extensions: []
+                };
+                groups.set(groupName, group);
+            }
+            return group;
+        }
+
+        Object.keys(conceptsJson).forEach((conceptName)=>{
+            getGroup(conceptName).concepts[conceptName] = conceptsJson[conceptName];
+        });
+
+        extensions.forEach((extension)=>{
+            let tiedNames = VarvEngine.getExtensionConceptNames(extension);
+            if(tiedNames.length > 0) {
+                getGroup(tiedNames[0]).extensions.push(extension);
+            }
+        });
+
+        let fingerprints = new Map();
+
+        groupMap.forEach((group, conceptName)=>{
+            fingerprints.set(conceptName, VarvEngine.stableStringify(getGroup(conceptName)));
+        });
+
+        return fingerprints;
+    }
+
+    /**
+     * Get the names of all concepts an extension reads from or writes to
+     * @param {object} extension
+     * @returns {string[]}
+     */
+    static getExtensionConceptNames(extension) {
+        if(extension == null) {
+            return [];
+        }
+
+        return [].concat(extension.concept, extension.into, extension.as, extension.inject, extension.join).filter((conceptName)=>{
+            return typeof conceptName === "string";
+        });
+    }
+
+    /**
+     * JSON.stringify with object keys sorted, so equal json gives equal strings no matter the key order
+     * @param {any} json
+     * @returns {string}
+     */
+    static stableStringify(json) {
+        if(Array.isArray(json)) {
+            return "["+json.map((entry)=>{
+                return VarvEngine.stableStringify(entry);
+            }).join(",")+"]";
+        }
+
+        if(json != null && typeof json === "object") {
+            return "{"+Object.keys(json).sort().map((key)=>{
+                return JSON.stringify(key)+":"+VarvEngine.stableStringify(json[key]);
+            }).join(",")+"}";
+        }
+
+        return JSON.stringify(json);
+    }
+
+    lookupTarget(concept) {
+        let target = null;
+
+        let uuids = this.getAllUUIDsFromType(concept.name);
+        if(uuids.length > 0) {
+            if(concept.singleton) {
+                //Duplicates are being merged into the one with the lowest uuid
+                return uuids.slice().sort()[0];
+            }
+
+            target = uuids[0];
+            if(uuids.length > 1) {
+                console.warn("[lookupTarget] Multiple uuid's exist for concept ["+concept.name+"]", uuids);
+            }
+
+            return target;
+        }
+
+        throw new Error("No instance of concept found: "+concept.name);
+    }
+
+    /**
+     *
+     * @param {string} contextTarget
+     * @param {Concept} localConcept
+     * @param {string} propertyName
+     * @returns {null|object}
+     */
+    lookupProperty(contextTarget, localConcept, propertyName) {
+        const DEBUG_LOOKUP_PROPERTY = false;
+
+        if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
+            console.groupCollapsed("Looking up property:", propertyName, contextTarget, localConcept);
+            if(localConcept == null && contextTarget == null) {
+                console.trace();
+            }
+        }
+
+        //Lookup of form concept.property, overrides all the other lookup types
+        let split = VarvEngine.splitReference(propertyName);
+
+        let conceptName = split.conceptName;
+        propertyName = split.name;
+
+        if(conceptName != null) {
+            if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
+                console.log("Lookup of form concept.property...", conceptName, propertyName);
+            }
+
+            let lookupConcept = this.getConceptFromType(conceptName);
+
+            if(conceptName === "lastTarget") {
+                console.warn("Should never see this?????");
+            }
+
+            if(lookupConcept != null) {
+                let lookupProperty = lookupConcept.getProperty(propertyName);
+
+                if(lookupProperty != null) {
+
+                    let lookupTarget = null;
+
+                    if(contextTarget != null && this.getConceptFromUUID(contextTarget).isA(conceptName)) {
+                        //The current target was of this concept, lets assume that is the wanted target?
+                        lookupTarget = contextTarget;
+                    } else {
+                        lookupTarget = this.lookupTarget(lookupConcept);
+                    }
+
+                    if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
+                        console.log("Found concept.property, ", lookupProperty, lookupConcept, lookupTarget);
+                        console.groupEnd();
+                    }
+
+                    return {
+                        property: lookupProperty,
+                        concept: lookupConcept,
+                        target: lookupTarget
+                    }
+                }
+            }
+        }
+
+        //Lookup on contextConcept
+        try {
+            let contextConcept = this.getConceptFromUUID(contextTarget);
+            let property = contextConcept.getProperty(propertyName);
+
+            if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
+                console.log("Found on contextConcept", contextConcept.name);
+                console.groupEnd();
+            }
+
+            return {
+                property: property,
+                concept: contextConcept,
+                target: contextTarget
+            }
+        } catch(e) {
+            //Ignore
+        }
+
+        //Lookup on localConcept
+        try {
+            let property = localConcept.getProperty(propertyName);
+
+            if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
+                console.log("Found on localConcept", localConcept.name);
+                console.groupEnd();
+            }
+
+            return {
+                property: property,
+                concept: localConcept,
+                target: this.lookupTarget(localConcept)
+            }
+        } catch(e) {
+            //Ignore
+        }
+
+        //Lookup on globalConcept
+        for(let globalConcept of this.concepts) {
+            try {
+                let property = globalConcept.getProperty(propertyName);
+
+                if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
+                    console.log("Found on globalConcept", globalConcept.name);
+                    console.groupEnd();
+                }
+
+                return {
+                    property: property,
+                    concept: globalConcept,
+                    target: this.lookupTarget(globalConcept)
+                }
+            } catch(e) {
+                //Ignore
+            }
+        }
+
+        if(VarvEngine.DEBUG || DEBUG_LOOKUP_PROPERTY) {
+            console.log("Not found...");
+            console.groupEnd();
+        }
+
+        return null;
+    }
+
+    /**
+     * Lookup a property like lookupProperty, where the reference may point inside the value of an object or map
+     * property, like "address.street" or "myConcept.address.street"
+     *
+     * @param {string} contextTarget
+     * @param {Concept} localConcept
+     * @param {string} reference
+     * @returns {null|object} - As lookupProperty, with the keys to follow inside the value of the property in path
+     */
+    lookupPropertyPath(contextTarget, localConcept, reference) {
+        let contextConcept = contextTarget != null ? this.getConceptFromUUID(contextTarget) : null;
+        let split = this.splitPropertyPath(reference, contextConcept != null ? contextConcept : localConcept);
+
+        let lookup = this.lookupProperty(contextTarget, localConcept, split != null ? split.reference : reference);
+
+        if(lookup == null) {
+            return null;
+        }
+
+        lookup.path = split != null ? split.path : [];
+
+        return lookup;
+    }
+
+    /**
+     * Splits a reference that points inside the value of an object or map property into the reference of the property
+     * and the keys to follow inside its value
+     *
+     * @param {string} reference - fx "address.street" or "myConcept.address.street"
+     * @param {Concept} [localConcept] - The concept to look for the property on first
+     * @returns {{reference: string, property: Property, path: string[]}|null} - null if the reference does not point inside an object or map property
+     */
+    splitPropertyPath(reference, localConcept=null) {
+        const self = this;
+
+        let parts = reference.split(".");
+
+        function findProperty(propertyReference) {
+            let split = VarvEngine.splitReference(propertyReference);
+            let concepts = split.conceptName != null ? [self.getConceptFromType(split.conceptName)] : [localConcept].concat(self.concepts);
+
+            for(let concept of concepts) {
+                if(concept != null && concept.properties.has(split.name)) {
+                    return concept.getProperty(split.name);
+                }
+            }
+
+            return null;
+        }
+
+        for(let i = 1; i < parts.length; i++) {
+            let propertyReference = parts.slice(0, i).join(".");
+            let property = findProperty(propertyReference);
+
+            if(property != null && property.isStructured()) {
+                return {
+                    reference: propertyReference,
+                    property: property,
+                    path: parts.slice(i)
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Lookup an unknown reference
+     * @param {string} reference - The reference to lookup
+     * @param {Concept} localConcept=null - The concept to lookup properties on first, before trying globally
+     * @param {boolean} executeAtOnce - If true, the value of the function is returned, and not the function.
+     * @returns {function|object|string} - An object containing the type of reference if known, or just the reference if still unknown
+     */
+    lookupReference(reference, lookupConcepts = []) {
+        let allConcepts = new Set();
+        if(lookupConcepts != null) {
+            if(!Array.isArray(lookupConcepts)) {
+                lookupConcepts = [lookupConcepts];
+            }
+
+            lookupConcepts.forEach((concept)=>{
+                allConcepts.add(concept);
+            });
+        }
+
+        this.concepts.forEach((concept)=>{
+            allConcepts.add(concept);
+        });
+
+        return this.lookupReferenceInternal(reference, allConcepts);
+    }
+
+    lookupReferenceInternal(reference, lookupConcepts) {
+        if(VarvEngine.DEBUG) {
+            console.groupCollapsed("Looking up unknown reference:", reference);
         }
 
         //Check for concept type
-        if (VarvEngine.getConceptFromType(reference) != null) {
+        if (this.getConceptFromType(reference) != null) {
             if(VarvEngine.DEBUG) {
                 console.log("Was concept!");
                 console.groupEnd();
@@ -597,7 +1543,8 @@ class VarvEngine {
         }
 
         //Check for view
-        if (DOMView.singleton.getViewElements(reference).length > 0) {
+        let domView = window.DOMView != null ? DOMView.of(this) : null;
+        if (domView != null && domView.getViewElements(reference).length > 0) {
             if(VarvEngine.DEBUG) {
                 console.log("Was view!");
                 console.groupEnd();
@@ -636,282 +1583,482 @@ class VarvEngine {
         };
     }
 
-    static resolveMergeConflicts(spec) {
-        const DEBUG_MERGE = VarvEngine.DEBUG || false;
-
-        function replaceInSpec(prefix, newValue) {
-            if(prefix.startsWith("spec.")) {
-                prefix = prefix.substring(5);
-            }
+    /**
+     * Reports the conflicts left in the merged spec, that no merge policy was able to resolve. The spec itself is left
+     * untouched, conflicts already in the given set are skipped and the reported ones are added to it.
+     * @param {object} spec
+     * @param {LoadDiagnostics} [diagnostics]
+     * @param {WeakSet<object>} [reported] - The conflicts reported by earlier calls
+     */
+    static reportMergeConflicts(spec, diagnostics = null, reported = new WeakSet()) {
+        function findMergeConflict(json, path) {
+            if(typeof json === "object") {
+                if(Array.isArray(json)) {
+                    json.forEach((elm, index)=>{
+                        findMergeConflict(elm, path.concat([index]));
+                    });
+                } else if(json != null) {
+                    if(json.mergeConflict != null && !reported.has(json.mergeConflict)) {
+                        reported.add(json.mergeConflict);
 
-            let currentPath = spec;
-            let lastPath = null;
-            let lastPrefixPart = null;
-            prefix.split(".").forEach((prefixPart)=>{
-                lastPath = currentPath;
-                lastPrefixPart = prefixPart;
+                        if(diagnostics != null) {
+                            diagnostics.error("Unable to merge the definitions of ["+LoadDiagnostics.pathToString(path)+"] from different fragments", path);
+                        } else {
+                            console.warn("Found unhandled mergeConflict:", LoadDiagnostics.pathToString(path), json);
+                        }
+                    }
 
-                if(prefixPart.indexOf("[") !== -1) {
-                    let key = prefixPart.substring(0, prefixPart.indexOf("["));
-                    let index = prefixPart.substring(prefixPart.indexOf("[")+1, prefixPart.indexOf("]"));
-                    //Array entry
-                    currentPath = currentPath[key][index];
-                } else {
-                    //Object entry
-                    currentPath = currentPath[prefixPart];
+                    Object.keys(json).forEach((objKey)=>{
+                        findMergeConflict(json[objKey], path.concat([objKey]));
+                    });
                 }
-            });
+            }
+        }
 
-            if(lastPath != null) {
-                if(lastPrefixPart.indexOf("[") !== -1) {
-                    let key = lastPrefixPart.substring(0, lastPrefixPart.indexOf("["));
-                    let index = lastPrefixPart.substring(lastPrefixPart.indexOf("[")+1, lastPrefixPart.indexOf("]"));
-                    //Array entry
-                    lastPath[key][index] = newValue;
-                } else {
-                    //Object entry
-                    lastPath[lastPrefixPart] = newValue;
-                }
+        findMergeConflict(spec, []);
+    }
 
-                return true;
+    /**
+     * Reads the merge policies declared in the "merge" key of a fragment
+     * @param {object} mergeJson - Merge policies for dotted key paths, like {"concepts.*.actions.*.then": "append"}
+     * @param {LoadDiagnostics} [diagnostics]
+     * @returns {Array<{pattern: string, policy: string}>}
+     */
+    static parseMergePolicies(mergeJson, diagnostics = null) {
+        function warn(message, path) {
+            if(diagnostics != null) {
+                diagnostics.warning(message, path);
+            } else {
+                console.warn(message);
             }
+        }
 
-            return false;
+        if(mergeJson == null || typeof mergeJson !== "object" || Array.isArray(mergeJson)) {
+            warn("Merge policies should be an object of key paths and policies", ["merge"]);
+            return [];
         }
 
-        function handleMergeConflict(prefix, json) {
-            let merged = false;
-            if(DEBUG_MERGE) {
-                console.group("Attempting to merge: ", prefix, json.mergeConflict);
+        let policies = [];
+
+        Object.keys(mergeJson).forEach((pattern)=>{
+            let policy = mergeJson[pattern];
+
+            if(!VarvEngine.mergePolicies.hasOwnProperty(policy)) {
+                warn("Unknown merge policy ["+policy+"] for ["+pattern+"], should be one of: "+Object.keys(VarvEngine.mergePolicies).join(", "), ["merge", pattern]);
+                return;
             }
 
-            if(json.mergeConflict.type === "arrayMerge") {
-                if(DEBUG_MERGE) {
-                    console.log("ArrayMerge");
-                }
+            policies.push({
+                pattern: pattern,
+                policy: policy
+            });
+        });
 
-                if(prefix.endsWith(".enum")) {
-                    if(DEBUG_MERGE) {
-                        console.log("Enum merge!")
-                    }
+        return policies;
+    }
 
-                    merged = replaceInSpec(prefix, json.mergeConflict.part2);
-                } else if(prefix.endsWith(".then")) {
-                    if(DEBUG_MERGE) {
-                        console.log("Action then merge!");
-                    }
+    /**
+     * Finds the merge policy of the given key path, the declared policies take precedence over the default ones
+     * @param {Array<string|number>} path
+     * @param {Array<{pattern: string, policy: string}>} [policies] - The declared policies, later ones take precedence
+     * @returns {string|null} - The name of the policy, or null if no policy matches
+     */
+    static getMergePolicy(path, policies = []) {
+        for(let i = policies.length - 1; i >= 0; i--) {
+            if(VarvEngine.matchesMergePattern(policies[i].pattern, path)) {
+                return policies[i].policy;
+            }
+        }
 
-                    merged = replaceInSpec(prefix, json.mergeConflict.part2);
-                } else if(prefix.match(/actions\.\S+$/)) {
-                    if(DEBUG_MERGE) {
-                        console.log("Action array merge!");
-                    }
+        for(let defaultPolicy of VarvEngine.defaultMergePolicies) {
+            if(VarvEngine.matchesMergePattern(defaultPolicy.pattern, path)) {
+                return defaultPolicy.policy;
+            }
+        }
 
-                    merged = replaceInSpec(prefix, {"then": json.mergeConflict.part2});
-                } else if(prefix.endsWith(".extensions")) {
-                    let result = [];
-                    json.mergeConflict.part1.forEach((ext)=>{
-                        result.push(ext);
-                    });
-                    json.mergeConflict.part2.forEach((ext)=>{
-                        result.push(ext);
-                    });
+        return null;
+    }
 
-                    merged = replaceInSpec(prefix, result);
-                }
-            } else if(json.mergeConflict.type == null) {
-                if(DEBUG_MERGE) {
-                    console.log("Unknown merge type!");
-                }
+    /**
+     * @param {string} pattern - A dotted key path, where '*' matches one key and '**' any number of keys
+     * @param {Array<string|number>} path
+     * @returns {boolean}
+     */
+    static matchesMergePattern(pattern, path) {
+        let patternParts = pattern.split(".");
 
-                if(prefix.match(/actions\.\S+$/)) {
-                    let then = null;
-                    let when = null;
+        function matches(patternIndex, pathIndex) {
+            if(patternIndex === patternParts.length) {
+                return pathIndex === path.length;
+            }
 
-                    if(Array.isArray(json.mergeConflict.part1)) {
-                        then = json.mergeConflict.part1;
-                        when = json.mergeConflict.part2.when;
-                    } else if(Array.isArray(json.mergeConflict.part2)) {
-                        then = json.mergeConflict.part2;
-                        when = json.mergeConflict.part1.when;
-                    } else {
-                        //Unknown action merge
-                    }
+            let part = patternParts[patternIndex];
 
-                    merged = replaceInSpec(prefix, {then, when});
+            if(part === "**") {
+                for(let i = pathIndex; i <= path.length; i++) {
+                    if(matches(patternIndex + 1, i)) {
+                        return true;
+                    }
                 }
+                return false;
             }
 
-            if(DEBUG_MERGE) {
-                console.groupEnd();
+            if(pathIndex === path.length) {
+                return false;
             }
-            return merged;
+
+            if(part !== "*" && part !== ""+path[pathIndex]) {
+                return false;
+            }
+
+            return matches(patternIndex + 1, pathIndex + 1);
         }
 
-        //Check for any mergeconflicts left...
-        function findMergeConflict(json, prefix="") {
-            if(typeof json === "object") {
-                if(Array.isArray(json)) {
-                    json.forEach((elm, index)=>{
-                        findMergeConflict(elm, prefix+"["+index+"]");
-                    });
-                } else if(json != null) {
-                    if(json.mergeConflict != null) {
-                        let handled = handleMergeConflict(prefix, json);
-                        if(!handled) {
-                            console.warn("Found unhandled mergeConflict:", prefix, json);
-                        }
-                    }
+        return matches(0, 0);
+    }
 
-                    Object.keys(json).forEach((objKey)=>{
-                        let objValue = json[objKey];
-                        findMergeConflict(objValue, prefix+"."+objKey);
-                    });
+    /**
+     * Records in the merge report, which fragment won a conflicting value
+     * @private
+     * @param {object} options - The merge options
+     * @param {Array<string|number>} path
+     * @param {string} policy
+     * @param {string|null} winner - The fragment whose value was kept, or null if the values were combined
+     */
+    static reportMerge(options, path, policy, winner) {
+        if(options.report == null) {
+            return;
+        }
+
+        //The last fragment that defined the value before, is the one the value came from
+        let previousFragment = null;
+        let previous = options.previous != null ? options.previous : [];
+        for(let i = previous.length - 1; i >= 0 && previousFragment == null; i--) {
+            let json = previous[i].obj;
+            for(let key of path) {
+                if(Array.isArray(json) && typeof key !== "number") {
+                    //Shorthand array form, like the array form of actions, that defines the keys inside
+                    break;
                 }
+                json = json != null && typeof json === "object" ? json[key] : undefined;
+            }
+
+            if(json !== undefined) {
+                previousFragment = previous[i].id;
             }
         }
 
-        findMergeConflict(spec, "spec");
+        options.report.push({
+            path: LoadDiagnostics.pathToString(path),
+            policy: policy,
+            fragments: [previousFragment, options.fragment != null ? options.fragment : null],
+            winner: winner
+        });
     }
 
-    static merge(json1, json2) {
-        if(VarvEngine.DEBUG) {
-            console.groupCollapsed("Merging:", json1, json2);
-        }
-
+    /**
+     * Merges json2 on top of json1. Where both define a value, the merge policy of its key path decides the result,
+     * if no policy matches objects are deep merged, other values of the same type are replaced by json2, and
+     * anything else is left as a mergeConflict.
+     * @param {any} json1
+     * @param {any} json2
+     * @param {object} [options]
+     * @param {Array<{pattern: string, policy: string}>} [options.policies] - Policies declared by fragments, later ones take precedence
+     * @param {MergeReportEntry[]} [options.report] - Where to record which fragment won each conflicting value
+     * @param {string} [options.fragment] - The id of the fragment json2 comes from
+     * @param {Array<{id: string, obj: object}>} [options.previous] - The fragments merged into json1
+     * @param {Array<string|number>} [path] - The key path of json1 and json2 in the spec
+     * @returns {any}
+     */
+    static merge(json1, json2, options = {}, path = []) {
         if(json1 == null && json2 != null) {
-            if(VarvEngine.DEBUG) {
-                console.log("Shortcut json2:", json2);
-                console.groupEnd();
-            }
             return json2;
         } else if(json2 == null && json1 != null) {
-            if(VarvEngine.DEBUG) {
-                console.log("Shortcut json1:", json1);
-                console.groupEnd();
-            }
             return json1;
         }
 
         if(json1 == null && json2 == null) {
-            if(VarvEngine.DEBUG) {
-                console.log("Null shortcut...");
-                console.groupEnd();
-            }
             return null;
         }
 
         //Neither json is null, as that would have resulted in a shortcut...
 
-        let type1 = typeof json1;
-        let type2 = typeof json2;
+        let policy = VarvEngine.getMergePolicy(path, options.policies);
 
-        if(type1 !== type2) {
-            //Types were different, but none of the json was null, this should be an error of some sort?
-            if(VarvEngine.DEBUG) {
-                console.warn("Unable to merge different types:", json1, json2);
-                console.groupEnd();
-            }
-            return {
-                "mergeConflict": {
+        if(policy == null) {
+            let isObject1 = typeof json1 === "object" && !Array.isArray(json1);
+            let isObject2 = typeof json2 === "object" && !Array.isArray(json2);
+
+            if(isObject1 && isObject2) {
+                policy = "deepMerge";
+            } else if(typeof json1 === typeof json2 && typeof json1 !== "object") {
+                policy = "replace";
+            } else {
+                if(VarvEngine.DEBUG) {
+                    console.warn("No merge policy for:", LoadDiagnostics.pathToString(path), json1, json2);
+                }
+
+                let mergeConflict = {
                     "part1": json1,
                     "part2": json2
+                };
+
+                if(Array.isArray(json1) && Array.isArray(json2)) {
+                    mergeConflict.type = "arrayMerge";
                 }
-            };
+
+                return {
+                    "mergeConflict": mergeConflict
+                };
+            }
         }
 
-        let isArray1 = Array.isArray(json1);
-        let isArray2 = Array.isArray(json2);
+        if(VarvEngine.DEBUG) {
+            console.log("Merging "+LoadDiagnostics.pathToString(path)+" with policy:", policy);
+        }
 
-        if(isArray1 != isArray2) {
-            if(VarvEngine.DEBUG) {
-                console.warn("One was array, other was not!");
-                console.groupEnd();
-            }
-            return {
-                "mergeConflict": {
-                    "part1": json1,
-                    "part2": json2
-                }
-            };
+        return VarvEngine.mergePolicies[policy](json1, json2, options, path);
+    }
+
+    async sendEvent(eventName, detail) {
+        if(Datastore.DEBUG) {
+            console.group("Sending varv engine event:", eventName, detail);
+        }
+        await EventSystem.triggerEventAsync(this.engineEventPrefix+eventName, detail);
+        if(Datastore.DEBUG) {
+            console.groupEnd();
         }
+    }
 
-        if(isArray1) {
-            if(VarvEngine.DEBUG) {
-                console.log("Array merge...");
-            }
+    registerEventCallback(eventName, callback) {
+        return EventSystem.registerEventCallback(this.engineEventPrefix+eventName, async (evt)=>{
+            await callback(evt.detail);
+        });
+    }
 
-            if(VarvEngine.DEBUG) {
-                console.groupEnd();
+    getDatastoreFromName(name) {
+        return this.datastores.get(name);
+    }
+
+    /**
+     * Runs the given method in a transaction, see Transaction. The method is handed the transaction, and only the
+     * changes made by the calls it passes the transaction on to are part of it. The changes are committed when the
+     * method returns or throws a StopError, and rolled back if it throws anything else.
+     *
+     * @example
+     * await VarvEngine.transaction(async (transaction)=>{
+     *     await fromConcept.setPropertyValue(fromUUID, "balance", fromBalance - amount, null, transaction);
+     *     await toConcept.setPropertyValue(toUUID, "balance", toBalance + amount, null, transaction);
+     * });
+     *
+     * @param {Function} method - An async method, called with the transaction
+     * @param {Transaction} [outerTransaction] - The transaction of the calling chain, if any, the method is then run as
+     * part of it
+     * @returns {Promise<any>} - The result of the method
+     */
+    async transaction(method, outerTransaction = null) {
+        if(outerTransaction != null) {
+            return await method(outerTransaction);
+        }
+
+        let transaction = new Transaction(this);
+
+        let result;
+        try {
+            result = await method(transaction);
+        } catch(e) {
+            if(e instanceof StopError) {
+                await transaction.commit();
+            } else {
+                transaction.rollback();
             }
 
-            return {
-                "mergeConflict": {
-                    "type": "arrayMerge",
-                    "part1": json1,
-                    "part2": json2
-                }
-            };
-        } else if(type1 === "object") {
-            if(VarvEngine.DEBUG) {
-                console.log("Object merge...");
+            throw e;
+        }
+
+        await transaction.commit();
+
+        return result;
+    }
+
+    /**
+     * Registers a primitive action that is only available on this engine
+     * @param {string} name
+     * @param {Action} action
+     */
+    registerPrimitiveAction(name, action) {
+        this.primitiveActions.set(name, action);
+    }
+
+    /**
+     * Get the class of the named primitive action, looking at this engine first, then the globally registered ones
+     * @param {string} name
+     * @returns {Action|undefined}
+     */
+    getPrimitiveActionClass(name) {
+        let actionClass = this.primitiveActions.get(name);
+
+        if(actionClass == null) {
+            actionClass = Action.primitiveActions.get(name);
+        }
+
+        return actionClass;
+    }
+
+    /**
+     * Destroys this engine, unloading all concepts and datastores
+     */
+    async destroy() {
+        for (let concept of this.concepts) {
+            await concept.destroy();
+        }
+        this.concepts = [];
+
+        for (let datastore of this.datastores.values()) {
+            datastore.destroy();
+        }
+        this.datastores.clear();
+
+        this.loadedSpec = null;
+        this.danglingReferenceCounts = null;
+
+        if(this.journalKeys != null) {
+            this.journalKeys.delete();
+            this.journalKeys = null;
+        }
+
+        VarvEngine.engines.splice(VarvEngine.engines.indexOf(this), 1);
+    }
+}
+VarvEngine.DEBUG = false;
+VarvEngine.VarvEngineEventPrefix = "VarvEngineEvent.";
+VarvEngine.engines = [];
+
+//The spec source start uses when none is given, a SpecSource class
+VarvEngine.DefaultSpecSource = null;
+
+/**
+ * The merge policies fragments can declare for key paths in their "merge" key. A policy gets the value merged so far,
+ * the value from the fragment being merged, the merge options and the key path, and returns the merged value.
+ */
+VarvEngine.mergePolicies = {
+    //The value from the later fragment replaces the earlier one
+    "replace": (json1, json2, options, path)=>{
+        if(VarvEngine.stableStringify(json1) !== VarvEngine.stableStringify(json2)) {
+            VarvEngine.reportMerge(options, path, "replace", options.fragment);
+        }
+
+        return json2;
+    },
+
+    //The values are concatenated into one array, values that are not arrays are added as single entries
+    "append": (json1, json2, options, path)=>{
+        VarvEngine.reportMerge(options, path, "append", null);
+
+        return [].concat(json1, json2);
+    },
+
+    //Like append, but the values from the later fragment come first
+    "prepend": (json1, json2, options, path)=>{
+        VarvEngine.reportMerge(options, path, "prepend", null);
+
+        return [].concat(json2, json1);
+    },
+
+    //Objects are merged key by key and arrays entry by entry, using the policies of the keys inside, anything else is replaced
+    "deepMerge": (json1, json2, options, path)=>{
+        let isArray1 = Array.isArray(json1);
+        let isArray2 = Array.isArray(json2);
+
+        if(isArray1 && isArray2) {
+            let result = [];
+            for(let i = 0; i < Math.max(json1.length, json2.length); i++) {
+                result.push(VarvEngine.merge(json1[i], json2[i], options, path.concat([i])));
             }
+            return result;
+        }
 
+        if(typeof json1 === "object" && typeof json2 === "object" && !isArray1 && !isArray2) {
             let result = {};
 
             for(let key of Object.keys(json1)) {
-                result[key] = VarvEngine.merge(json1[key], json2[key]);
+                result[key] = VarvEngine.merge(json1[key], json2[key], options, path.concat([key]));
             }
 
             for(let key of Object.keys(json2)) {
                 if(!result.hasOwnProperty(key)) {
                     //This was not handled already from json1 keys
-                    result[key] = VarvEngine.merge(json1[key], json2[key]);
+                    result[key] = VarvEngine.merge(json1[key], json2[key], options, path.concat([key]));
                 }
             }
 
-            if(VarvEngine.DEBUG) {
-                console.groupEnd();
-            }
             return result;
-        } else {
-            if(VarvEngine.DEBUG) {
-                console.log("Value merge...");
-            }
-            if(json1 !== json2) {
-                if(VarvEngine.DEBUG) {
-                    console.warn("Non equal values! (Overriding from json2)");
-                }
-            }
+        }
 
-            if(VarvEngine.DEBUG) {
-                console.groupEnd();
-            }
-            return json2;
+        return VarvEngine.mergePolicies.replace(json1, json2, options, path);
+    },
+
+    //Fragments are not allowed to define different values, the load fails if they do
+    "errorOnConflict": (json1, json2, options, path)=>{
+        if(VarvEngine.stableStringify(json1) !== VarvEngine.stableStringify(json2)) {
+            let error = new Error("Conflicting definitions of ["+LoadDiagnostics.pathToString(path)+"], which should not be merged");
+            error.mergePath = path;
+            throw error;
         }
-    }
 
-    static async sendEvent(eventName, detail) {
-        if(Datastore.DEBUG) {
-            console.group("Sending varv engine event:", eventName, detail);
+        return json2;
+    },
+
+    //Actions are merged as their object form, so the shorthand array form is the same as {"then": [...]}
+    "action": (json1, json2, options, path)=>{
+        if(Array.isArray(json1)) {
+            json1 = {"then": json1};
         }
-        await EventSystem.triggerEventAsync(VarvEngine.VarvEngineEventPrefix+eventName, detail);
-        if(Datastore.DEBUG) {
-            console.groupEnd();
+        if(Array.isArray(json2)) {
+            json2 = {"then": json2};
         }
-    }
 
-    static registerEventCallback(eventName, callback) {
-        return EventSystem.registerEventCallback(VarvEngine.VarvEngineEventPrefix+eventName, async (evt)=>{
-            await callback(evt.detail);
-        });
+        return VarvEngine.mergePolicies.deepMerge(json1, json2, options, path);
     }
-}
-VarvEngine.concepts = [];
-VarvEngine.DEBUG = false;
-VarvEngine.VarvEngineEventPrefix = "VarvEngineEvent.";
-VarvEngine.conceptUUIDMap = new Map();
-VarvEngine.conceptTypeMap = new Map();
-VarvEngine.conceptTypeUUIDMap = new Map();
+};
+
+//The policies used when no declared policy matches a key path, in order of precedence
+VarvEngine.defaultMergePolicies = [
+    {pattern: "concepts.*.actions.*", policy: "action"},
+    {pattern: "**.then", policy: "replace"},
+    {pattern: "**.enum", policy: "replace"},
+    {pattern: "extensions", policy: "append"},
+    {pattern: "migrations", policy: "append"},
+    {pattern: "concepts.*.extensions.*", policy: "append"}
+];
+
+VarvEngine.defaultEngine = new VarvEngine({
+    name: "default",
+    triggerEventPrefix: "VarvEvent.",
+    engineEventPrefix: VarvEngine.VarvEngineEventPrefix
+});
+
+//The static API operates on the default engine, for backwards compatibility
+[
+    "getConceptFromUUID", "getConceptFromType", "getAllUUIDsFromType", "lookupAction", "lookupActionInternal",
+    "isKnownConceptType", "registerConceptFromUUID", "deregisterConceptFromUUID", "registerConceptFromType",
+    "deregisterConceptFromType", "start", "load", "reload", "lookupTarget", "lookupProperty", "lookupReference",
+    "lookupReferenceInternal", "sendEvent", "registerEventCallback", "getDatastoreFromName", "registerPrimitiveAction",
+    "getPrimitiveActionClass", "transaction"
+].forEach((methodName)=>{
+    VarvEngine[methodName] = function(...args) {
+        return VarvEngine.defaultEngine[methodName](...args);
+    };
+});
+["concepts", "conceptUUIDMap", "conceptTypeMap", "conceptTypeUUIDMap", "datastores", "notifier", "diagnostics", "mergeReport", "journal"].forEach((fieldName)=>{
+    Object.defineProperty(VarvEngine, fieldName, {
+        get: ()=>{
+            return VarvEngine.defaultEngine[fieldName];
+        },
+        set: (value)=>{
+            VarvEngine.defaultEngine[fieldName] = value;
+        }
+    });
+});
 
 window.VarvEngine = VarvEngine;
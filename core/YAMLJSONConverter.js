@@ -73,7 +73,12 @@ class YAMLJSONConverter {
                 obj = jsyaml.load(code);
                 loader = "YAML";
             } catch(yamlEx) {
-                throw new Error("Unable to Parse string as YAML ("+yamlEx+") or JSON ("+jsonEx+")");
+                let error = new Error("Unable to Parse string as YAML ("+yamlEx+") or JSON ("+jsonEx+")");
+
+                //Keep the location of the YAML error, if the parser gave us one
+                error.mark = yamlEx.mark;
+
+                throw error;
             }
         }
 
@@ -35,8 +35,8 @@
  */
 
 class DOMDataStore extends Datastore {
-    constructor(name, options = {}) {
-        super(name, options);
+    constructor(name, options = {}, engine) {
+        super(name, options, engine);
 
         this.deleteCallbacks = [];
     }
@@ -106,7 +106,7 @@ class DOMDataStore extends Datastore {
         self.startObserver();
 
         //Setup disappeared listener?
-        this.deleteCallbacks.push(VarvEngine.registerEventCallback("disappeared", async (context)=>{
+        this.deleteCallbacks.push(self.engine.registerEventCallback("disappeared", async (context)=>{
             if(DOMDataStore.DEBUG) {
                 console.log("Saw disappeared UUID (DOMDataStore):", context.target);
             }
@@ -118,12 +118,12 @@ class DOMDataStore extends Datastore {
             }
         }));
 
-        this.deleteCallbacks.push(VarvEngine.registerEventCallback("appeared", async (context)=>{
+        this.deleteCallbacks.push(self.engine.registerEventCallback("appeared", async (context)=>{
             if(DOMDataStore.DEBUG) {
                 console.log("Saw appeared UUID (DOMDataStore):", context.target);
             }
 
-            let concept = VarvEngine.getConceptFromUUID(context.target);
+            let concept = self.engine.getConceptFromUUID(context.target);
             if (self.isConceptMapped(concept)){
                 this.executeObserverless(()=>{
                     self.getConceptElementOrCreate(context.target, concept);
@@ -132,7 +132,7 @@ class DOMDataStore extends Datastore {
         }));
     }
 
-    async mutationCallback(mutationList) {
+    async mutationCallback(mutationList, suppression=null) {
         const self = this;
 
         if(DOMDataStore.DEBUG) {
@@ -154,7 +154,7 @@ class DOMDataStore extends Datastore {
                                 }
 
                                 // Check if already exists (this would be a bit weird but could happen in multi-backed concepts where the other backing already registered their part)
-                                let conceptByUUID = VarvEngine.getConceptFromUUID(uuid);
+                                let conceptByUUID = self.engine.getConceptFromUUID(uuid);
                                 if (conceptByUUID){
                                     console.warn("Notice: DOM concept node found for already existing concept "+conceptByUUID.name +" with uuid "+uuid+", this may be perfectly fine for multi-backed concepts but for now we throw this notice when it happens");
                                 }
@@ -170,7 +170,7 @@ class DOMDataStore extends Datastore {
                                     console.warn("DOM concept node added without type, ignoring for now - not sure how to handle it");
                                     continue;
                                 }
-                                let concept = VarvEngine.getConceptFromType(conceptType);
+                                let concept = self.engine.getConceptFromType(conceptType);
                                 if (!concept){
                                     console.warn("Warning: DOM concept node added for concept of unknown type '"+conceptType+"', ignoring");
                                     continue;
@@ -188,7 +188,7 @@ class DOMDataStore extends Datastore {
                                 if(DOMDataStore.DEBUG) {
                                     console.log("DOM saw " + uuid + " of type "+conceptType);
                                 }
-                                VarvEngine.registerConceptFromUUID(uuid, concept);
+                                self.engine.registerConceptFromUUID(uuid, concept);
 
                                 // Concepts can only exist as top-level but when added they can already carry properties as children nodes
                                 Array.from(node.children).forEach((childNode)=>{
@@ -226,7 +226,7 @@ class DOMDataStore extends Datastore {
                                     console.warn("DOM concept node removed without uuid, ignored for now - not sure what to do about it");
                                     return;
                                 }
-                                let concept =  VarvEngine.getConceptFromUUID(uuid);
+                                let concept =  self.engine.getConceptFromUUID(uuid);
                                 if (!concept ){
                                     console.warn("Notice: DOM concept node removed for concept with uuid "+uuid+" that we didn't know about, this inconsistency is odd");
                                     return;
@@ -248,7 +248,7 @@ class DOMDataStore extends Datastore {
                     // Any changed properties either from new concepts or direct changes should be imported to their local concepts
                     for(let node of propertyChangedNodes) {
                         try {
-                            await self.syncronizePropertyElementFromDOM(node);
+                            await self.syncronizePropertyElementFromDOM(node, suppression);
                         } catch (ex){
                             console.error("Failed to push concept property from DOM node to concept", node, ex);
                         }
@@ -258,7 +258,7 @@ class DOMDataStore extends Datastore {
                 case 'attributes':
                     // - Simple property value change
                     if (mutation.attributeName==="value" && mutation.target.tagName==="PROPERTY"){
-                        await self.syncronizePropertyElementFromDOM(mutation.target);
+                        await self.syncronizePropertyElementFromDOM(mutation.target, suppression);
                     }
                     
                     // TODO: uuid and/or type added to concept that was previously missing it and was thus ignored
@@ -327,6 +327,9 @@ class DOMDataStore extends Datastore {
                         entryElement.appendChild(entry);
                     });
                     propertyElement.innerHTML = entryElement.innerHTML;
+                } else if (value !== null && typeof value === "object") {
+                    // Object and map values are stored as JSON, and parsed again by the property typecast
+                    propertyElement.setAttribute("value", JSON.stringify(value), { approved: true });
                 } else {
                     propertyElement.setAttribute("value", value, { approved: true });
                 }
@@ -368,12 +371,85 @@ class DOMDataStore extends Datastore {
         this.internalRemovePropertyMapping(concept, property);
     }
 
+    async getMigrationVersion() {
+        return Number(this.backingElement.getAttribute("migration-version")) || 0;
+    }
+
+    async setMigrationVersion(version) {
+        this.executeObserverless(()=>{
+            this.backingElement.setAttribute("migration-version", version, { approved: true });
+        });
+    }
+
+    async readMigrationRecords() {
+        let records = [];
+
+        this.backingElement.querySelectorAll(":scope > concept").forEach((conceptElement)=>{
+            let uuid = conceptElement.getAttribute("uuid");
+            let type = conceptElement.getAttribute("type");
+            if (uuid===null || type===null) return; // Incomplete, left in place and ignored when loading as usual
+
+            let properties = {};
+            conceptElement.querySelectorAll(":scope > property").forEach((propertyElement)=>{
+                let name = propertyElement.getAttribute("name");
+                if (name===null) return;
+
+                // Values are stored as strings, arrays as entries, migration steps typecast them as needed
+                if (propertyElement.hasAttribute("value")){
+                    properties[name] = propertyElement.getAttribute("value");
+                } else {
+                    properties[name] = Array.from(propertyElement.querySelectorAll(":scope > entry")).map((entry)=>{
+                        return entry.getAttribute("value");
+                    });
+                }
+            });
+
+            records.push({uuid: uuid, concept: type, properties: properties});
+        });
+
+        return records;
+    }
+
+    async writeMigrationRecords(records) {
+        this.executeObserverless(()=>{
+            this.backingElement.querySelectorAll(":scope > concept[uuid][type]").forEach((conceptElement)=>{
+                conceptElement.remove();
+            });
+
+            for (let record of records){
+                let conceptElement = document.createElement("concept", {approved: true});
+                conceptElement.setAttribute("type", record.concept, { approved: true });
+                conceptElement.setAttribute("uuid", record.uuid, { approved: true });
+
+                for (const [propertyName,value] of Object.entries(record.properties)){
+                    if (value===null || value===undefined) continue;
+
+                    let propertyElement = document.createElement("property", { approved: true });
+                    propertyElement.setAttribute("name", propertyName, { approved: true });
+                    if (Array.isArray(value)){
+                        value.forEach((entryValue)=>{
+                            let entry = document.createElement("entry", {approved: true});
+                            entry.setAttribute("value", entryValue, { approved: true });
+                            propertyElement.appendChild(entry);
+                        });
+                    } else {
+                        propertyElement.setAttribute("value", value, { approved: true });
+                    }
+                    conceptElement.appendChild(propertyElement);
+                }
+
+                this.backingElement.appendChild(conceptElement);
+            }
+        });
+    }
+
     /** 
      * Loads all concept instances currently registered as backed from serialized state
      * 
+     * @param {TriggerSuppression} [suppression] - The triggers to suppress while loading
      * @returns {undefined}
      */
-    async loadBackingStore() {
+    async loadBackingStore(suppression) {
         // We restore the state by faking that someone else just added all the contents of the
         // backing element to our DOM
         let fakeAddMutationList = [{
@@ -382,7 +458,7 @@ class DOMDataStore extends Datastore {
             addedNodes: Array.from(this.backingElement.children),
             removedNodes: []
         }];
-        await this.mutationCallback(fakeAddMutationList);
+        await this.mutationCallback(fakeAddMutationList, suppression);
     }
 
     /**
@@ -464,8 +540,9 @@ class DOMDataStore extends Datastore {
      * Takes the element and looks up everything else from that and pushes its state
      * to the concept
      * @param {element} propertyElement The element with the property to push to concept
+     * @param {TriggerSuppression} [suppression] The triggers to suppress while pushing
      */
-    syncronizePropertyElementFromDOM(propertyElement){
+    syncronizePropertyElementFromDOM(propertyElement, suppression=null){
         const self = this;
 
         // Lookup concept
@@ -483,7 +560,7 @@ class DOMDataStore extends Datastore {
             if(DOMDataStore.DEBUG) {
                 console.log("DOM: Pushing remote change to " + conceptInstance.uuid + " " + conceptInstance.concept.name + "." + propertyObject.name + "=" + value);
             }
-            propertyObject.setValue(conceptInstance.uuid, propertyObject.typeCast(value)).then(()=>{
+            propertyObject.setValueFromDatastore(conceptInstance.uuid, propertyObject.typeCast(value), suppression).then(()=>{
                 resolve();
             }).catch(()=>{
                 //Unable to synchronize from dom, as dom did not validate
@@ -509,7 +586,7 @@ class DOMDataStore extends Datastore {
         if (!this.isConceptTypeMapped(type)) throw new Error("DOM storage contains data for unmapped type, ignoring: "+type);
 
         // Lookup Concept by type through registry
-        let concept = VarvEngine.getConceptFromType(type);
+        let concept = this.engine.getConceptFromType(type);
         if (!concept) throw new Error("DOM storage contains data for mapped type that is not registered in the system: "+type);
         
         return {concept: concept, uuid: uuid};
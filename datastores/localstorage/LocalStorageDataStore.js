@@ -35,8 +35,8 @@
  */
 
 class LocalStorageDataStore extends Datastore {
-    constructor(name, options = {}) {
-        super(name, options);
+    constructor(name, options = {}, engine) {
+        super(name, options, engine);
         this.storagePrefix = "varv-data";
         this.entities = {};
 
@@ -52,14 +52,14 @@ class LocalStorageDataStore extends Datastore {
 
         if (!localStorage.getItem(this.storagePrefix)) self.saveEntities();
 
-        this.deleteCallbacks.push(VarvEngine.registerEventCallback("disappeared", async (context)=> {
+        this.deleteCallbacks.push(self.engine.registerEventCallback("disappeared", async (context)=> {
             if(LocalStorageDataStore.DEBUG) {
                 console.log("Saw disappeared UUID (LocalStorageDataStore):", context.target);
             }
 
             if (!self.entities[context.target]) return; // avoid loops when we caused the disappear event ourselves
 
-            const concept = VarvEngine.getConceptFromUUID(context.target);
+            const concept = self.engine.getConceptFromUUID(context.target);
 
             concept.properties.forEach((property)=>{
                 if(self.isPropertyMapped(concept, property)) {
@@ -69,14 +69,14 @@ class LocalStorageDataStore extends Datastore {
             delete self.entities[context.target];
             self.saveEntities();
         }));
-        this.deleteCallbacks.push(VarvEngine.registerEventCallback("appeared", async (context)=> {
+        this.deleteCallbacks.push(self.engine.registerEventCallback("appeared", async (context)=> {
             if(LocalStorageDataStore.DEBUG) {
                 console.log("Saw appeared UUID (LocalStorageDataStore):", context.target);
             }
 
             if (self.entities[context.target]) return; // avoid loops when we caused the appear event ourselves
 
-            const concept = VarvEngine.getConceptFromUUID(context.target);
+            const concept = self.engine.getConceptFromUUID(context.target);
             if (self.isConceptMapped(concept)){
                 self.entities[context.target] = concept.name;
                 self.saveEntities();
@@ -99,7 +99,7 @@ class LocalStorageDataStore extends Datastore {
                 for (const [uuid,type] of Object.entries(self.entities)){
                     if (!storedEntities[uuid]){
                         delete self.entities[uuid]; // delete our tracker BEFORE sending disappear event to avoid loops
-                        await VarvEngine.getConceptFromType(type).disappeared(uuid);
+                        await self.engine.getConceptFromType(type).disappeared(uuid);
                     }
                 };
             } else if (event.key.startsWith(self.storagePrefix+"-")){
@@ -111,7 +111,7 @@ class LocalStorageDataStore extends Datastore {
                     let uuid = matches[1];
                     let propertyName = matches[2];
 
-                    let concept = VarvEngine.getConceptFromUUID(uuid);
+                    let concept = self.engine.getConceptFromUUID(uuid);
                     if (!concept){
                         console.log("Localstorage got property update from concept with UUID that does not exist locally", uuid);
                         return;
@@ -121,7 +121,7 @@ class LocalStorageDataStore extends Datastore {
                         console.log("Localstorage got property update from concept property that does not exist locally", concept, propertyName);
                         return;
                     }
-                    await property.setValue(uuid, JSON.parse(event.newValue));
+                    await property.setValueFromDatastore(uuid, JSON.parse(event.newValue));
                 }
             }
         };
@@ -187,21 +187,78 @@ class LocalStorageDataStore extends Datastore {
         this.internalRemovePropertyMapping(concept, property);        
     }
 
+    async getMigrationVersion() {
+        return Number(localStorage.getItem(this.storagePrefix+".migrationVersion")) || 0;
+    }
+
+    async setMigrationVersion(version) {
+        localStorage.setItem(this.storagePrefix+".migrationVersion", JSON.stringify(version));
+    }
+
+    async readMigrationRecords() {
+        let storedEntities = JSON.parse(localStorage.getItem(this.storagePrefix)) || {};
+        let records = [];
+
+        for (const [uuid,type] of Object.entries(storedEntities)){
+            let keyPrefix = this.storagePrefix+"-"+uuid+"-";
+            let properties = {};
+
+            for (let i = 0; i < localStorage.length; i++){
+                let key = localStorage.key(i);
+                if (key.startsWith(keyPrefix)){
+                    properties[key.substring(keyPrefix.length)] = JSON.parse(localStorage.getItem(key));
+                }
+            }
+
+            records.push({uuid: uuid, concept: type, properties: properties});
+        }
+
+        return records;
+    }
+
+    async writeMigrationRecords(records) {
+        // Clear out everything stored for the old entities before writing the migrated ones
+        let storedEntities = JSON.parse(localStorage.getItem(this.storagePrefix)) || {};
+        let oldKeys = [];
+        for (let i = 0; i < localStorage.length; i++){
+            let key = localStorage.key(i);
+            for (const uuid of Object.keys(storedEntities)){
+                if (key.startsWith(this.storagePrefix+"-"+uuid+"-")){
+                    oldKeys.push(key);
+                    break;
+                }
+            }
+        }
+        oldKeys.forEach((key)=>{
+            localStorage.removeItem(key);
+        });
+
+        let entities = {};
+        for (let record of records){
+            entities[record.uuid] = record.concept;
+            for (const [propertyName,value] of Object.entries(record.properties)){
+                localStorage.setItem(this.storagePrefix+"-"+record.uuid+"-"+propertyName, JSON.stringify(value));
+            }
+        }
+        localStorage.setItem(this.storagePrefix, JSON.stringify(entities));
+    }
+
     /** 
      * Loads all concept instances currently registered as backed from serialized state
      * 
+     * @param {TriggerSuppression} [suppression] - The triggers to suppress while loading
      * @returns {undefined}
      */
-    async loadBackingStore() {
+    async loadBackingStore(suppression) {
         let self = this;
         this.entities = JSON.parse(localStorage.getItem(this.storagePrefix));
         
         for (const [uuid,type] of Object.entries(this.entities)){
-            await self.pullConcept(uuid);
+            await self.pullConcept(uuid, suppression);
         }
     }
     
-    async pullConcept(uuid){
+    async pullConcept(uuid, suppression=null){
         let self = this;
         
         let conceptType = this.entities[uuid];
@@ -209,7 +266,7 @@ class LocalStorageDataStore extends Datastore {
             throw new Error("Tried to pull a concept from localStorage that wasn't a known entity in there");
         }
         
-        const concept = VarvEngine.getConceptFromType(conceptType);
+        const concept = self.engine.getConceptFromType(conceptType);
         if (!concept) {
             if (LocalStorageDataStore.DEBUG) console.log("LocalStorage: Ignoring unknown concept with type", type);
             return;
@@ -220,11 +277,11 @@ class LocalStorageDataStore extends Datastore {
             return;                
         }
 
-        let conceptByUUID = VarvEngine.getConceptFromUUID(uuid);
+        let conceptByUUID = self.engine.getConceptFromUUID(uuid);
         if (conceptByUUID){
             console.warn("Notice: Localstorage concept instance found for already existing concept "+conceptByUUID.name +" with uuid "+uuid+", this may be perfectly fine for multi-backed concepts but for now we throw this notice when it happens");
         } else {
-            VarvEngine.registerConceptFromUUID(uuid, concept);
+            self.engine.registerConceptFromUUID(uuid, concept);
         }            
 
         // Pull all properties
@@ -233,7 +290,7 @@ class LocalStorageDataStore extends Datastore {
                 try {
                     let value = localStorage.getItem(self.storagePrefix+"-"+uuid+"-"+property.name);
                     if (value!==null){
-                        await property.setValue(uuid, JSON.parse(value));
+                        await property.setValueFromDatastore(uuid, JSON.parse(value), suppression);
                     }
                 } catch (ex){
                     // Ignore
@@ -27,8 +27,8 @@
  */
 
 class MemoryDataStore extends Datastore {
-    constructor(name, options = {}) {
-        super(name, options);
+    constructor(name, options = {}, engine) {
+        super(name, options, engine);
 
         this.deleteCallbacks = [];
     }
@@ -46,12 +46,12 @@ class MemoryDataStore extends Datastore {
         this.storageName = "memory";
         if (this.options.storageName) this.storageName = this.options.storageName;
 
-        this.deleteCallbacks.push(VarvEngine.registerEventCallback("disappeared", async (context)=> {
+        this.deleteCallbacks.push(self.engine.registerEventCallback("disappeared", async (context)=> {
             if(MemoryDataStore.DEBUG) {
                 console.log("Saw disappeared UUID (MemoryDataStore):", context.target);
             }
 
-            const concept = VarvEngine.getConceptFromUUID(context.target);
+            const concept = self.engine.getConceptFromUUID(context.target);
 
             concept.properties.forEach((property)=>{
                 if(self.isPropertyMapped(concept, property)) {
@@ -61,12 +61,12 @@ class MemoryDataStore extends Datastore {
             });
             self.getStorage().delete(context.target);
         }));
-        this.deleteCallbacks.push(VarvEngine.registerEventCallback("appeared", async (context)=> {
+        this.deleteCallbacks.push(self.engine.registerEventCallback("appeared", async (context)=> {
             if(MemoryDataStore.DEBUG) {
                 console.log("Saw appeared UUID (MemoryDataStore):", context.target);
             }
 
-            const concept = VarvEngine.getConceptFromUUID(context.target);
+            const concept = self.engine.getConceptFromUUID(context.target);
             if (self.isConceptMapped(concept) && !self.getStorage().has(context.target)){
                 self.getStorage().set(context.target, {
                     [self.typeVariable]: concept.name
@@ -76,10 +76,16 @@ class MemoryDataStore extends Datastore {
     }
     
     getStorage(){
-        if (!MemoryDataStore.storages[this.storageName]){
-            MemoryDataStore.storages[this.storageName] = new Map();            
+        // Storages survive reloads but are kept separate for each engine
+        let storages = MemoryDataStore.storages.get(this.engine);
+        if (!storages){
+            storages = {};
+            MemoryDataStore.storages.set(this.engine, storages);
         }
-        return MemoryDataStore.storages[this.storageName];
+        if (!storages[this.storageName]){
+            storages[this.storageName] = new Map();            
+        }
+        return storages[this.storageName];
     }
 
     createBackingStore(concept, property) {
@@ -120,7 +126,39 @@ class MemoryDataStore extends Datastore {
         this.internalRemovePropertyMapping(concept, property);
     }
     
-    async loadBackingStore() {
+    async getMigrationVersion() {
+        let versions = MemoryDataStore.migrationVersions.get(this.engine);
+        return versions?.[this.storageName] || 0;
+    }
+
+    async setMigrationVersion(version) {
+        let versions = MemoryDataStore.migrationVersions.get(this.engine);
+        if (!versions){
+            versions = {};
+            MemoryDataStore.migrationVersions.set(this.engine, versions);
+        }
+        versions[this.storageName] = version;
+    }
+
+    async readMigrationRecords() {
+        let records = [];
+        for(let [uuid,storedConcept] of this.getStorage().entries()) {
+            let properties = Object.assign({}, storedConcept);
+            delete properties[this.typeVariable];
+            records.push({uuid: uuid, concept: storedConcept[this.typeVariable], properties: properties});
+        }
+        return records;
+    }
+
+    async writeMigrationRecords(records) {
+        let storage = this.getStorage();
+        storage.clear();
+        for (let record of records){
+            storage.set(record.uuid, Object.assign({[this.typeVariable]: record.concept}, record.properties));
+        }
+    }
+
+    async loadBackingStore(suppression) {
         // For each of our stored and mapped concepts
         for(let [uuid,storedConcept] of this.getStorage().entries()) {
             if (MemoryDataStore.DEBUG) console.log("Loading from memory",uuid,storedConcept);
@@ -132,13 +170,13 @@ class MemoryDataStore extends Datastore {
             }
             
             // Check if already registered and only generate an appear event if not
-            let conceptByUUID = VarvEngine.getConceptFromUUID(uuid);
-            let concept = VarvEngine.getConceptFromType(type);                        
+            let conceptByUUID = this.engine.getConceptFromUUID(uuid);
+            let concept = this.engine.getConceptFromType(type);                        
             
             if (conceptByUUID){
                 console.warn("Notice: Memory concept found for already existing concept "+conceptByUUID.name +" with uuid "+uuid+", this may be perfectly fine for multi-backed concepts but for now we throw this notice when it happens");
             } else {
-                VarvEngine.registerConceptFromUUID(uuid, concept);
+                this.engine.registerConceptFromUUID(uuid, concept);
             }
             
             // Stil set the properties that we know about
@@ -148,7 +186,7 @@ class MemoryDataStore extends Datastore {
                         let property = concept.getProperty(propertyName);                    
                         if (MemoryDataStore.DEBUG) console.log("Loading property", property, value);
                         if (this.isPropertyMapped(concept, property)){
-                            await property.setValue(uuid, value);
+                            await property.setValueFromDatastore(uuid, value, suppression);
                         }
                     } catch (ex){
                         console.error("Failed to push concept property from memory to concept", ex);
@@ -165,6 +203,7 @@ class MemoryDataStore extends Datastore {
 MemoryDataStore.DEBUG = false;
 window.MemoryDataStore = MemoryDataStore;
 MemoryDataStore.storages = new Map();
+MemoryDataStore.migrationVersions = new Map();
 
 // Register default dom datastore
 Datastore.registerDatastoreType("memory", MemoryDataStore);
@@ -29,8 +29,8 @@
  */
 
 class CauldronDatastore extends Datastore {
-    constructor(name, options = {}) {        
-        super(name, options);
+    constructor(name, options = {}, engine) {        
+        super(name, options, engine);
         let self = this;
         
         this.destroyCallbacks = [];
@@ -38,8 +38,8 @@ class CauldronDatastore extends Datastore {
         this.instanceAddedCallbacks = new Map();
         this.instanceRemovedCallbacks = new Map();
         
-        this.appearCallback = VarvEngine.registerEventCallback("appeared", async (context)=> {
-            const concept = VarvEngine.getConceptFromUUID(context.target);
+        this.appearCallback = self.engine.registerEventCallback("appeared", async (context)=> {
+            const concept = self.engine.getConceptFromUUID(context.target);
             if (self.isConceptMapped(concept)){
                 let callbacks = self.instanceAddedCallbacks.get(concept.name);
                 if (callbacks){
@@ -49,8 +49,8 @@ class CauldronDatastore extends Datastore {
                 }
             }
         });
-        this.disappearCallback = VarvEngine.registerEventCallback("disappeared", async (context)=> {
-            const concept = VarvEngine.getConceptFromUUID(context.target);
+        this.disappearCallback = self.engine.registerEventCallback("disappeared", async (context)=> {
+            const concept = self.engine.getConceptFromUUID(context.target);
             if (self.isConceptMapped(concept)){
                 let callbacks = self.instanceRemovedCallbacks.get(concept.name);
                 if (callbacks){
@@ -94,7 +94,7 @@ class CauldronDatastore extends Datastore {
 
         // Pre-feed with currently mapped
         for (const conceptName of this.mappedConcepts.keys()){
-            callback(VarvEngine.getConceptFromType(conceptName));
+            callback(this.engine.getConceptFromType(conceptName));
         }
         
         return callback;        
@@ -109,7 +109,7 @@ class CauldronDatastore extends Datastore {
         callbacks.push(callback);
 
         // Pre-feed with currently mapped
-        for (const conceptUUID of VarvEngine.getAllUUIDsFromType(concept.name)){
+        for (const conceptUUID of this.engine.getAllUUIDsFromType(concept.name)){
             callback(conceptUUID);
         }
         
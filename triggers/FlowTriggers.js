@@ -87,15 +87,10 @@ class ActionTrigger extends Trigger {
             //Only 1 context
             let context = contexts[0];
 
-            let actionPart = self.options.action;
-            let conceptPart = null;
-
-            let split = self.options.action.split(".");
-            if(split.length === 2) {
-                //Action was on the form, concept.action
-                actionPart = split[1];
-                conceptPart = split[0];
-            }
+            //Action can be on the form concept.action, where concept can be a module concept like module.concept
+            let split = VarvEngine.splitReference(self.options.action);
+            let actionPart = split.name;
+            let conceptPart = split.conceptName;
 
             if(conceptPart != null && context.actionConcept !== conceptPart) {
                 //Not the concept we are looking for, skip
@@ -114,8 +109,8 @@ class ActionTrigger extends Trigger {
 
             let clonedContexts = Action.cloneContext(context.actionContext);
 
-            await Trigger.trigger(self.name, clonedContexts);
-        });
+            await Trigger.trigger(self.name, clonedContexts, self.engine);
+        }, this.engine);
     }
 
     disable() {
@@ -139,7 +134,7 @@ class ActionTrigger extends Trigger {
             actionName: action.name,
             actionConcept: action.concept?.name,
             hook: after?"after":"before"
-        });
+        }, VarvEngine.of(action.concept));
     }
 }
 Trigger.registerTrigger("action", ActionTrigger);
@@ -0,0 +1,269 @@
+/**
+ *  LifecycleTriggers - Triggers based on concept instances being created, deleted, appearing and disappearing
+ * 
+ *  This code is licensed under the MIT License (MIT).
+ *  
+ *  Copyright 2020, 2021, 2022 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *  
+ *  Permission is hereby granted, free of charge, to any person obtaining a copy
+ *  of this software and associated documentation files (the “Software”), to deal
+ *  in the Software without restriction, including without limitation the rights 
+ *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell 
+ *  copies of the Software, and to permit persons to whom the Software is 
+ *  furnished to do so, subject to the following conditions:
+ *  
+ *  The above copyright notice and this permission notice shall be included in 
+ *  all copies or substantial portions of the Software.
+ *  
+ *  THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, EXPRESS OR 
+ *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE 
+ *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, 
+ *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN 
+ *  THE SOFTWARE.
+ *  
+ */
+
+/**
+ * General LifecycleTrigger class, for use for the different ones.
+ *
+ * Without a concept or isA option, the trigger fires for instances of all concepts.
+ */
+class LifecycleTrigger extends Trigger {
+    static options() {
+        return {
+            "concept": "string",
+            "isA": "string",
+            "where": "filter"
+        }
+    }
+
+    constructor(name, options, concept, type) {
+        //Shorthand, only concept
+        if(typeof options === "string" || Array.isArray(options)) {
+            options = {
+                concept: options
+            }
+        }
+
+        if(options == null) {
+            options = {};
+        }
+
+        super(name, options, concept);
+
+        this.type = type;
+
+        this.triggerDelete = null;
+    }
+
+    enable() {
+        const self = this;
+
+        this.triggerDelete = this.registerEvent(async (context)=>{
+            await self.onEvent(context);
+        });
+    }
+
+    disable() {
+        if(this.triggerDelete != null) {
+            this.triggerDelete.delete();
+        }
+        this.triggerDelete = null;
+    }
+
+    /**
+     * Listen for the event of this lifecycle trigger type
+     * @protected
+     * @param {Function} callback - Called with the context of the event
+     * @returns {{delete: Function}}
+     */
+    registerEvent(callback) {
+        return Trigger.registerTriggerEvent(this.type, async (contexts)=>{
+            //Always only 1 entry in array
+            await callback(contexts[0]);
+        }, this.engine);
+    }
+
+    /**
+     * Get the variables to pass along with the trigger
+     * @protected
+     * @param {Concept} concept - The concept of the instance
+     * @param {string} uuid - The instance
+     * @returns {Promise<object>}
+     */
+    async getVariables(concept, uuid) {
+        return {};
+    }
+
+    async onEvent(context) {
+        let uuid = context.target;
+
+        let concept = this.engine.getConceptFromUUID(uuid);
+
+        if(concept == null) {
+            return;
+        }
+
+        if(this.options.concept != null) {
+            let filterConcepts = Array.isArray(this.options.concept) ? this.options.concept : [this.options.concept];
+
+            if(!filterConcepts.includes(concept.name)) {
+                return;
+            }
+        }
+
+        if(this.options.isA != null) {
+            let filterConcepts = Array.isArray(this.options.isA) ? this.options.isA : [this.options.isA];
+
+            let found = filterConcepts.some((filterConcept)=>{
+                return concept.isA(filterConcept);
+            });
+
+            if(!found) {
+                return;
+            }
+        }
+
+        let resultContext = {
+            target: uuid,
+            variables: await this.getVariables(concept, uuid),
+            journalGroup: context.journalGroup
+        };
+
+        //Filter based on where
+        if(this.options.where != null) {
+            let filter = FilterAction.constructFilter(this.options.where);
+
+            if(filter == null || !await filter.filter(resultContext, this.concept)) {
+                if(Trigger.DEBUG) {
+                    console.log("Lifecycle trigger was filtered because of where:", this.options.where, context);
+                }
+                return;
+            }
+        }
+
+        await Trigger.trigger(this.name, resultContext, this.engine);
+    }
+}
+window.LifecycleTrigger = LifecycleTrigger;
+
+/**
+ * A trigger "created" that triggers when a concept instance has been created, after its initial property values are set
+ *
+ * @example
+ * //Trigger when any instance is created
+ * {
+ *     "created": {}
+ * }
+ *
+ * @example
+ * //Trigger when a todo is created (shorthand)
+ * {
+ *     "created": "todo"
+ * }
+ *
+ * @example
+ * //Trigger when an instance of a concept that is a todo (joined or picked into it) is created, and is done already
+ * {
+ *     "created": {
+ *         "isA": "todo",
+ *         "where": {"property": "done", "equals": true}
+ *     }
+ * }
+ */
+class CreatedTrigger extends LifecycleTrigger {
+    constructor(name, options, concept) {
+        super(name, options, concept, "created");
+    }
+}
+Trigger.registerTrigger("created", CreatedTrigger);
+window.CreatedTrigger = CreatedTrigger;
+
+/**
+ * A trigger "deleted" that triggers when a concept instance is about to be deleted.
+ *
+ * The property values of the instance are available as variables named after the properties, so the chain can use
+ * them even if it runs after the instance is gone.
+ *
+ * @example
+ * //Trigger when a todo that was not done is deleted
+ * {
+ *     "deleted": {
+ *         "concept": "todo",
+ *         "where": {"property": "done", "equals": false}
+ *     }
+ * }
+ *
+ * @example
+ * //Use the last value of the deleted todo's title
+ * {
+ *     "when": [{"deleted": "todo"}],
+ *     "then": [{"debugMessage": "Deleted $title$"}]
+ * }
+ */
+class DeletedTrigger extends LifecycleTrigger {
+    constructor(name, options, concept) {
+        super(name, options, concept, "deleted");
+    }
+
+    async getVariables(concept, uuid) {
+        let variables = {};
+
+        for(let property of concept.properties.values()) {
+            try {
+                variables[property.name] = await property.getValue(uuid);
+            } catch(e) {
+                //Never set, no variable
+            }
+        }
+
+        return variables;
+    }
+}
+Trigger.registerTrigger("deleted", DeletedTrigger);
+window.DeletedTrigger = DeletedTrigger;
+
+/**
+ * A trigger "appeared" that triggers when a concept instance appears, both when created here and when it arrives
+ * from a datastore (e.g. made by another client)
+ *
+ * @example
+ * {
+ *     "appeared": {"concept": "todo"}
+ * }
+ */
+class AppearedTrigger extends LifecycleTrigger {
+    constructor(name, options, concept) {
+        super(name, options, concept, "appeared");
+    }
+
+    registerEvent(callback) {
+        return this.engine.registerEventCallback("appeared", callback);
+    }
+}
+Trigger.registerTrigger("appeared", AppearedTrigger);
+window.AppearedTrigger = AppearedTrigger;
+
+/**
+ * A trigger "disappeared" that triggers when a concept instance disappears, both when deleted here and when removed
+ * from a datastore (e.g. by another client). Its property values might already be gone, use "deleted" for those.
+ *
+ * @example
+ * {
+ *     "disappeared": {"isA": "todo"}
+ * }
+ */
+class DisappearedTrigger extends LifecycleTrigger {
+    constructor(name, options, concept) {
+        super(name, options, concept, "disappeared");
+    }
+
+    registerEvent(callback) {
+        return this.engine.registerEventCallback("disappeared", callback);
+    }
+}
+Trigger.registerTrigger("disappeared", DisappearedTrigger);
+window.DisappearedTrigger = DisappearedTrigger;
@@ -96,15 +96,15 @@ class StateChangedTrigger extends Trigger {
         } else if(Object.keys(options).length === 1) {
             //Shorthand options {"concept": "property"}
             let possibleConceptType = Object.keys(options)[0];
-            let concept = VarvEngine.getConceptFromType(possibleConceptType);
+            let possibleConcept = VarvEngine.of(concept).getConceptFromType(possibleConceptType);
 
-            if(concept != null) {
+            if(possibleConcept != null) {
                 try {
-                    let property = concept.getProperty(options[possibleConceptType]);
+                    let property = possibleConcept.getProperty(options[possibleConceptType]);
 
                     //We have both concept and property, so shorthand was correct
                     options = {
-                        "concept": concept.name,
+                        "concept": possibleConcept.name,
                         "property": property.name
                     }
                 } catch(e) {
@@ -120,7 +120,7 @@ class StateChangedTrigger extends Trigger {
     enable() {
         const self = this;
 
-        this.triggerDelete = Trigger.registerTriggerEvent("stateChanged", async (context)=>{
+        this.triggerDelete = Trigger.registerTriggerEvent(this.getEventName(), async (context)=>{
             //Always only 1 entry in array
             context = context[0];
 
@@ -129,7 +129,7 @@ class StateChangedTrigger extends Trigger {
             if(options.runtimeLookup != null) {
                 let lookedUpReferences = [];
                 options.runtimeLookup.forEach((reference)=>{
-                    let lookup = VarvEngine.lookupReference(reference, self.concept);
+                    let lookup = self.engine.lookupReference(reference, self.concept);
                     lookedUpReferences.push(lookup);
                 });
 
@@ -162,7 +162,7 @@ class StateChangedTrigger extends Trigger {
                 console.log("StateChangedTrigger:", self.name, options, ""+context.target);
             }
 
-            let triggeringConcept = VarvEngine.getConceptFromUUID(context.target);
+            let triggeringConcept = self.engine.getConceptFromUUID(context.target);
 
             if(triggeringConcept == null) {
                 throw new Error("Unknown concept for UUID: "+context.target);
@@ -216,8 +216,8 @@ class StateChangedTrigger extends Trigger {
                 }
             }
 
-            await Trigger.trigger(self.name, clonedContext);
-        });
+            await Trigger.trigger(self.name, clonedContext, self.engine);
+        }, this.engine);
     }
 
     disable() {
@@ -226,6 +226,48 @@ class StateChangedTrigger extends Trigger {
         }
         this.triggerDelete = null;
     }
+
+    /**
+     * @protected
+     * @returns {string} - The trigger event to listen for
+     */
+    getEventName() {
+        return "stateChanged";
+    }
 }
 Trigger.registerTrigger("stateChanged", StateChangedTrigger);
 window.StateChangedTrigger = StateChangedTrigger;
+
+/**
+ * A trigger "validationFailed" that triggers when a value that does not validate is set on a property. Takes the same
+ * options as "stateChanged".
+ *
+ * The variables "value", "reason" and "property" are set to the rejected value, why it was rejected and the name of
+ * the property.
+ *
+ * @example
+ * //Triggers when a value set on myProperty is rejected
+ * {
+ *     "validationFailed": "myProperty"
+ * }
+ *
+ * @example
+ * //Triggers when a value set on property myProperty on myConcept is rejected
+ * {
+ *     "validationFailed": {
+ *         "concept": "myConcept",
+ *         "property": "myProperty"
+ *     }
+ * }
+ */
+class ValidationFailedTrigger extends StateChangedTrigger {
+    constructor(name, options, concept) {
+        super(name, options, concept);
+    }
+
+    getEventName() {
+        return "validationFailed";
+    }
+}
+Trigger.registerTrigger("validationFailed", ValidationFailedTrigger);
+window.ValidationFailedTrigger = ValidationFailedTrigger;
@@ -66,7 +66,7 @@ class IntervalTrigger extends Trigger {
             await Trigger.trigger(self.name, {
                 target: null,
                 repetition: currentRepetition
-            });
+            }, self.engine);
 
             currentRepetition++;
         }, interval);
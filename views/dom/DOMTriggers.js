@@ -66,7 +66,7 @@ class MouseTrigger extends Trigger {
             let options = this.options;
 
             if(options.runtimeLookup != null) {
-                let lookupResult = VarvEngine.lookupReference(options.runtimeLookup, self.concept);
+                let lookupResult = self.engine.lookupReference(options.runtimeLookup, self.concept);
                 options = Object.assign({}, options, lookupResult);
             }
 
@@ -81,7 +81,7 @@ class MouseTrigger extends Trigger {
                 resultContext.target = null;
 
                 for(let uuid of context.conceptUUIDs) {
-                    let concept = VarvEngine.getConceptFromUUID(uuid);
+                    let concept = self.engine.getConceptFromUUID(uuid);
 
                     if(concept != null && concept.name === options.concept) {
                         resultContext.target = uuid;
@@ -141,10 +141,10 @@ class MouseTrigger extends Trigger {
                 context.originalEvent.preventDefault();
             }
 
-            await Trigger.trigger(self.name, resultContext).then(()=>{
+            await Trigger.trigger(self.name, resultContext, self.engine).then(()=>{
                 //Ignore
             });
-        });
+        }, this.engine);
     }
 
     disable() {
@@ -455,13 +455,13 @@ class KeyTrigger extends Trigger {
                 let focusOptions = self.options.focus;
 
                 if(typeof focusOptions === "string") {
-                    focusOptions = VarvEngine.lookupReference(self.options.focus, self.concept);
+                    focusOptions = self.engine.lookupReference(self.options.focus, self.concept);
                 }
 
                 if(focusOptions.concept != null) {
                     let foundFocusConcept = false;
                     context.conceptUUIDs.forEach((uuid) => {
-                        let concept = VarvEngine.getConceptFromUUID(uuid);
+                        let concept = self.engine.getConceptFromUUID(uuid);
                         if (concept.name === self.options.focus) {
                             foundFocusConcept = true;
                         }
@@ -491,8 +491,8 @@ class KeyTrigger extends Trigger {
                 }
             }
 
-            await Trigger.trigger(self.name, resultContext)
-        });
+            await Trigger.trigger(self.name, resultContext, self.engine)
+        }, this.engine);
     }
 
     disable() {
@@ -27,9 +27,15 @@
  */
 
 class DOMView {
-    constructor() {
+    /**
+     * @param {VarvEngine} [engine] - The engine whose concepts this view renders, defaults to the default engine
+     */
+    constructor(engine = VarvEngine.defaultEngine) {
         const self = this;
 
+        this.engine = engine;
+        DOMView.views.push(this);
+
         // Add an observer to the DOM
         this.observer = new MutationObserver((mutations) => {
             self.mutationCallback(mutations);
@@ -53,11 +59,36 @@ class DOMView {
         });
     }
 
+    /**
+     * Stops rendering, the views already rendered are left as they are
+     */
+    destroy() {
+        this.observer.disconnect();
+        DOMView.views.splice(DOMView.views.indexOf(this), 1);
+    }
+
+    /**
+     * Checks if this view renders the given dom-view-template. A template is rendered by the view of the engine named
+     * by its 'engine' attribute, or by the view of the default engine when it has none
+     * @example
+     * <dom-view-template engine="sandbox">...</dom-view-template>
+     *
+     * @param {HTMLElement} templateElement
+     * @returns {boolean}
+     */
+    rendersTemplate(templateElement) {
+        let engineName = templateElement.getAttribute("engine");
+        if (engineName === null){
+            return this.engine === VarvEngine.defaultEngine;
+        }
+        return engineName === this.engine.name;
+    }
+
     getViewElements(viewName) {
         let templates = document.querySelectorAll("dom-view-template");
         let viewElements = [];
         templates.forEach((template)=>{
-            if (template.varvView){
+            if (template.varvView && this.rendersTemplate(template)){
                 let views = template.varvView.querySelectorAll("[view='"+viewName+"']");
                 views.forEach((view)=>{
                     viewElements.push(view);
@@ -107,6 +138,13 @@ class DOMView {
                             }                        
                         }
 
+                        killTemplates = killTemplates.filter((templateElement)=>{
+                            return self.rendersTemplate(templateElement);
+                        });
+                        rebuildTemplates = rebuildTemplates.filter((templateElement)=>{
+                            return self.rendersTemplate(templateElement);
+                        });
+
                         for (let templateElement of killTemplates){
                             let connectedView = templateElement.varvView;
                             if (connectedView){
@@ -188,6 +226,15 @@ class DOMView {
             console.warn("[rebuildView] Template element did not exist?:", templateElement);
             return;
         }        
+
+        if (!this.rendersTemplate(templateElement)){
+            // Rendered by the view of another engine, take down what we rendered before its engine attribute changed
+            if (templateElement.varvView && templateElement.varvView.domView === this){
+                this.tearDownElement(templateElement.varvView);
+                templateElement.varvView = null;
+            }
+            return;
+        }
         
         if (templateElement.isRendering){
             console.log("Requested render of DOMView while already busy rendering, queueing another frame");
@@ -213,10 +260,11 @@ class DOMView {
                     let view = targetDocument.createElement("varv-view");
                     let oldView = templateElement.varvView;
                     view.templateElement = templateElement;
+                    view.domView = self;
 
                     // Re-render template nodes if additions/removals are made later
-                    let addCallback = VarvEngine.registerEventCallback("appeared", (evt) => {
-                        let conceptThatHadAdded = VarvEngine.getConceptFromUUID(evt.target);
+                    let addCallback = self.engine.registerEventCallback("appeared", (evt) => {
+                        let conceptThatHadAdded = self.engine.getConceptFromUUID(evt.target);
 
                         // TODO: Check if we actually use it anywhere as a concept
                         // TODO: Check if we actually use it as a property
@@ -225,13 +273,19 @@ class DOMView {
                         // STUB: Rebuilding everything
                         self.stubTriggerFullRebuild(templateElement, "Concept was added somewhere");
                     });
-                    let deleteCallback = VarvEngine.registerEventCallback("disappeared", (evt) => {
+                    let deleteCallback = self.engine.registerEventCallback("disappeared", (evt) => {
                         // STUB: Rebuilding everything
                         self.stubTriggerFullRebuild(templateElement, "Concept was removed somewhere");
                     });
-                    let reloadCallback = VarvEngine.registerEventCallback("engineReloaded", (evt) => {
+                    let reloadCallback = self.engine.registerEventCallback("engineReloaded", (evt) => {
                         // STUB: Rebuilding everything
                         self.stubTriggerFullRebuild(templateElement, "Engine was reloaded entirely");
+                    });
+                    let conceptsReloadedCallback = self.engine.registerEventCallback("conceptsReloaded", (evt) => {
+                        // Only some concepts were rebuilt, skip the rebuild if we never touch them
+                        if (self.viewUsesConcepts(view, evt.changed.concat(evt.removed))){
+                            self.stubTriggerFullRebuild(templateElement, "Concepts used in view were reloaded");
+                        }
                     });      
                     let clearHighlights = function clearHighlight(node){
                         if (node.getAttribute && node.getAttribute("varv-domview-highlight")){
@@ -244,7 +298,7 @@ class DOMView {
                         self.walkView(view, clearHighlights);
                         self.walkView(view, function highlightConcept(node){
                             for (let conceptUUID of self.getConceptPath(node)){
-                                let nodeConcept = VarvEngine.getConceptFromUUID(conceptUUID);
+                                let nodeConcept = self.engine.getConceptFromUUID(conceptUUID);
                                 if (nodeConcept===concept){
                                     if (node.setAttribute){                                
                                         node.setAttribute("varv-domview-highlight",true);
@@ -297,6 +351,7 @@ class DOMView {
                         addCallback.delete();
                         deleteCallback.delete();
                         reloadCallback.delete();
+                        conceptsReloadedCallback.delete();
                     });
 
                     // Go through the varv template one node at a time and clone it into the view
@@ -397,6 +452,39 @@ class DOMView {
         }
     }
 
+    /**
+     * Checks if any of the given concepts are selected by a concept attribute, or bound somewhere in the view
+     * @param {Element} view
+     * @param {string[]} conceptNames
+     * @returns {boolean}
+     */
+    viewUsesConcepts(view, conceptNames){
+        let used = false;
+
+        this.walkView(view, function findConceptUse(node){
+            if (used) return false;
+            if (node.conceptType !== undefined && conceptNames.includes(node.conceptType)){
+                used = true;
+                return false;
+            }
+            if (node.scope){
+                for (let binding of node.scope){
+                    let concept = binding.concept;
+                    if (binding instanceof PropertyBinding){
+                        concept = binding.property.concept;
+                    }
+                    if (concept && conceptNames.includes(concept.name)){
+                        used = true;
+                        return false;
+                    }
+                }
+            }
+            return true;
+        });
+
+        return used;
+    }
+
     async cloneToView(targetDocument, currentViewElement, currentTemplateNode, currentScope = [], currentInsertBeforeElement=null) {
         const self = this;
         let results = [];
@@ -495,7 +583,7 @@ class DOMView {
                                                 testTarget = testTarget.concept;
                                             } else {
                                                 // This may be an uuid, if so, look it up instead
-                                                testTarget = VarvEngine.getConceptFromUUID(testTarget);
+                                                testTarget = self.engine.getConceptFromUUID(testTarget);
                                             }
                                             conditionalValue = testTarget.isA(testType);
                                         } else {
@@ -639,7 +727,7 @@ class DOMView {
                                                 throw new Error("Cannot use a type for the property attribute that is not a list of simple values or a concept reference");                                                
                                             }
 
-                                            scope.push(new ConceptInstanceBinding(propertyValue.uuid));
+                                            scope.push(new ConceptInstanceBinding(propertyValue.concept.engine, propertyValue.uuid));
                                             scope.push(new PropertyBinding(binding.concept.getProperty(propertyType), binding.uuid));
                                             scope.push(new ValueBinding({
                                                 'concept::uuid': propertyValue.uuid
@@ -712,18 +800,21 @@ class DOMView {
                                         throw new Error("Cannot render concept '"+conceptAttributeRaw+"' which evaluates to undefined");                                        
                                     }
 
-                                    let concept = VarvEngine.getConceptFromType(conceptType);
+                                    // Remember what the handle selects, so reloads of the concept rebuild the view even without instances
+                                    conceptHandle.conceptType = conceptType;
+
+                                    let concept = self.engine.getConceptFromType(conceptType);
                                     if (!concept){
                                         console.warn("DOM varv template selects concept '"+conceptType+"' that doesn't currently exist", conceptAttributeRaw, currentScope, currentTemplateNode);
                                         throw new Error("Cannot render concept '"+conceptAttributeRaw+"' which evaluates to "+conceptType+" which does not exist");                                        
                                     }
                                     
-                                    let conceptUUIDs = VarvEngine.getAllUUIDsFromType(conceptType, true);
+                                    let conceptUUIDs = self.engine.getAllUUIDsFromType(conceptType, true);
                                     // STUB: No filtering of concepts in SPEC?
                                     // STUB: No sorting of concepts in SPEC?
                                     for(let uuid of conceptUUIDs) {
                                         let childScope = currentScope.slice(); // Copy current
-                                        childScope.push(new ConceptInstanceBinding(uuid)); // Add this new concept to lookup scope but with the concrete type
+                                        childScope.push(new ConceptInstanceBinding(self.engine, uuid)); // Add this new concept to lookup scope but with the concrete type
                                         childScope.push(new ValueBinding({
                                             'concept::uuid': uuid
                                         })); // Make the uuid referenceable for debug etc
@@ -890,6 +981,9 @@ class DOMView {
                             if (element.tagName==="INPUT"){
                                 if (element.type==="checkbox"){
                                     element.checked = value==="true" || value===true;
+                                } else if (element.type==="date" || element.type==="datetime-local"){
+                                    // Stored as ISO strings, datetimes in UTC, while the inputs want local time
+                                    element.value = TemporalValues.toInputValue(value, element.type);
                                 } else {
                                     element.value = value;
                                 }                                    
@@ -1116,6 +1210,20 @@ class DOMView {
         return result;
     };
     
+    /**
+     * Get the view rendering the given engine
+     * @param {VarvEngine} engine
+     * @returns {DOMView|null}
+     */
+    static of(engine) {
+        for (let view of DOMView.views){
+            if (view.engine === engine){
+                return view;
+            }
+        }
+        return null;
+    }
+
     static getBindingFromScope(bindingName, scope){
         for (let i = scope.length - 1; i >= 0; i--) {
             if (scope[i].hasBindingFor(bindingName)) {
@@ -1174,7 +1282,8 @@ class UpdatingStringEvaluation {
                 });
             }
             if (binding && binding.concept){
-                let property = binding.concept.getProperty(propertyName);
+                // Fields of object and map properties update with the property itself
+                let property = binding.resolveName(propertyName).property;
                 let callback = async function updateUpdatingStringEvaluation(){
                     await self.update();
                 };
@@ -1243,52 +1352,76 @@ class PropertyBinding {
 }
 
 class ConceptInstanceBinding extends ConceptInstance {
-    constructor(uuid) {
-        super(VarvEngine.getConceptFromUUID(uuid), uuid);
+    /**
+     * @param {VarvEngine} engine - The engine the instance lives in
+     * @param {string} uuid
+     */
+    constructor(engine, uuid) {
+        super(engine.getConceptFromUUID(uuid), uuid);
     }
 
-    hasBindingFor(name) {
+    /**
+     * Finds the property a binding name refers to, and the path inside its value if it points inside an object or
+     * map property, like {address.street}
+     * @param {string} name
+     * @returns {{property: Property, path: string[]}|null}
+     */
+    resolveName(name) {
         let lookupName = name;
         if(lookupName.startsWith(this.concept.name+".")) {
             lookupName = lookupName.substr(this.concept.name.length+1);
         }
-        
+
         try {
-            this.concept.getProperty(lookupName);
-            return true;
+            return {
+                property: this.concept.getProperty(lookupName),
+                path: []
+            };
         } catch (ex) {
-            // Ignored
+            // Not a property by itself
         }
-        
-        return false;
+
+        let parts = lookupName.split(".");
+        if(parts.length > 1 && this.concept.properties.has(parts[0])) {
+            let property = this.concept.getProperty(parts[0]);
+            let path = parts.slice(1);
+
+            if(property.getPathProperty(path) != null) {
+                return {
+                    property: property,
+                    path: path
+                };
+            }
+        }
+
+        return null;
+    }
+
+    hasBindingFor(name) {
+        return this.resolveName(name) != null;
     }
 
     async getValueFor(name) {
-        let lookupName = name;
-        if(lookupName.startsWith(this.concept.name+".")) {
-            lookupName = lookupName.substr(this.concept.name.length+1);
-        }
-        
-        let property = null;
-        
-        try {
-            property = this.concept.getProperty(lookupName);
-        } catch(e) {
-            //Ignore
-        }
+        let resolved = this.resolveName(name);
 
-        if(property === null) {
+        if(resolved === null) {
             return undefined;
         }
 
+        let property = resolved.property;
+
+        if(resolved.path.length > 0) {
+            return await property.getValueAt(this.uuid, resolved.path);
+        }
+
         let value = await property.getValue(this.uuid);
         if (property.isConceptType()) {
             if (!value) return undefined; // No uuid set
-            return new ConceptInstanceBinding(value);
+            return new ConceptInstanceBinding(this.concept.engine, value);
         } else if (property.isConceptArrayType()) {
             let conceptArray = [];
             value.forEach((entry) => {
-                conceptArray.push(new ConceptInstanceBinding(entry))
+                conceptArray.push(new ConceptInstanceBinding(this.concept.engine, entry))
             });
             return conceptArray;
         } else {
@@ -1297,8 +1430,13 @@ class ConceptInstanceBinding extends ConceptInstance {
     }
     
     async setValueFor(name, value){
-        const property = this.concept.getProperty(name);
-        property.setValue(this.uuid, property.typeCast(value));
+        const resolved = this.resolveName(name);
+        if (resolved === null) throw new Error("No property ["+name+"] on concept ["+this.concept.name+"]");
+
+        const valueProperty = resolved.property.getPathProperty(resolved.path);
+        await this.concept.engine.journal.group(async (group)=>{
+            await resolved.property.setValueAt(this.uuid, resolved.path, valueProperty.typeCast(value), null, null, group);
+        });
     }
 }
 
@@ -1316,5 +1454,8 @@ class ValueBinding {
     }
 }
 DOMView.DEBUG = false;
+//Every view that renders, see DOMView.of
+DOMView.views = [];
+//The view of the default engine, other engines get one with new DOMView(engine)
 DOMView.singleton = new DOMView();
 window.DOMView = DOMView;